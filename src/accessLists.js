@@ -0,0 +1,331 @@
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import { isIP } from "node:net";
+import path from "node:path";
+
+const PLAYER_NAME_PATTERN = /^[A-Za-z0-9_]{1,16}$/;
+const MOJANG_PROFILE_URL = "https://api.mojang.com/users/profiles/minecraft/";
+const MAX_REASON_LENGTH = 200;
+
+const LIST_FILES = {
+  whitelist: "whitelist.json",
+  ops: "ops.json",
+  bans: "banned-players.json",
+  ipBans: "banned-ips.json",
+};
+
+function formatUuid(hex) {
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function offlinePlayerUuid(name) {
+  // Same as Java's UUID.nameUUIDFromBytes("OfflinePlayer:" + name).
+  const hash = createHash("md5").update(`OfflinePlayer:${name}`, "utf8").digest();
+  hash[6] = (hash[6] & 0x0f) | 0x30;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+  return formatUuid(hash.toString("hex"));
+}
+
+export async function lookupMojangProfile(name) {
+  const response = await fetch(`${MOJANG_PROFILE_URL}${encodeURIComponent(name)}`);
+  if (response.status === 204 || response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Profile lookup failed (${response.status}) for ${name}`);
+  }
+  const profile = await response.json();
+  return { uuid: formatUuid(profile.id), name: profile.name };
+}
+
+function normalizePlayerName(name) {
+  const normalized = String(name || "").trim();
+  if (!PLAYER_NAME_PATTERN.test(normalized)) {
+    throw new Error("プレイヤー名は英数字と _ の1〜16文字で指定してください。");
+  }
+  return normalized;
+}
+
+function normalizeReason(reason) {
+  return String(reason || "")
+    .replace(/[\r\n]+/g, " ")
+    .trim()
+    .slice(0, MAX_REASON_LENGTH);
+}
+
+function formatBanDate(date) {
+  // The vanilla server writes and parses "yyyy-MM-dd HH:mm:ss Z".
+  const iso = date.toISOString();
+  return `${iso.slice(0, 10)} ${iso.slice(11, 19)} +0000`;
+}
+
+function sameName(a, b) {
+  return String(a || "").toLowerCase() === String(b || "").toLowerCase();
+}
+
+export class AccessListManager {
+  constructor({ manager, lookupProfile = lookupMojangProfile }) {
+    this.manager = manager;
+    this.lookupProfile = lookupProfile;
+    this.locks = new Map();
+  }
+
+  async withLock(serverName, task) {
+    const previous = this.locks.get(serverName) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.locks.set(serverName, next);
+    try {
+      return await next;
+    } finally {
+      if (this.locks.get(serverName) === next) {
+        this.locks.delete(serverName);
+      }
+    }
+  }
+
+  async resolveServerPath(serverName) {
+    const managed = await this.manager.resolveManagedServer(serverName);
+    if (!managed) {
+      throw new Error(`Server "${serverName}" is not managed.`);
+    }
+    return managed.config.serverPath;
+  }
+
+  async readList(serverName, list) {
+    const filePath = path.join(
+      await this.resolveServerPath(serverName),
+      LIST_FILES[list],
+    );
+    try {
+      const parsed = JSON.parse(await fs.readFile(filePath, "utf8"));
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async writeList(serverName, list, entries) {
+    const filePath = path.join(
+      await this.resolveServerPath(serverName),
+      LIST_FILES[list],
+    );
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, `${JSON.stringify(entries, null, 2)}\n`, "utf8");
+    await fs.rename(tempPath, filePath);
+  }
+
+  async resolvePlayer(serverName, name) {
+    const { entries } = await this.manager.getServerProperties(serverName);
+    const onlineMode =
+      String(new Map(entries).get("online-mode") ?? "true").trim().toLowerCase() !==
+      "false";
+    if (!onlineMode) {
+      return { uuid: offlinePlayerUuid(name), name, source: "offline" };
+    }
+
+    const cache = await this.readUserCache(serverName);
+    const cached = cache.find((entry) => sameName(entry.name, name));
+    if (cached?.uuid) {
+      return { uuid: cached.uuid, name: cached.name, source: "usercache" };
+    }
+
+    const profile = await this.lookupProfile(name);
+    if (!profile) {
+      throw new Error(`プレイヤーが見つかりません: ${name}`);
+    }
+    return { ...profile, source: "lookup" };
+  }
+
+  async readUserCache(serverName) {
+    const filePath = path.join(
+      await this.resolveServerPath(serverName),
+      "usercache.json",
+    );
+    try {
+      const parsed = JSON.parse(await fs.readFile(filePath, "utf8"));
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+
+  async tryConsole(serverName, command) {
+    try {
+      const result = await this.manager.executeCommand(serverName, command);
+      return { via: result.via, output: result.output };
+    } catch (error) {
+      // Not running (and no reachable RCON): fall back to editing the files.
+      if (this.manager.running.has(serverName)) {
+        throw error;
+      }
+      return null;
+    }
+  }
+
+  async list(serverName, list) {
+    return this.readList(serverName, list);
+  }
+
+  async addWhitelist(serverName, playerName) {
+    const name = normalizePlayerName(playerName);
+    return this.withLock(serverName, async () => {
+      const viaConsole = await this.tryConsole(serverName, `whitelist add ${name}`);
+      if (viaConsole) {
+        return { name, ...viaConsole };
+      }
+
+      const player = await this.resolvePlayer(serverName, name);
+      const entries = await this.readList(serverName, "whitelist");
+      if (entries.some((entry) => entry.uuid === player.uuid)) {
+        return { name: player.name, via: "file", changed: false };
+      }
+      entries.push({ uuid: player.uuid, name: player.name });
+      await this.writeList(serverName, "whitelist", entries);
+      return { name: player.name, uuid: player.uuid, via: "file", changed: true };
+    });
+  }
+
+  async removeWhitelist(serverName, playerName) {
+    const name = normalizePlayerName(playerName);
+    return this.withLock(serverName, async () => {
+      const viaConsole = await this.tryConsole(serverName, `whitelist remove ${name}`);
+      if (viaConsole) {
+        return { name, ...viaConsole };
+      }
+      return this.removeByName(serverName, "whitelist", name);
+    });
+  }
+
+  async addOp(serverName, playerName) {
+    const name = normalizePlayerName(playerName);
+    return this.withLock(serverName, async () => {
+      const viaConsole = await this.tryConsole(serverName, `op ${name}`);
+      if (viaConsole) {
+        return { name, ...viaConsole };
+      }
+
+      const player = await this.resolvePlayer(serverName, name);
+      const { entries: properties } = await this.manager.getServerProperties(serverName);
+      const level = Number.parseInt(new Map(properties).get("op-permission-level"), 10);
+      const entries = await this.readList(serverName, "ops");
+      if (entries.some((entry) => entry.uuid === player.uuid)) {
+        return { name: player.name, via: "file", changed: false };
+      }
+      entries.push({
+        uuid: player.uuid,
+        name: player.name,
+        level: level >= 1 && level <= 4 ? level : 4,
+        bypassesPlayerLimit: false,
+      });
+      await this.writeList(serverName, "ops", entries);
+      return { name: player.name, uuid: player.uuid, via: "file", changed: true };
+    });
+  }
+
+  async removeOp(serverName, playerName) {
+    const name = normalizePlayerName(playerName);
+    return this.withLock(serverName, async () => {
+      const viaConsole = await this.tryConsole(serverName, `deop ${name}`);
+      if (viaConsole) {
+        return { name, ...viaConsole };
+      }
+      return this.removeByName(serverName, "ops", name);
+    });
+  }
+
+  async addBan(serverName, target, reason = "") {
+    const normalizedReason = normalizeReason(reason);
+    const ip = String(target || "").trim();
+    if (isIP(ip)) {
+      return this.withLock(serverName, async () => {
+        const viaConsole = await this.tryConsole(
+          serverName,
+          `ban-ip ${ip}${normalizedReason ? ` ${normalizedReason}` : ""}`,
+        );
+        if (viaConsole) {
+          return { name: ip, ...viaConsole };
+        }
+
+        const entries = await this.readList(serverName, "ipBans");
+        if (entries.some((entry) => entry.ip === ip)) {
+          return { name: ip, via: "file", changed: false };
+        }
+        entries.push({
+          ip,
+          created: formatBanDate(new Date()),
+          source: "Discord",
+          expires: "forever",
+          reason: normalizedReason || "Banned by an operator.",
+        });
+        await this.writeList(serverName, "ipBans", entries);
+        return { name: ip, via: "file", changed: true };
+      });
+    }
+
+    const name = normalizePlayerName(target);
+    return this.withLock(serverName, async () => {
+      const viaConsole = await this.tryConsole(
+        serverName,
+        `ban ${name}${normalizedReason ? ` ${normalizedReason}` : ""}`,
+      );
+      if (viaConsole) {
+        return { name, ...viaConsole };
+      }
+
+      const player = await this.resolvePlayer(serverName, name);
+      const entries = await this.readList(serverName, "bans");
+      if (entries.some((entry) => entry.uuid === player.uuid)) {
+        return { name: player.name, via: "file", changed: false };
+      }
+      entries.push({
+        uuid: player.uuid,
+        name: player.name,
+        created: formatBanDate(new Date()),
+        source: "Discord",
+        expires: "forever",
+        reason: normalizedReason || "Banned by an operator.",
+      });
+      await this.writeList(serverName, "bans", entries);
+      return { name: player.name, uuid: player.uuid, via: "file", changed: true };
+    });
+  }
+
+  async removeBan(serverName, target) {
+    const ip = String(target || "").trim();
+    if (isIP(ip)) {
+      return this.withLock(serverName, async () => {
+        const viaConsole = await this.tryConsole(serverName, `pardon-ip ${ip}`);
+        if (viaConsole) {
+          return { name: ip, ...viaConsole };
+        }
+        const entries = await this.readList(serverName, "ipBans");
+        const remaining = entries.filter((entry) => entry.ip !== ip);
+        if (remaining.length !== entries.length) {
+          await this.writeList(serverName, "ipBans", remaining);
+        }
+        return { name: ip, via: "file", changed: remaining.length !== entries.length };
+      });
+    }
+
+    const name = normalizePlayerName(target);
+    return this.withLock(serverName, async () => {
+      const viaConsole = await this.tryConsole(serverName, `pardon ${name}`);
+      if (viaConsole) {
+        return { name, ...viaConsole };
+      }
+      return this.removeByName(serverName, "bans", name);
+    });
+  }
+
+  async removeByName(serverName, list, name) {
+    const entries = await this.readList(serverName, list);
+    const remaining = entries.filter((entry) => !sameName(entry.name, name));
+    if (remaining.length !== entries.length) {
+      await this.writeList(serverName, list, remaining);
+    }
+    return { name, via: "file", changed: remaining.length !== entries.length };
+  }
+}
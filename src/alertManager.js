@@ -0,0 +1,272 @@
+import { randomBytes } from "node:crypto";
+import { EventEmitter } from "node:events";
+import fs from "node:fs/promises";
+
+const MAX_ALERT_RULES_PER_SERVER = 10;
+const DISK_CHECK_INTERVAL_MS = 60 * 1000;
+const DEFAULT_COOLDOWN_MINUTES = 30;
+
+// threshold: rss = % of memoryMb, tps = minimum TPS, disk = minimum free GB.
+export const ALERT_TYPES = {
+  rss: { label: "メモリ(RSS)", unit: "%", threshold: 90, forMinutes: 5, above: true },
+  tps: { label: "TPS", unit: "", threshold: 15, forMinutes: 5, above: false },
+  disk: { label: "ディスク空き容量", unit: "GB", threshold: 5, forMinutes: 0, above: false },
+  exit: { label: "予期しない終了", unit: null, threshold: null, forMinutes: 0, above: true },
+};
+
+function normalizeRule(input) {
+  const type = String(input.type || "").trim();
+  const spec = ALERT_TYPES[type];
+  if (!spec) {
+    throw new Error(`type は ${Object.keys(ALERT_TYPES).join(" / ")} のいずれかです。`);
+  }
+
+  const rule = { id: input.id, type };
+  if (spec.threshold != null) {
+    const threshold = input.threshold ?? spec.threshold;
+    if (!Number.isFinite(threshold) || threshold <= 0 || (type === "rss" && threshold > 100)) {
+      throw new Error(
+        type === "rss"
+          ? "rss の threshold は 1〜100 (%) で指定してください。"
+          : `${type} の threshold は正の数で指定してください。`,
+      );
+    }
+    rule.threshold = threshold;
+  }
+  for (const [key, fallback] of [
+    ["forMinutes", spec.forMinutes],
+    ["cooldownMinutes", DEFAULT_COOLDOWN_MINUTES],
+  ]) {
+    const value = input[key] ?? fallback;
+    if (!Number.isInteger(value) || value < 0 || value > 24 * 60) {
+      throw new Error(`${key} は 0〜1440 (分) で指定してください。`);
+    }
+    rule[key] = value;
+  }
+  // An exit is a single event, so there is nothing to wait for.
+  if (type === "exit") {
+    rule.forMinutes = 0;
+  }
+  rule.createdAt = input.createdAt || new Date().toISOString();
+  return rule;
+}
+
+function readRules(config) {
+  const rules = [];
+  for (const raw of Array.isArray(config?.alertRules) ? config.alertRules : []) {
+    try {
+      rules.push(normalizeRule(raw));
+    } catch {
+      // Hand-edited rules that no longer validate are ignored.
+    }
+  }
+  return rules;
+}
+
+function isBreached(rule, value) {
+  if (rule.type === "exit") {
+    return value > 0;
+  }
+  return ALERT_TYPES[rule.type].above ? value > rule.threshold : value < rule.threshold;
+}
+
+/**
+ * Evaluates each server's alert rules (stored as `alertRules` in
+ * bot-config.json) against resource samples, disk space and exits, and emits
+ * `alertFired` / `alertCleared` once per transition. A rule that fires again
+ * within its cooldown after being announced stays silent.
+ */
+export class AlertManager extends EventEmitter {
+  constructor({ manager, resourceMonitor }) {
+    super();
+    this.manager = manager;
+    this.resourceMonitor = resourceMonitor;
+    this.states = new Map();
+    this.timer = null;
+    this.checkingDisk = false;
+
+    this.resourceMonitor.on("sample", (event) => {
+      this.handleSample(event.name, event.sample).catch((error) => {
+        this.emit("alertCheckFailed", { name: event.name, error });
+      });
+    });
+    this.manager.on("serverExit", (event) => {
+      this.evaluateType(event.name, "exit", 1, { exit: event }).catch((error) => {
+        this.emit("alertCheckFailed", { name: event.name, error });
+      });
+    });
+    this.manager.on("serverStateChange", (event) => {
+      this.handleStateChange(event).catch((error) => {
+        this.emit("alertCheckFailed", { name: event.name, error });
+      });
+    });
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(async () => {
+      if (this.checkingDisk) {
+        return;
+      }
+      this.checkingDisk = true;
+      try {
+        await this.checkDisks();
+      } catch (error) {
+        this.emit("alertCheckFailed", { name: null, error });
+      } finally {
+        this.checkingDisk = false;
+      }
+    }, DISK_CHECK_INTERVAL_MS);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async add(serverName, input) {
+    const rule = normalizeRule({ ...input, id: randomBytes(3).toString("hex") });
+    const config = await this.manager.updateServerConfig(serverName, (raw) => {
+      const current = Array.isArray(raw.alertRules) ? raw.alertRules : [];
+      if (current.length >= MAX_ALERT_RULES_PER_SERVER) {
+        throw new Error(`アラートは1サーバーあたり${MAX_ALERT_RULES_PER_SERVER}件までです。`);
+      }
+      raw.alertRules = [...current, rule];
+    });
+    return { serverName: config.name, rule };
+  }
+
+  async remove(serverName, id) {
+    let removed = false;
+    const config = await this.manager.updateServerConfig(serverName, (raw) => {
+      const current = Array.isArray(raw.alertRules) ? raw.alertRules : [];
+      raw.alertRules = current.filter((rule) => rule.id !== id);
+      removed = raw.alertRules.length !== current.length;
+    });
+    this.states.delete(`${config.name}:${id}`);
+    return removed;
+  }
+
+  async list(serverName) {
+    const config = await this.manager.readServerConfig(serverName);
+    if (!config) {
+      throw new Error(`Server "${serverName}" is not managed.`);
+    }
+    return readRules(config).map((rule) => ({
+      ...rule,
+      firing: Boolean(this.states.get(`${config.name}:${rule.id}`)?.firing),
+    }));
+  }
+
+  async handleSample(serverName, sample) {
+    const config = await this.manager.readServerConfig(serverName);
+    const rules = readRules(config);
+    if (rules.length === 0) {
+      return;
+    }
+    const memoryBytes = config.memoryMb * 1024 * 1024;
+    const values = {
+      rss: sample.rssBytes == null ? null : (sample.rssBytes / memoryBytes) * 100,
+      tps: sample.tps,
+    };
+    for (const rule of rules) {
+      if (rule.type in values && values[rule.type] != null) {
+        this.evaluate(config.name, rule, values[rule.type], sample.at);
+      }
+    }
+  }
+
+  async handleStateChange({ name, state }) {
+    if (state === "running") {
+      // A server that is back up resolves its exit alert.
+      await this.evaluateType(name, "exit", 0);
+      return;
+    }
+    if (state !== "stopped" && state !== "crashed") {
+      return;
+    }
+    // Process metrics stop with the process; resolve alerts that depend on them.
+    const config = await this.manager.readServerConfig(name);
+    for (const rule of readRules(config)) {
+      if (rule.type === "rss" || rule.type === "tps") {
+        this.clear(config.name, rule, { reason: "stopped" });
+      }
+    }
+  }
+
+  async evaluateType(serverName, type, value, details = {}) {
+    const config = await this.manager.readServerConfig(serverName);
+    for (const rule of readRules(config).filter((item) => item.type === type)) {
+      this.evaluate(config.name, rule, value, Date.now(), details);
+    }
+  }
+
+  async checkDisks() {
+    for (const serverName of await this.manager.listServers()) {
+      const config = await this.manager.readServerConfig(serverName);
+      const rules = readRules(config).filter((rule) => rule.type === "disk");
+      if (rules.length === 0) {
+        continue;
+      }
+      const stats = await fs.statfs(config.serverPath).catch(() => null);
+      if (!stats) {
+        continue;
+      }
+      const freeGb = (stats.bavail * stats.bsize) / 1024 ** 3;
+      for (const rule of rules) {
+        this.evaluate(config.name, rule, freeGb, Date.now());
+      }
+    }
+  }
+
+  evaluate(serverName, rule, value, at, details = {}) {
+    const key = `${serverName}:${rule.id}`;
+    const state = this.states.get(key) || {
+      breachSince: null,
+      firing: false,
+      announced: false,
+      lastAnnouncedAt: null,
+    };
+    this.states.set(key, state);
+
+    if (!isBreached(rule, value)) {
+      state.breachSince = null;
+      this.clear(serverName, rule, { value });
+      return;
+    }
+
+    state.breachSince ??= at;
+    if (state.firing || at - state.breachSince < rule.forMinutes * 60 * 1000) {
+      return;
+    }
+    state.firing = true;
+    state.announced =
+      state.lastAnnouncedAt == null ||
+      at - state.lastAnnouncedAt >= rule.cooldownMinutes * 60 * 1000;
+    if (state.announced) {
+      state.lastAnnouncedAt = at;
+      this.emit("alertFired", {
+        name: serverName,
+        rule,
+        value,
+        since: state.breachSince,
+        ...details,
+      });
+    }
+  }
+
+  clear(serverName, rule, { value = null, reason = "recovered" } = {}) {
+    const state = this.states.get(`${serverName}:${rule.id}`);
+    if (!state?.firing) {
+      return;
+    }
+    state.firing = false;
+    state.breachSince = null;
+    if (state.announced) {
+      this.emit("alertCleared", { name: serverName, rule, value, reason });
+    }
+  }
+}
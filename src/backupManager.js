@@ -0,0 +1,352 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createTarGz, extractTarGz } from "./tarArchive.js";
+
+const BACKUP_DIR_NAME = "backups";
+const BACKUP_EXTENSION = ".tar.gz";
+const BACKUP_ID_PATTERN = /^(\d{8}T\d{6}Z)-([a-z-]+)$/;
+const DEFAULT_RETENTION = { keepLast: 10, keepDaily: 0, keepWeekly: 0 };
+const RETENTION_LIMITS = { keepLast: 1000, keepDaily: 366, keepWeekly: 520 };
+const WORLD_DIRECTORY_PATTERN = /^[^.\\/][^\\/]*$/;
+
+function formatBackupTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+}
+
+function parseBackupTimestamp(timestamp) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(timestamp);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour, minute, second] = match;
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`);
+}
+
+function getIsoWeekKey(date) {
+  const thursday = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  );
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+  return `${thursday.getUTCFullYear()}-W${week}`;
+}
+
+function normalizeRetention(input) {
+  const retention = { ...DEFAULT_RETENTION };
+  for (const [key, max] of Object.entries(RETENTION_LIMITS)) {
+    const value = input?.[key];
+    if (Number.isInteger(value) && value >= 0 && value <= max) {
+      retention[key] = value;
+    }
+  }
+  return retention;
+}
+
+function selectExpiredBackups(backups, retention) {
+  const { keepLast, keepDaily, keepWeekly } = normalizeRetention(retention);
+  if (keepLast === 0 && keepDaily === 0 && keepWeekly === 0) {
+    return [];
+  }
+
+  const newestFirst = [...backups].sort((a, b) => b.createdAt - a.createdAt);
+  const kept = new Set(newestFirst.slice(0, keepLast).map((backup) => backup.id));
+  const keepNewestPerBucket = (limit, toKey) => {
+    const buckets = new Set();
+    for (const backup of newestFirst) {
+      const key = toKey(backup.createdAt);
+      if (buckets.has(key)) {
+        continue;
+      }
+      if (buckets.size >= limit) {
+        break;
+      }
+      buckets.add(key);
+      kept.add(backup.id);
+    }
+  };
+  keepNewestPerBucket(keepDaily, (date) => date.toISOString().slice(0, 10));
+  keepNewestPerBucket(keepWeekly, getIsoWeekKey);
+
+  return newestFirst.filter((backup) => !kept.has(backup.id));
+}
+
+export class BackupManager {
+  constructor({ manager }) {
+    this.manager = manager;
+    this.rootDir = path.join(manager.baseDir, BACKUP_DIR_NAME);
+    this.inProgress = new Set();
+  }
+
+  getBackupDir(serverName) {
+    return path.join(this.rootDir, serverName);
+  }
+
+  resolveBackupPath(serverName, id) {
+    if (!BACKUP_ID_PATTERN.test(String(id || ""))) {
+      throw new Error(`バックアップID が不正です: ${id}`);
+    }
+    return path.join(this.getBackupDir(serverName), `${id}${BACKUP_EXTENSION}`);
+  }
+
+  async withBackupLock(serverName, task) {
+    if (this.inProgress.has(serverName)) {
+      throw new Error(`\`${serverName}\` のバックアップ/リストアは既に実行中です。`);
+    }
+    this.inProgress.add(serverName);
+    try {
+      return await task();
+    } finally {
+      this.inProgress.delete(serverName);
+    }
+  }
+
+  async createBackup(serverName, { reason = "manual" } = {}) {
+    return this.withBackupLock(serverName, () =>
+      this.writeBackup(serverName, { reason, applyRetention: true }),
+    );
+  }
+
+  async writeBackup(serverName, { reason, applyRetention }) {
+    const managed = await this.manager.resolveManagedServer(serverName);
+    if (!managed) {
+      throw new Error(`Server "${serverName}" is not managed.`);
+    }
+
+    const { serverPath, directories } =
+      await this.manager.getWorldDirectories(serverName);
+    if (directories.length === 0) {
+      throw new Error(`\`${serverName}\` にワールドフォルダがありません。`);
+    }
+
+    await fs.mkdir(this.getBackupDir(serverName), { recursive: true });
+    const existingIds = new Set(
+      (await this.listBackups(serverName)).map((backup) => backup.id),
+    );
+    // IDs have one-second resolution; step forward rather than overwrite.
+    const createdAt = new Date();
+    let id = `${formatBackupTimestamp(createdAt)}-${reason}`;
+    while (existingIds.has(id)) {
+      createdAt.setSeconds(createdAt.getSeconds() + 1);
+      id = `${formatBackupTimestamp(createdAt)}-${reason}`;
+    }
+    const backupPath = this.resolveBackupPath(serverName, id);
+    const partialPath = `${backupPath}.partial`;
+
+    const online = await this.suspendSaving(serverName);
+    let saved = false;
+    let summary;
+    try {
+      if (online) {
+        saved = await this.manager.saveAll(serverName);
+      }
+      summary = await createTarGz(serverPath, directories, partialPath);
+      await fs.rename(partialPath, backupPath);
+    } catch (error) {
+      await fs.rm(partialPath, { force: true });
+      throw error;
+    } finally {
+      if (online) {
+        await this.manager
+          .executeCommand(serverName, "save-on", { captureMs: 0 })
+          .catch(() => {});
+      }
+    }
+
+    const { size } = await fs.stat(backupPath);
+    const expired = applyRetention
+      ? await this.applyRetention(serverName, managed.config)
+      : [];
+    return {
+      serverName,
+      id,
+      createdAt: createdAt.toISOString(),
+      sizeBytes: size,
+      worlds: directories,
+      files: summary.files,
+      online,
+      saved,
+      expired,
+    };
+  }
+
+  async restoreBackup(serverName, id, { requestedBy = null } = {}) {
+    const backupPath = this.resolveBackupPath(serverName, id);
+    try {
+      await fs.access(backupPath);
+    } catch {
+      throw new Error(`バックアップが見つかりません: \`${serverName}\` \`${id}\``);
+    }
+
+    return this.withBackupLock(serverName, () =>
+      this.manager.runExclusive(serverName, "restoring a backup", () =>
+        this.replaceWorlds(serverName, id, backupPath, requestedBy),
+      ),
+    );
+  }
+
+  async replaceWorlds(serverName, id, backupPath, requestedBy) {
+    const { serverPath, directories: currentWorlds } =
+      await this.manager.getWorldDirectories(serverName);
+    const snapshot =
+      currentWorlds.length > 0
+        ? await this.writeBackup(serverName, {
+            reason: "pre-restore",
+            applyRetention: false,
+          })
+        : null;
+
+    // Extract next to the live world so the swap below is a same-volume rename.
+    const stamp = formatBackupTimestamp(new Date());
+    const stagingDir = path.join(serverPath, `.restore-${stamp}`);
+    const previousDir = path.join(serverPath, `.restore-previous-${stamp}`);
+    await fs.mkdir(stagingDir);
+    let restoredWorlds;
+    try {
+      restoredWorlds = await extractTarGz(backupPath, stagingDir);
+      if (
+        restoredWorlds.length === 0 ||
+        !restoredWorlds.every((name) => WORLD_DIRECTORY_PATTERN.test(name))
+      ) {
+        throw new Error(`バックアップの内容が不正です: \`${id}\``);
+      }
+      for (const name of restoredWorlds) {
+        if (!(await fs.stat(path.join(stagingDir, name))).isDirectory()) {
+          throw new Error(`バックアップの内容が不正です: \`${id}\``);
+        }
+      }
+    } catch (error) {
+      await fs.rm(stagingDir, { recursive: true, force: true });
+      throw error;
+    }
+
+    await this.swapWorlds({
+      serverPath,
+      stagingDir,
+      previousDir,
+      currentWorlds,
+      restoredWorlds,
+    });
+    await fs.rm(stagingDir, { recursive: true, force: true });
+    await fs.rm(previousDir, { recursive: true, force: true });
+
+    await this.manager.appendConfigHistory(serverName, {
+      type: "restore",
+      backupId: id,
+      snapshotId: snapshot?.id || null,
+      worlds: restoredWorlds,
+      requestedBy,
+    });
+    const config = await this.manager.readServerConfig(serverName);
+    const expired = await this.applyRetention(serverName, config);
+    return {
+      serverName,
+      id,
+      snapshotId: snapshot?.id || null,
+      worlds: restoredWorlds,
+      expired,
+    };
+  }
+
+  async swapWorlds({ serverPath, stagingDir, previousDir, currentWorlds, restoredWorlds }) {
+    const movedAside = [];
+    const movedIn = [];
+    try {
+      await fs.mkdir(previousDir);
+      for (const name of new Set([...currentWorlds, ...restoredWorlds])) {
+        try {
+          await fs.rename(path.join(serverPath, name), path.join(previousDir, name));
+          movedAside.push(name);
+        } catch (error) {
+          if (error?.code !== "ENOENT") {
+            throw error;
+          }
+        }
+      }
+      for (const name of restoredWorlds) {
+        await fs.rename(path.join(stagingDir, name), path.join(serverPath, name));
+        movedIn.push(name);
+      }
+    } catch (error) {
+      // Put the original worlds back so a failed swap leaves the server untouched.
+      for (const name of movedIn.reverse()) {
+        await fs.rename(path.join(serverPath, name), path.join(stagingDir, name));
+      }
+      for (const name of movedAside.reverse()) {
+        await fs.rename(path.join(previousDir, name), path.join(serverPath, name));
+      }
+      await fs.rm(stagingDir, { recursive: true, force: true });
+      await fs.rm(previousDir, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  async suspendSaving(serverName) {
+    try {
+      await this.manager.executeCommand(serverName, "save-off", { captureMs: 0 });
+      return true;
+    } catch (error) {
+      // A server that is not running (and has no reachable RCON) is backed up as-is.
+      if (this.manager.running.has(serverName)) {
+        throw error;
+      }
+      return false;
+    }
+  }
+
+  async listBackups(serverName) {
+    let entries = [];
+    try {
+      entries = await fs.readdir(this.getBackupDir(serverName));
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        throw error;
+      }
+    }
+
+    const backups = [];
+    for (const entry of entries) {
+      if (!entry.endsWith(BACKUP_EXTENSION)) {
+        continue;
+      }
+      const id = entry.slice(0, -BACKUP_EXTENSION.length);
+      const match = BACKUP_ID_PATTERN.exec(id);
+      const createdAt = match ? parseBackupTimestamp(match[1]) : null;
+      if (!createdAt) {
+        continue;
+      }
+      const { size } = await fs.stat(path.join(this.getBackupDir(serverName), entry));
+      backups.push({ id, reason: match[2], createdAt, sizeBytes: size });
+    }
+    return backups.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  async applyRetention(serverName, config) {
+    // The pre-upgrade backup stays while `/mc-upgrade rollback` still points to it.
+    const pinned = config?.previousRelease?.backupId;
+    const expired = selectExpiredBackups(
+      await this.listBackups(serverName),
+      config?.backupRetention,
+    ).filter((backup) => backup.id !== pinned);
+    for (const backup of expired) {
+      await fs.rm(this.resolveBackupPath(serverName, backup.id), { force: true });
+    }
+    return expired.map((backup) => backup.id);
+  }
+
+  async getRetention(serverName) {
+    const config = await this.manager.readServerConfig(serverName);
+    return normalizeRetention(config?.backupRetention);
+  }
+
+  async setRetention(serverName, retention) {
+    const changes = Object.fromEntries(
+      Object.entries(retention).filter(([, value]) => value != null),
+    );
+    const config = await this.manager.updateServerConfig(serverName, (raw) => {
+      raw.backupRetention = normalizeRetention({ ...raw.backupRetention, ...changes });
+    });
+    const expired = await this.applyRetention(config.name, config);
+    return { serverName: config.name, retention: config.backupRetention, expired };
+  }
+}
@@ -3,20 +3,45 @@ import {
   ButtonBuilder,
   ButtonStyle,
   Client,
+  escapeMarkdown,
   Events,
   GatewayIntentBits,
   ModalBuilder,
+  PermissionFlagsBits,
   StringSelectMenuBuilder,
   TextInputBuilder,
   TextInputStyle,
 } from "discord.js";
 import {
+  ALERT_NOTIFY_CHANNEL_ID,
   assertEnv,
+  DISCORD_NOTIFY_CHANNEL_ID,
   DISCORD_TOKEN,
   JAVA_PATH,
+  JAVA_RUNTIMES,
   MC_BASE_DIR,
+  MC_EXEC_DENYLIST,
+  PLUGIN_REPOSITORY,
+  PLUGIN_REPOSITORY_URL,
+  STATS_COLLECT_TPS,
+  STATS_INTERVAL_SECONDS,
+  UPDATE_CHECK_INTERVAL_HOURS,
+  UPDATE_NOTIFY_CHANNEL_ID,
 } from "./config.js";
+import { AccessListManager } from "./accessLists.js";
+import { ALERT_TYPES, AlertManager } from "./alertManager.js";
+import { BackupManager } from "./backupManager.js";
+import { ChatBridge } from "./chatBridge.js";
+import { ConsoleRelay } from "./consoleRelay.js";
 import { MinecraftManager } from "./minecraftManager.js";
+import { PlayerTracker } from "./playerTracker.js";
+import { JVM_PRESETS, joinArgs, normalizeJvmOptions, splitArgs } from "./jvmOptions.js";
+import { PluginManager } from "./pluginManager.js";
+import { renderSparkline, ResourceMonitor } from "./resourceMonitor.js";
+import { Scheduler } from "./scheduler.js";
+import { formatRelease, ServerUpgrader } from "./serverUpgrader.js";
+import { UpdateChecker } from "./updateChecker.js";
+import { PROPERTY_SCHEMA } from "./serverProperties.js";
 
 const WIZARD_PREFIX = "mc_wizard";
 const WIZARD_MODE_ID = `${WIZARD_PREFIX}:mode`;
@@ -24,13 +49,31 @@ const WIZARD_CANCEL_ID = `${WIZARD_PREFIX}:cancel`;
 const WIZARD_ANSWER_PREFIX = `${WIZARD_PREFIX}:answer`;
 const WIZARD_MODAL_PREFIX = `${WIZARD_PREFIX}:modal`;
 const WIZARD_FORK_PREFIX = `${WIZARD_PREFIX}:fork`;
+const WIZARD_CHOICE_PREFIX = `${WIZARD_PREFIX}:choice`;
 const WIZARD_CONFIRM_PREFIX = `${WIZARD_PREFIX}:confirm`;
 
 const SESSION_TTL_MS = 30 * 60 * 1000;
 const AUTOCOMPLETE_COMMANDS = new Set([
   "mc-start",
   "mc-stop",
+  "mc-restart",
+  "mc-schedule",
+  "mc-alerts",
+  "mc-backup",
+  "mc-restore",
+  "mc-upgrade",
+  "mc-properties",
+  "mc-whitelist",
+  "mc-op",
+  "mc-ban",
+  "mc-plugins",
+  "mc-jvm",
+  "mc-exec",
+  "mc-console",
+  "mc-chat",
+  "mc-players",
   "mc-status",
+  "mc-stats",
   "mc-logs",
 ]);
 const FORK_OPTIONS = [
@@ -49,6 +92,26 @@ const FORK_OPTIONS = [
     label: "Purpur",
     description: "Paper系フォーク",
   },
+  {
+    value: "fabric",
+    label: "Fabric",
+    description: "軽量なModローダー",
+  },
+  {
+    value: "quilt",
+    label: "Quilt",
+    description: "Fabric互換のModローダー",
+  },
+  {
+    value: "forge",
+    label: "Forge",
+    description: "定番のModローダー（インストーラーを実行）",
+  },
+  {
+    value: "neoforge",
+    label: "NeoForge",
+    description: "Forge派生のModローダー（インストーラーを実行）",
+  },
   {
     value: "custom",
     label: "Custom",
@@ -56,18 +119,66 @@ const FORK_OPTIONS = [
   },
 ];
 
+const CREATE_FORKS = FORK_OPTIONS.map((fork) => fork.value).filter(
+  (fork) => fork !== "custom",
+);
+const IMPORT_FORKS = FORK_OPTIONS.map((fork) => fork.value);
+
+const JVM_FLOW = [
+  {
+    field: "jvmPreset",
+    type: "choice_select",
+    question: "JVMの調整プリセットを選んでください（あとから `/mc-jvm` で変更できます）。",
+    placeholder: "プリセットを選択",
+    options: [
+      {
+        value: "none",
+        label: "なし",
+        description: "-Xms/-Xmx のみ",
+      },
+      ...Object.entries(JVM_PRESETS).map(([value, preset]) => ({
+        value,
+        label: value,
+        description: preset.description,
+      })),
+    ],
+  },
+  {
+    field: "jvmArgs",
+    type: "modal_input",
+    question: "追加のJVM引数を入力してください（空欄可、例: -Dfile.encoding=UTF-8）。",
+    inputLabel: "JVM引数",
+    placeholder: "-Dfile.encoding=UTF-8",
+    maxLength: 1000,
+    required: false,
+    style: TextInputStyle.Paragraph,
+    adminOnly: true,
+  },
+  {
+    field: "serverArgs",
+    type: "modal_input",
+    question: "サーバーに渡す追加の引数を入力してください（空欄可、例: --world-dir worlds）。",
+    inputLabel: "サーバー引数",
+    placeholder: "--world-dir worlds",
+    maxLength: 1000,
+    required: false,
+    style: TextInputStyle.Paragraph,
+    adminOnly: true,
+  },
+];
+
 const CREATE_FLOW = [
   {
     field: "fork",
     type: "fork_select",
     question:
-      "質問 1/6: どのフォークで作成しますか？",
+      "どのフォークで作成しますか？",
   },
   {
     field: "name",
     type: "modal_input",
     question:
-      "質問 2/6: 管理名を入力してください（3-32文字、英数字と _ -）。",
+      "管理名を入力してください（3-32文字、英数字と _ -）。",
     inputLabel: "サーバー名",
     placeholder: "my-server",
     maxLength: 32,
@@ -77,7 +188,7 @@ const CREATE_FLOW = [
     field: "version",
     type: "modal_input",
     question:
-      '質問 3/6: Minecraftバージョンを入力してください（例: 1.21.1 / latest）。',
+      'Minecraftバージョンを入力してください（例: 1.21.1 / latest）。Forge は 1.20.1-47.2.0 のようにForgeのバージョンまで指定することもできます。',
     inputLabel: "バージョン",
     placeholder: "latest",
     maxLength: 32,
@@ -87,7 +198,8 @@ const CREATE_FLOW = [
   {
     field: "port",
     type: "modal_input",
-    question: "質問 4/6: サーバーポートを入力してください（1024-65535）。",
+    question:
+      "サーバーポートを入力してください（1024-65535）。入力欄には他の管理サーバーやこのホストで使われていないポートを提案します。",
     inputLabel: "ポート",
     placeholder: "25565",
     maxLength: 5,
@@ -97,23 +209,42 @@ const CREATE_FLOW = [
   {
     field: "memoryMb",
     type: "modal_input",
-    question: "質問 5/6: メモリ(MB)を入力してください（512-65536）。",
+    question: "メモリ(MB)を入力してください（512-65536）。",
     inputLabel: "メモリ(MB)",
     placeholder: "2048",
     maxLength: 5,
     required: true,
     defaultValue: "2048",
   },
+  ...JVM_FLOW,
   {
     field: "motd",
     type: "modal_input",
-    question: "質問 6/6: MOTDを入力してください（空欄可）。",
+    question: "MOTDを入力してください（空欄可）。",
     inputLabel: "MOTD",
     placeholder: "Discord Bot Managed Server",
     maxLength: 59,
     required: false,
     style: TextInputStyle.Paragraph,
   },
+  {
+    field: "enableRcon",
+    type: "choice_select",
+    question: "RCONを有効にしますか？（Bot外で起動した場合もコマンド送信・停止が可能になります）",
+    placeholder: "RCONの有効/無効を選択",
+    options: [
+      {
+        value: "yes",
+        label: "有効にする",
+        description: "パスワードを自動生成して bot-config.json に保存",
+      },
+      {
+        value: "no",
+        label: "無効のまま",
+        description: "標準入力経由でのみコンソール操作",
+      },
+    ],
+  },
 ];
 
 const IMPORT_FLOW = [
@@ -121,7 +252,7 @@ const IMPORT_FLOW = [
     field: "name",
     type: "modal_input",
     question:
-      "質問 1/6: 管理名を入力してください（3-32文字、英数字と _ -）。",
+      "管理名を入力してください（3-32文字、英数字と _ -）。",
     inputLabel: "サーバー名",
     placeholder: "legacy-server",
     maxLength: 32,
@@ -131,7 +262,7 @@ const IMPORT_FLOW = [
     field: "sourcePath",
     type: "modal_input",
     question:
-      "質問 2/6: 既存サーバーディレクトリのフルパスを入力してください。",
+      "既存サーバーディレクトリのフルパスを入力してください。",
     inputLabel: "サーバーパス",
     placeholder: "D:\\servers\\world1",
     maxLength: 300,
@@ -141,7 +272,7 @@ const IMPORT_FLOW = [
     field: "jarFile",
     type: "modal_input",
     question:
-      "質問 3/6: 起動に使うjarファイル名を入力してください（相対パス可）。",
+      "起動に使うjarファイル名を入力してください（相対パス可）。Forge/NeoForge 1.17以降は run.sh または run.bat を指定してください。",
     inputLabel: "jarファイル",
     placeholder: "server.jar",
     maxLength: 150,
@@ -152,13 +283,13 @@ const IMPORT_FLOW = [
     field: "fork",
     type: "fork_select",
     question:
-      "質問 4/6: 既存サーバーのフォーク種別を選んでください。",
+      "既存サーバーのフォーク種別を選んでください。",
   },
   {
     field: "version",
     type: "modal_input",
     question:
-      "質問 5/6: バージョンを入力してください（不明なら unknown）。",
+      "バージョンを入力してください（不明なら unknown）。",
     inputLabel: "バージョン",
     placeholder: "unknown",
     maxLength: 32,
@@ -168,13 +299,14 @@ const IMPORT_FLOW = [
   {
     field: "memoryMb",
     type: "modal_input",
-    question: "質問 6/6: メモリ(MB)を入力してください（512-65536）。",
+    question: "メモリ(MB)を入力してください（512-65536）。",
     inputLabel: "メモリ(MB)",
     placeholder: "2048",
     maxLength: 5,
     required: true,
     defaultValue: "2048",
   },
+  ...JVM_FLOW,
 ];
 
 function sanitizeServerName(name) {
@@ -195,19 +327,23 @@ function parseIntegerRange(value, label, min, max) {
   return parsed;
 }
 
-function getFlow(mode) {
-  if (mode === "create") {
-    return CREATE_FLOW;
-  }
-  if (mode === "import") {
-    return IMPORT_FLOW;
+function getFlow(session) {
+  let flow;
+  if (session.mode === "create") {
+    flow = CREATE_FLOW;
+  } else if (session.mode === "import") {
+    flow = IMPORT_FLOW;
+  } else {
+    throw new Error("不正なモードです。");
   }
-  throw new Error("不正なモードです。");
+  // Free-form JVM/server arguments are as powerful as `/mc-jvm set`.
+  return session.isAdmin ? flow : flow.filter((step) => !step.adminOnly);
 }
 
-function createInitialSession() {
+function createInitialSession({ isAdmin = false } = {}) {
   return {
     mode: null,
+    isAdmin,
     stepIndex: 0,
     data: {},
     updatedAt: Date.now(),
@@ -235,7 +371,7 @@ function buildModePrompt() {
       {
         label: "新規作成",
         value: "create",
-        description: "バニラ/Paper/Purpurから作成",
+        description: "Vanilla/Paper/Purpur/Fabric/Quilt/Forge/NeoForgeから作成",
       },
       {
         label: "既存サーバー追加",
@@ -246,7 +382,7 @@ function buildModePrompt() {
 
   return {
     content:
-      "Minecraft管理ウィザードを開始します。\n質問 0/6: 何をしますか？",
+      "Minecraft管理ウィザードを開始します。\n質問 0: 何をしますか？",
     components: [
       new ActionRowBuilder().addComponents(modeSelect),
       new ActionRowBuilder().addComponents(
@@ -260,7 +396,7 @@ function buildModePrompt() {
 }
 
 function getCurrentStep(session) {
-  const flow = getFlow(session.mode);
+  const flow = getFlow(session);
   return flow[session.stepIndex] || null;
 }
 
@@ -282,18 +418,36 @@ function buildForkSelect(mode, stepIndex) {
     );
 }
 
+function buildChoiceSelect(mode, step, stepIndex) {
+  return new StringSelectMenuBuilder()
+    .setCustomId(`${WIZARD_CHOICE_PREFIX}:${mode}:${step.field}:${stepIndex}`)
+    .setPlaceholder(step.placeholder || "選択してください")
+    .addOptions(
+      step.options.map((choice) => ({
+        label: choice.label,
+        value: choice.value,
+        description: choice.description,
+      })),
+    );
+}
+
 function buildQuestionPrompt(session) {
   const step = getCurrentStep(session);
   if (!step) {
     return buildConfirmationPrompt(session);
   }
 
-  if (step.type === "fork_select") {
+  const flow = getFlow(session);
+  const question = `質問 ${session.stepIndex + 1}/${flow.length}: ${step.question}`;
+
+  if (step.type === "fork_select" || step.type === "choice_select") {
     return {
-      content: step.question,
+      content: question,
       components: [
         new ActionRowBuilder().addComponents(
-          buildForkSelect(session.mode, session.stepIndex),
+          step.type === "fork_select"
+            ? buildForkSelect(session.mode, session.stepIndex)
+            : buildChoiceSelect(session.mode, step, session.stepIndex),
         ),
         new ActionRowBuilder().addComponents(
           new ButtonBuilder()
@@ -306,7 +460,7 @@ function buildQuestionPrompt(session) {
   }
 
   return {
-    content: `${step.question}\n下の「回答する」を押して入力してください。`,
+    content: `${question}\n下の「回答する」を押して入力してください。`,
     components: [
       new ActionRowBuilder().addComponents(
         new ButtonBuilder()
@@ -324,6 +478,14 @@ function buildQuestionPrompt(session) {
   };
 }
 
+function buildJvmSummaryLines(data) {
+  return [
+    `jvmPreset: ${data.jvmPreset || "none"}`,
+    `jvmArgs: ${data.jvmArgs || "(なし)"}`,
+    `serverArgs: ${data.serverArgs || "(なし)"}`,
+  ];
+}
+
 function buildSummaryLines(session) {
   if (session.mode === "create") {
     return [
@@ -333,7 +495,9 @@ function buildSummaryLines(session) {
       `version: ${session.data.version}`,
       `port: ${session.data.port}`,
       `memoryMb: ${session.data.memoryMb}`,
+      ...buildJvmSummaryLines(session.data),
       `motd: ${session.data.motd || session.data.name}`,
+      `rcon: ${session.data.enableRcon === "yes" ? "enabled" : "disabled"}`,
     ];
   }
 
@@ -345,6 +509,7 @@ function buildSummaryLines(session) {
     `fork: ${session.data.fork}`,
     `version: ${session.data.version}`,
     `memoryMb: ${session.data.memoryMb}`,
+    ...buildJvmSummaryLines(session.data),
   ];
 }
 
@@ -439,6 +604,11 @@ function normalizeStepValue(field, rawValue) {
   if (field === "motd") {
     return value;
   }
+  if (field === "jvmArgs" || field === "serverArgs") {
+    // Validate now so that a bad flag is reported on this question.
+    normalizeJvmOptions({ [field]: splitArgs(value) });
+    return value;
+  }
   if (!value) {
     throw new Error("空欄は入力できません。");
   }
@@ -447,8 +617,8 @@ function normalizeStepValue(field, rawValue) {
 
 function parseCreatePayload(data) {
   const fork = String(data.fork || "").trim().toLowerCase();
-  if (!["vanilla", "paper", "purpur"].includes(fork)) {
-    throw new Error("作成時のフォークは vanilla / paper / purpur のみ対応です。");
+  if (!CREATE_FORKS.includes(fork)) {
+    throw new Error(`作成時のフォークは ${CREATE_FORKS.join(" / ")} のみ対応です。`);
   }
 
   return {
@@ -458,13 +628,23 @@ function parseCreatePayload(data) {
     port: parseIntegerRange(data.port, "ポート", 1024, 65535),
     memoryMb: parseIntegerRange(data.memoryMb, "メモリ", 512, 65536),
     motd: String(data.motd || data.name || "").trim() || sanitizeServerName(data.name),
+    enableRcon: data.enableRcon === "yes",
+    ...parseJvmPayload(data),
+  };
+}
+
+function parseJvmPayload(data) {
+  return {
+    jvmPreset: data.jvmPreset && data.jvmPreset !== "none" ? data.jvmPreset : null,
+    jvmArgs: splitArgs(data.jvmArgs),
+    serverArgs: splitArgs(data.serverArgs),
   };
 }
 
 function parseImportPayload(data) {
   const fork = String(data.fork || "custom").trim().toLowerCase();
-  if (!["vanilla", "paper", "purpur", "custom"].includes(fork)) {
-    throw new Error("既存追加のフォークは vanilla / paper / purpur / custom です。");
+  if (!IMPORT_FORKS.includes(fork)) {
+    throw new Error(`既存追加のフォークは ${IMPORT_FORKS.join(" / ")} です。`);
   }
 
   const sourcePath = String(data.sourcePath || "").trim();
@@ -479,7 +659,425 @@ function parseImportPayload(data) {
     fork,
     version: String(data.version || "unknown").trim() || "unknown",
     memoryMb: parseIntegerRange(data.memoryMb, "メモリ", 512, 65536),
+    ...parseJvmPayload(data),
+  };
+}
+
+function formatDuration(ms) {
+  return `${(ms / 1000).toFixed(1)}秒`;
+}
+
+function formatPlaytime(ms) {
+  const totalMinutes = Math.floor(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}時間${minutes}分` : `${minutes}分`;
+}
+
+function formatPlayerSummary(serverName, summary) {
+  const lines = [`プレイヤー: \`${serverName}\`（記録済み ${summary.knownPlayers}人）`];
+
+  lines.push(`オンライン (${summary.online.length}):`);
+  if (summary.online.length === 0) {
+    lines.push("- なし");
+  }
+  for (const player of summary.online) {
+    lines.push(
+      `- ${player.name} | 参加: ${player.sessionStartedAt} | 累計: ${formatPlaytime(player.totalPlaytimeMs)}`,
+    );
+  }
+
+  lines.push("最近のプレイヤー:");
+  if (summary.recent.length === 0) {
+    lines.push("- なし");
+  }
+  for (const player of summary.recent) {
+    lines.push(
+      `- ${player.name} | 最終: ${player.lastSeen} | 初回: ${player.firstSeen} | 累計: ${formatPlaytime(player.totalPlaytimeMs)}`,
+    );
+  }
+
+  return lines.join("\n");
+}
+
+async function sendToChannel(client, channelId, content) {
+  try {
+    const channel = await client.channels.fetch(channelId);
+    if (channel?.isTextBased()) {
+      await channel.send({ content, allowedMentions: { parse: [] } });
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error(error);
+  }
+}
+
+function registerPlayerAnnouncements(client, manager, playerTracker) {
+  const announce = async (serverName, content) => {
+    const config = await manager.readServerConfig(serverName);
+    const channelId = config?.playerAnnouncements?.channelId;
+    if (channelId) {
+      await sendToChannel(client, channelId, content);
+    }
   };
+
+  playerTracker.on("playerJoin", (event) => {
+    announce(
+      event.name,
+      `➡️ \`${event.name}\`: **${escapeMarkdown(event.player)}** が参加しました${event.firstJoin ? "（初参加）" : ""}`,
+    ).catch(() => {});
+  });
+
+  playerTracker.on("playerLeave", (event) => {
+    announce(
+      event.name,
+      `⬅️ \`${event.name}\`: **${escapeMarkdown(event.player)}** が退出しました（プレイ時間 ${formatPlaytime(event.sessionMs)}）`,
+    ).catch(() => {});
+  });
+}
+
+function formatExit(exit) {
+  if (exit.error) {
+    return `error=${exit.error}`;
+  }
+  return `code=${exit.code ?? "null"} signal=${exit.signal ?? "null"}`;
+}
+
+function formatStopResult(result) {
+  const method = {
+    stop: "stop コマンドで正常停止",
+    sigterm: "stop に応答しなかったため SIGTERM で停止",
+    sigkill: "SIGTERM に応答しなかったため SIGKILL で強制終了",
+  }[result.method];
+  const via = result.via === "rcon" ? "（RCON経由）" : "";
+  const saved = result.saved ? "完了" : "未確認";
+  return `停止しました${via}: \`${result.name}\`\n${method}、ワールド保存: ${saved}`;
+}
+
+async function sendNotification(client, content) {
+  if (!DISCORD_NOTIFY_CHANNEL_ID) {
+    return;
+  }
+  await sendToChannel(client, DISCORD_NOTIFY_CHANNEL_ID, content);
+}
+
+function registerManagerNotifications(client, manager) {
+  manager.on("serverRestartScheduled", (event) => {
+    sendNotification(
+      client,
+      `⚠️ \`${event.name}\` が異常終了しました（${formatExit(event.lastExit)}）。${event.delaySeconds}秒後に自動再起動します（試行 ${event.attempt}）。`,
+    );
+  });
+
+  manager.on("serverRestarted", (event) => {
+    sendNotification(
+      client,
+      `🔄 \`${event.name}\` を自動再起動しました（PID: ${event.pid ?? "unknown"}、試行 ${event.attempt}）。`,
+    );
+  });
+
+  manager.on("serverRestartFailed", (event) => {
+    sendNotification(
+      client,
+      `❌ \`${event.name}\` の自動再起動に失敗しました: ${event.error}`,
+    );
+  });
+
+  manager.on("serverCrashLoop", (event) => {
+    sendNotification(
+      client,
+      `🛑 \`${event.name}\` はクラッシュループ状態です（${event.windowSeconds}秒以内に${event.restarts}回再起動）。自動再起動を停止しました。\`/mc-start\` で手動起動してください。`,
+    );
+  });
+}
+
+const SCHEDULE_ACTION_LABELS = {
+  restart: "再起動",
+  stop: "停止",
+  start: "起動",
+  command: "コマンド",
+  backup: "バックアップ",
+};
+
+function formatSchedule(schedule) {
+  const detail =
+    schedule.action === "command"
+      ? ` \`${schedule.command}\``
+      : schedule.action === "start"
+        ? ""
+        : `（予告 ${schedule.delaySeconds}秒${schedule.message ? `: ${schedule.message}` : ""}）`;
+  return `\`${schedule.id}\` | \`${schedule.cron}\` | ${SCHEDULE_ACTION_LABELS[schedule.action]}${detail} | 次回: ${schedule.nextRunAt || "なし"}`;
+}
+
+function registerScheduleNotifications(client, scheduler) {
+  scheduler.on("scheduleRun", (event) => {
+    if (event.result?.skipped) {
+      return;
+    }
+    sendNotification(
+      client,
+      `⏰ \`${event.name}\` のスケジュール \`${event.schedule.id}\`（${SCHEDULE_ACTION_LABELS[event.schedule.action]}）を実行しました。`,
+    );
+  });
+
+  scheduler.on("scheduleFailed", (event) => {
+    sendNotification(
+      client,
+      `❌ \`${event.name}\` のスケジュール \`${event.schedule.id}\`（${SCHEDULE_ACTION_LABELS[event.schedule.action]}）が失敗しました: ${event.error.message}`,
+    );
+  });
+}
+
+function formatUpdateResult(result) {
+  const label = `\`${result.name}\` (${result.fork} ${formatRelease(result.current)})`;
+  if (result.status === "release") {
+    const build = result.newBuild
+      ? `（現行バージョンの新ビルド ${formatRelease(result.newBuild)} もあります）`
+      : "";
+    return `⬆️ ${label} → 新しいMinecraftバージョン ${formatRelease(result.newRelease)}${build}`;
+  }
+  if (result.status === "build") {
+    return `🔧 ${label} → 同じMinecraftバージョンの新ビルド ${formatRelease(result.newBuild)}`;
+  }
+  if (result.status === "unknown") {
+    return `❔ ${label} バージョン不明のため確認できません`;
+  }
+  if (result.status === "unsupported") {
+    return `➖ ${label} 確認対象外`;
+  }
+  if (result.status === "error") {
+    return `⚠️ ${label} 確認に失敗しました: ${result.error}`;
+  }
+  return `✅ ${label} 最新です`;
+}
+
+function formatAlertValue(type, value) {
+  if (type === "exit" || !Number.isFinite(value)) {
+    return "";
+  }
+  const unit = ALERT_TYPES[type].unit;
+  return `${value.toFixed(1)}${unit === "GB" ? " GB" : unit}`;
+}
+
+function formatAlertCondition(rule) {
+  const spec = ALERT_TYPES[rule.type];
+  if (rule.type === "exit") {
+    return spec.label;
+  }
+  const duration = rule.forMinutes > 0 ? ` が${rule.forMinutes}分継続` : "";
+  return `${spec.label} ${spec.above ? ">" : "<"} ${formatAlertValue(rule.type, rule.threshold)}${duration}`;
+}
+
+function formatAlertRule(rule) {
+  const firing = rule.firing ? " | 🔴 発生中" : "";
+  return `\`${rule.id}\` | ${formatAlertCondition(rule)} | 再通知まで${rule.cooldownMinutes}分${firing}`;
+}
+
+function registerAlertNotifications(client, alertManager) {
+  alertManager.on("alertFired", (event) => {
+    if (!ALERT_NOTIFY_CHANNEL_ID) {
+      return;
+    }
+    const label = ALERT_TYPES[event.rule.type].label;
+    const detail =
+      event.rule.type === "exit"
+        ? `${label}（${formatExit(event.exit)}）`
+        : `${label}が ${formatAlertValue(event.rule.type, event.value)}（条件: ${formatAlertCondition(event.rule)}）`;
+    sendToChannel(
+      client,
+      ALERT_NOTIFY_CHANNEL_ID,
+      `🚨 \`${event.name}\` アラート \`${event.rule.id}\`: ${detail}`,
+    );
+  });
+
+  alertManager.on("alertCleared", (event) => {
+    if (!ALERT_NOTIFY_CHANNEL_ID) {
+      return;
+    }
+    const label = ALERT_TYPES[event.rule.type].label;
+    let detail = `${label} ${formatAlertValue(event.rule.type, event.value)}`;
+    if (event.rule.type === "exit") {
+      detail = "サーバーが再び起動しました";
+    } else if (event.reason === "stopped") {
+      detail = "サーバーが停止しました";
+    }
+    sendToChannel(
+      client,
+      ALERT_NOTIFY_CHANNEL_ID,
+      `✅ \`${event.name}\` アラート \`${event.rule.id}\` 解除: ${detail}`,
+    );
+  });
+
+  alertManager.on("alertCheckFailed", (event) => {
+    // eslint-disable-next-line no-console
+    console.error(event.error);
+  });
+}
+
+function registerUpdateNotifications(client, updateChecker) {
+  updateChecker.on("updatesAvailable", (event) => {
+    if (!UPDATE_NOTIFY_CHANNEL_ID) {
+      return;
+    }
+    const lines = [
+      "🆕 管理中サーバーの更新があります",
+      ...event.results.map((result) => `- ${formatUpdateResult(result)}`),
+      "`/mc-upgrade apply` で更新できます。新しいMinecraftバージョン（⬆️）への更新は、ワールドやプラグイン・Modの互換性を確認してから行ってください。",
+    ];
+    sendToChannel(client, UPDATE_NOTIFY_CHANNEL_ID, lines.join("\n").slice(0, 1900));
+  });
+
+  updateChecker.on("updateCheckFailed", (event) => {
+    // eslint-disable-next-line no-console
+    console.error(event.error);
+  });
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) {
+    return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+  }
+  if (bytes >= 1024 ** 2) {
+    return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  }
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function formatRetention(retention) {
+  if (!retention.keepLast && !retention.keepDaily && !retention.keepWeekly) {
+    return "無制限（自動削除しない）";
+  }
+  return `最新${retention.keepLast}件 + 日次${retention.keepDaily}日 + 週次${retention.keepWeekly}週`;
+}
+
+function formatPropertyHint(key) {
+  const schema = PROPERTY_SCHEMA[key];
+  if (!schema) {
+    return key;
+  }
+  if (schema.type === "boolean") {
+    return `${key} (true/false)`;
+  }
+  if (schema.type === "integer") {
+    return `${key} (${schema.min}〜${schema.max})`;
+  }
+  if (schema.type === "enum") {
+    return `${key} (${schema.values.join("/")})`.slice(0, 100);
+  }
+  return key;
+}
+
+function formatPropertyValue(key, value) {
+  if (value == null) {
+    return "（未設定）";
+  }
+  if (PROPERTY_SCHEMA[key]?.secret && value) {
+    return "********";
+  }
+  return value === "" ? "（空）" : value;
+}
+
+const ACCESS_LIST_COMMANDS = {
+  "mc-whitelist": {
+    label: "ホワイトリスト",
+    option: "player",
+    add: (accessLists, name, target) => accessLists.addWhitelist(name, target),
+    remove: (accessLists, name, target) => accessLists.removeWhitelist(name, target),
+    lists: ["whitelist"],
+  },
+  "mc-op": {
+    label: "OP",
+    option: "player",
+    add: (accessLists, name, target) => accessLists.addOp(name, target),
+    remove: (accessLists, name, target) => accessLists.removeOp(name, target),
+    lists: ["ops"],
+  },
+  "mc-ban": {
+    label: "BAN",
+    option: "target",
+    add: (accessLists, name, target, reason) => accessLists.addBan(name, target, reason),
+    remove: (accessLists, name, target) => accessLists.removeBan(name, target),
+    lists: ["bans", "ipBans"],
+  },
+};
+
+function formatAccessEntry(entry) {
+  if (entry.ip) {
+    return `${entry.ip}${entry.reason ? ` | ${entry.reason}` : ""}`;
+  }
+  const details = [entry.uuid];
+  if (entry.level != null) {
+    details.push(`level ${entry.level}`);
+  }
+  if (entry.reason) {
+    details.push(entry.reason);
+  }
+  return `${escapeMarkdown(entry.name || "?")} | ${details.join(" | ")}`;
+}
+
+function formatPlugin(plugin) {
+  if (plugin.error) {
+    return `${plugin.enabled ? "🟢" : "⚪"} \`${plugin.fileName}\` | 読み込めません: ${plugin.error}`;
+  }
+  const parts = [
+    `${plugin.enabled ? "🟢" : "⚪"} **${escapeMarkdown(plugin.name)}** ${escapeMarkdown(plugin.version)}`,
+  ];
+  if (plugin.depend.length > 0) {
+    parts.push(`依存: ${plugin.depend.join(", ")}`);
+  }
+  if (plugin.softdepend.length > 0) {
+    parts.push(`任意依存: ${plugin.softdepend.join(", ")}`);
+  }
+  parts.push(`\`${plugin.fileName}\``);
+  return parts.join(" | ");
+}
+
+function formatLaunch(launch) {
+  if (launch?.type === "argsFile") {
+    return launch.argsFiles.map((file) => `@${file}`).join(" ");
+  }
+  return `-jar ${launch?.jarFile || "server.jar"}`;
+}
+
+function formatJavaRequirement(majorVersion) {
+  if (majorVersion == null) {
+    return "不明（JAVA_PATH を使用）";
+  }
+  return majorVersion > 8 ? `Java ${majorVersion}以上` : `Java ${majorVersion}〜11`;
+}
+
+function formatJava(java) {
+  const requirement = `要件: ${formatJavaRequirement(java.required)}`;
+  if (java.error) {
+    return `⚠️ 互換性のあるJavaが見つかりません（${requirement}）`;
+  }
+  const runtime = java.runtime;
+  if (!runtime) {
+    return `unknown (${requirement})`;
+  }
+  return `${runtime.version || runtime.majorVersion || "?"} ${runtime.path} (${requirement})`;
+}
+
+function formatJvmSettings(config) {
+  const preset = config.jvmPreset
+    ? `${config.jvmPreset}（${JVM_PRESETS[config.jvmPreset]?.description || "不明"}）`
+    : "なし";
+  return [
+    `- プリセット: ${preset}`,
+    `- JVM引数: ${config.jvmArgs?.length ? `\`${joinArgs(config.jvmArgs)}\`` : "なし"}`,
+    `- サーバー引数: ${config.serverArgs?.length ? `\`${joinArgs(config.serverArgs)}\`` : "なし"}`,
+  ];
+}
+
+function formatJvmSummary(config) {
+  const parts = [`preset ${config.jvmPreset || "none"}`];
+  if (config.jvmArgs?.length) {
+    parts.push(joinArgs(config.jvmArgs));
+  }
+  if (config.serverArgs?.length) {
+    parts.push(`server: ${joinArgs(config.serverArgs)}`);
+  }
+  return parts.join(" | ");
 }
 
 function formatStatus(status) {
@@ -490,24 +1088,119 @@ function formatStatus(status) {
   const cfg = status.config || {};
   const lines = [
     `name: ${status.name}`,
-    `running: ${status.running ? "yes" : "no"}`,
+    `state: ${status.state}${status.stateSince ? ` (since ${status.stateSince})` : ""}`,
     `source: ${cfg.source || "unknown"}`,
     `fork: ${cfg.fork || "unknown"}`,
     `version: ${cfg.version || "unknown"}`,
     `port: ${cfg.port || "unknown"}`,
     `memoryMb: ${cfg.memoryMb || "unknown"}`,
-    `jarFile: ${cfg.jarFile || "server.jar"}`,
+    `launch: ${formatLaunch(cfg.launch)}`,
+    `jvm: ${formatJvmSummary(cfg)}`,
+    `java: ${status.java ? formatJava(status.java) : "unknown"}`,
     `serverPath: ${cfg.serverPath || "unknown"}`,
+    `rcon: ${status.rcon ? `enabled (port ${status.rcon.port})` : "disabled"}`,
   ];
 
+  if (status.external) {
+    lines.push("external: yes (Bot外で起動中)");
+  }
+  if (status.live) {
+    const live = status.live;
+    const names = status.players?.players.length
+      ? status.players.players
+      : live.sample;
+    lines.push(
+      `players: ${live.online}/${live.max}${names.length > 0 ? ` (${names.join(", ")})` : ""}`,
+    );
+    lines.push(`liveVersion: ${live.version}`);
+    lines.push(`liveMotd: ${live.motd.replaceAll("\n", " / ") || "(none)"}`);
+    lines.push(`ping: ${live.latencyMs ?? "unknown"}ms`);
+  } else if (status.players) {
+    const names = status.players.players.join(", ");
+    lines.push(
+      `players: ${status.players.online}/${status.players.max}${names ? ` (${names})` : ""}`,
+    );
+  }
+
+  const restart = status.restart;
+  if (restart) {
+    lines.push(
+      `restartPolicy: ${restart.policy.mode} (max ${restart.policy.maxRestarts}/${restart.policy.windowSeconds}s)`,
+    );
+    if (restart.crashLooping) {
+      lines.push("crash-looping: 自動再起動を停止中（/mc-start で解除）");
+    }
+    if (restart.nextRestartAt) {
+      lines.push(`nextRestartAt: ${restart.nextRestartAt}`);
+    }
+    if (restart.lastExit) {
+      lines.push(`lastExit: ${formatExit(restart.lastExit)} at ${restart.lastExit.at}`);
+    }
+  }
+
   if (status.running) {
     lines.push(`pid: ${status.pid ?? "unknown"}`);
     lines.push(`startedAt: ${status.startedAt || "unknown"}`);
+    if (status.startupMs != null) {
+      lines.push(`startupTime: ${formatDuration(status.startupMs)}`);
+    }
+    if (status.adopted) {
+      lines.push("adopted: yes (Bot再起動後に再接続)");
+    }
+  }
+
+  return ["```", ...lines, "```"].join("\n");
+}
+
+const STATS_ROWS = [
+  { metric: "cpuPercent", label: "CPU", format: (value) => `${value.toFixed(1)}%` },
+  { metric: "rssBytes", label: "RSS", format: formatBytes },
+  { metric: "threads", label: "Threads", format: (value) => String(Math.round(value)) },
+  { metric: "tps", label: "TPS", format: (value) => value.toFixed(1) },
+  { metric: "mspt", label: "MSPT", format: (value) => `${value.toFixed(1)}ms` },
+];
+
+function formatStats(stats) {
+  const current = stats.current;
+  const minutes = Math.round((stats.to - stats.from) / 60000);
+  const lines = [
+    stats.running
+      ? `${stats.name} (pid ${current.pid}, 稼働 ${formatPlaytime(current.uptimeSeconds * 1000)})`
+      : `${stats.name} (停止中、最終計測 ${new Date(current.at).toISOString()})`,
+    `直近${minutes}分 / ${stats.samples.length}サンプル`,
+    "",
+    `${"".padEnd(8)}${["現在", "最小", "平均", "最大"].map((head) => head.padStart(8)).join("")}  グラフ`,
+  ];
+
+  for (const row of STATS_ROWS) {
+    const summary = stats.summary[row.metric];
+    if (!summary) {
+      continue;
+    }
+    const value = current[row.metric];
+    const cells = [value, summary.min, summary.avg, summary.max].map((item) =>
+      (Number.isFinite(item) ? row.format(item) : "-").padStart(10),
+    );
+    const chart = renderSparkline(stats.samples, row.metric, { from: stats.from, to: stats.to });
+    lines.push(`${row.label.padEnd(8)}${cells.join("")}  ${chart}`);
   }
 
   return ["```", ...lines, "```"].join("\n");
 }
 
+function isAdmin(interaction) {
+  return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.Administrator));
+}
+
+// Replies on the deferred interaction and returns false for non-admins.
+async function requireAdmin(interaction, action) {
+  if (isAdmin(interaction)) {
+    return true;
+  }
+  await interaction.editReply(`${action}はサーバー管理者のみ実行できます。`);
+  return false;
+}
+
 async function sendWizardPrompt(interaction, payload) {
   if (interaction.isMessageComponent()) {
     await interaction.update(payload);
@@ -538,6 +1231,10 @@ async function handleWizardConfirm(interaction, manager, sessionMap, session) {
         : await manager.importServer(payload);
 
     sessionMap.delete(interaction.user.id);
+    const portConflicts =
+      session.mode === "import"
+        ? await manager.checkServerPorts(result.name).catch(() => [])
+        : [];
     await interaction.followUp({
       ephemeral: true,
       content:
@@ -545,17 +1242,25 @@ async function handleWizardConfirm(interaction, manager, sessionMap, session) {
           ? [
               `作成完了: \`${result.name}\``,
               `fork: ${result.fork}`,
-              `version: ${result.version}`,
+              `version: ${result.version}${result.build ? ` (build ${result.build})` : ""}`,
+              `launch: ${formatLaunch(result.launch)}`,
+              `java: ${formatJavaRequirement(result.javaMajorVersion)}`,
               `port: ${result.port}`,
               `memoryMb: ${result.memoryMb}`,
+              `rcon: ${result.rcon?.enabled ? `enabled (port ${result.rcon.port})` : "disabled"}`,
               "起動は `/mc-start` を使ってください。",
             ].join("\n")
           : [
               `既存サーバー追加完了: \`${result.name}\``,
               `sourcePath: ${result.serverPath}`,
-              `jarFile: ${result.jarFile}`,
+              `launch: ${formatLaunch(result.launch)}`,
               `fork: ${result.fork}`,
               `version: ${result.version}`,
+              `java: ${formatJavaRequirement(result.javaMajorVersion)}`,
+              ...portConflicts.map(
+                (conflict) =>
+                  `⚠️ ポートが使用中です: ${conflict.message}（Bot外で起動中なら停止してから /mc-start してください）`,
+              ),
               "起動は `/mc-start` を使ってください。",
             ].join("\n"),
     });
@@ -574,30 +1279,160 @@ async function main() {
   const manager = new MinecraftManager({
     baseDir: MC_BASE_DIR,
     javaPath: JAVA_PATH,
+    javaRuntimes: JAVA_RUNTIMES,
   });
-  await manager.init();
+  const reattached = await manager.init();
+  if (reattached.length > 0) {
+    // eslint-disable-next-line no-console
+    console.log(
+      `Reattached running servers: ${reattached.map((item) => `${item.name}(${item.pid})`).join(", ")}`,
+    );
+  }
 
   const wizardSessionByUser = new Map();
 
   const client = new Client({
-    intents: [GatewayIntentBits.Guilds],
+    intents: [
+      GatewayIntentBits.Guilds,
+      GatewayIntentBits.GuildMessages,
+      GatewayIntentBits.MessageContent,
+    ],
+  });
+
+  const playerTracker = new PlayerTracker({ manager });
+  await playerTracker.restore();
+
+  registerManagerNotifications(client, manager);
+  registerPlayerAnnouncements(client, manager, playerTracker);
+  const backupManager = new BackupManager({ manager });
+  const accessLists = new AccessListManager({ manager });
+  const pluginManager = new PluginManager({
+    manager,
+    repository: PLUGIN_REPOSITORY,
+    repositoryUrl: PLUGIN_REPOSITORY_URL,
+  });
+  const scheduler = new Scheduler({
+    manager,
+    backupManager,
+    denyList: MC_EXEC_DENYLIST,
   });
+  const upgrader = new ServerUpgrader({ manager, backupManager });
+  const updateChecker = new UpdateChecker({
+    manager,
+    intervalHours: UPDATE_CHECK_INTERVAL_HOURS,
+  });
+  registerUpdateNotifications(client, updateChecker);
+  const resourceMonitor = new ResourceMonitor({
+    manager,
+    intervalSeconds: STATS_INTERVAL_SECONDS,
+    collectTps: STATS_COLLECT_TPS,
+  });
+  const alertManager = new AlertManager({ manager, resourceMonitor });
+  registerAlertNotifications(client, alertManager);
+  const scheduleCount = await scheduler.restore();
+  registerScheduleNotifications(client, scheduler);
+  if (scheduleCount > 0) {
+    // eslint-disable-next-line no-console
+    console.log(`Loaded ${scheduleCount} schedule(s)`);
+  }
+  const consoleRelay = new ConsoleRelay({ client, manager });
+  const chatBridge = new ChatBridge({ client, manager, playerTracker });
 
-  client.once(Events.ClientReady, (readyClient) => {
+  client.once(Events.ClientReady, async (readyClient) => {
     // eslint-disable-next-line no-console
     console.log(`Logged in as ${readyClient.user.tag}`);
-  });
+    updateChecker.start();
+    resourceMonitor.start();
+    alertManager.start();
 
-  client.on(Events.InteractionCreate, async (interaction) => {
     try {
-      pruneSessions(wizardSessionByUser);
+      const restored = await consoleRelay.restore();
+      // eslint-disable-next-line no-console
+      console.log(`Restored ${restored} console relay binding(s).`);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(error);
+    }
 
-      if (interaction.isAutocomplete()) {
-        if (!AUTOCOMPLETE_COMMANDS.has(interaction.commandName)) {
-          return;
-        }
+    try {
+      const restored = await chatBridge.restore();
+      // eslint-disable-next-line no-console
+      console.log(`Restored ${restored} chat bridge binding(s).`);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(error);
+    }
+  });
+
+  client.on(Events.MessageCreate, async (message) => {
+    try {
+      await chatBridge.handleDiscordMessage(message);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(error);
+    }
+  });
+
+  client.on(Events.InteractionCreate, async (interaction) => {
+    try {
+      pruneSessions(wizardSessionByUser);
+
+      if (interaction.isAutocomplete()) {
+        if (!AUTOCOMPLETE_COMMANDS.has(interaction.commandName)) {
+          return;
+        }
+
+        const focusedOption = interaction.options.getFocused(true);
+        const focused = String(focusedOption.value || "").toLowerCase();
+        if (focusedOption.name === "backup") {
+          const serverName = interaction.options.getString("server") || "";
+          const backups = (await manager.listServers()).includes(serverName)
+            ? await backupManager.listBackups(serverName)
+            : [];
+          await interaction.respond(
+            backups
+              .filter((backup) => backup.id.toLowerCase().includes(focused))
+              .slice(0, 25)
+              .map((backup) => ({
+                name: `${backup.id} (${formatBytes(backup.sizeBytes)})`,
+                value: backup.id,
+              })),
+          );
+          return;
+        }
+
+        if (focusedOption.name === "key") {
+          const serverName = interaction.options.getString("server") || "";
+          const fileKeys = (await manager.listServers()).includes(serverName)
+            ? (await manager.getServerProperties(serverName)).entries.map(([key]) => key)
+            : [];
+          const keys = [...new Set([...Object.keys(PROPERTY_SCHEMA), ...fileKeys])].sort();
+          await interaction.respond(
+            keys
+              .filter((key) => key.toLowerCase().includes(focused))
+              .slice(0, 25)
+              .map((key) => ({ name: formatPropertyHint(key), value: key })),
+          );
+          return;
+        }
+
+        if (focusedOption.name === "plugin") {
+          const serverName = interaction.options.getString("server") || "";
+          const plugins = (await manager.listServers()).includes(serverName)
+            ? await pluginManager.list(serverName).catch(() => [])
+            : [];
+          await interaction.respond(
+            plugins
+              .filter((plugin) => plugin.name.toLowerCase().includes(focused))
+              .slice(0, 25)
+              .map((plugin) => ({
+                name: `${plugin.name} (${plugin.enabled ? "有効" : "無効"})`.slice(0, 100),
+                value: plugin.fileName,
+              })),
+          );
+          return;
+        }
 
-        const focused = String(interaction.options.getFocused() || "").toLowerCase();
         const serverNames = await manager.listServers();
         const choices = serverNames
           .filter((name) => name.toLowerCase().includes(focused))
@@ -611,7 +1446,10 @@ async function main() {
         const command = interaction.commandName;
 
         if (command === "mc-wizard") {
-          wizardSessionByUser.set(interaction.user.id, createInitialSession());
+          wizardSessionByUser.set(
+            interaction.user.id,
+            createInitialSession({ isAdmin: isAdmin(interaction) }),
+          );
           await interaction.reply({
             ephemeral: true,
             ...buildModePrompt(),
@@ -621,7 +1459,7 @@ async function main() {
 
         if (command === "mc-list") {
           await interaction.deferReply({ ephemeral: true });
-          const servers = await manager.listServersDetailed();
+          const servers = await manager.listServersDetailed({ withLive: true });
           if (servers.length === 0) {
             await interaction.editReply("管理対象サーバーはありません。");
             return;
@@ -631,7 +1469,7 @@ async function main() {
             "管理対象サーバー一覧:",
             ...servers.map(
               (server) =>
-                `- \`${server.name}\` | ${server.fork}/${server.version} | ${server.source} | running:${server.running ? "yes" : "no"}`,
+                `- \`${server.name}\` | ${server.fork}/${server.version} | ${server.source} | state:${server.state}${server.live ? ` | players:${server.live.online}/${server.live.max} | ${server.live.latencyMs ?? "?"}ms` : ""}`,
             ),
           ];
           await interaction.editReply(lines.join("\n"));
@@ -642,18 +1480,799 @@ async function main() {
           await interaction.deferReply({ ephemeral: true });
           const name = interaction.options.getString("server", true);
           const memory = interaction.options.getInteger("memory");
-          const started = await manager.startServer(name, memory);
+          const waitForReady = interaction.options.getBoolean("wait") || false;
+          if (!waitForReady) {
+            const started = await manager.startServer(name, memory);
+            await interaction.editReply(
+              `起動を開始しました: \`${started.name}\` (PID: ${started.pid ?? "unknown"}, memory: ${started.memoryMb}MB)\n起動完了は \`/mc-status\` の state で確認できます。`,
+            );
+            return;
+          }
+
           await interaction.editReply(
-            `起動しました: \`${started.name}\` (PID: ${started.pid ?? "unknown"}, memory: ${started.memoryMb}MB)`,
+            `起動中です: \`${name}\`（Done が出力されるまで待機します）`,
           );
+          try {
+            const started = await manager.startServer(name, memory, {
+              waitForReady: true,
+            });
+            await interaction.editReply(
+              `起動完了: \`${started.name}\` (PID: ${started.pid ?? "unknown"}, memory: ${started.memoryMb}MB, 起動時間: ${formatDuration(started.startupMs)})`,
+            );
+          } catch (error) {
+            await interaction.editReply(`起動に失敗しました: ${error.message}`);
+          }
           return;
         }
 
         if (command === "mc-stop") {
           await interaction.deferReply({ ephemeral: true });
           const name = interaction.options.getString("server", true);
-          await manager.stopServer(name);
-          await interaction.editReply(`停止しました: \`${name}\``);
+          const delaySeconds = interaction.options.getInteger("delay") ?? 0;
+          if (delaySeconds > 0) {
+            await interaction.editReply(
+              `${delaySeconds}秒後に停止します: \`${name}\``,
+            );
+          }
+          const stopped = await manager.stopServer(name, {
+            delaySeconds,
+            message: interaction.options.getString("message") ?? "",
+          });
+          await interaction.editReply(
+            stopped.cancelledRestart
+              ? `自動再起動を取り消しました: \`${name}\``
+              : formatStopResult(stopped),
+          );
+          return;
+        }
+
+        if (command === "mc-restart") {
+          await interaction.deferReply({ ephemeral: true });
+          const name = interaction.options.getString("server", true);
+          const delaySeconds = interaction.options.getInteger("delay") ?? 0;
+          if (delaySeconds > 0) {
+            await interaction.editReply(
+              `${delaySeconds}秒後に再起動します: \`${name}\``,
+            );
+          }
+          const restarted = await manager.restartServer(name, {
+            delaySeconds,
+            message: interaction.options.getString("message") ?? "",
+            waitForReady: true,
+          });
+          await interaction.editReply(
+            [
+              restarted.stopped
+                ? formatStopResult(restarted.stopped)
+                : `停止中だったため起動のみ行いました: \`${restarted.name}\``,
+              `起動完了: \`${restarted.name}\` (PID: ${restarted.started.pid ?? "unknown"}, 起動時間: ${formatDuration(restarted.started.startupMs)})`,
+            ].join("\n"),
+          );
+          return;
+        }
+
+        if (command === "mc-schedule") {
+          await interaction.deferReply({ ephemeral: true });
+          const subcommand = interaction.options.getSubcommand();
+          const name = sanitizeServerName(interaction.options.getString("server", true));
+
+          if (subcommand === "add") {
+            const added = await scheduler.add(
+              name,
+              {
+                cron: interaction.options.getString("cron", true),
+                action: interaction.options.getString("action", true),
+                command: interaction.options.getString("command"),
+                delaySeconds: interaction.options.getInteger("delay") ?? undefined,
+                message: interaction.options.getString("message"),
+              },
+              { isAdmin: isAdmin(interaction) },
+            );
+            await interaction.editReply(
+              `スケジュールを追加しました: \`${added.serverName}\`\n${formatSchedule(added)}`,
+            );
+            return;
+          }
+
+          if (subcommand === "remove") {
+            const id = interaction.options.getString("id", true).trim();
+            const removed = await scheduler.remove(name, id, { isAdmin: isAdmin(interaction) });
+            await interaction.editReply(
+              removed
+                ? `スケジュールを削除しました: \`${name}\` \`${id}\``
+                : `スケジュールが見つかりません: \`${name}\` \`${id}\``,
+            );
+            return;
+          }
+
+          const schedules = scheduler.list(name);
+          await interaction.editReply(
+            schedules.length === 0
+              ? `スケジュールは設定されていません: \`${name}\``
+              : [
+                  `スケジュール: \`${name}\``,
+                  ...schedules.map((schedule) => `- ${formatSchedule(schedule)}`),
+                ].join("\n"),
+          );
+          return;
+        }
+
+        if (command === "mc-alerts") {
+          await interaction.deferReply({ ephemeral: true });
+          const subcommand = interaction.options.getSubcommand();
+          const name = sanitizeServerName(interaction.options.getString("server", true));
+
+          if (subcommand === "add") {
+            const added = await alertManager.add(name, {
+              type: interaction.options.getString("type", true),
+              threshold: interaction.options.getNumber("threshold") ?? undefined,
+              forMinutes: interaction.options.getInteger("for_minutes") ?? undefined,
+              cooldownMinutes: interaction.options.getInteger("cooldown_minutes") ?? undefined,
+            });
+            const lines = [
+              `アラートを追加しました: \`${added.serverName}\``,
+              `- ${formatAlertRule(added.rule)}`,
+            ];
+            const type = added.rule.type;
+            if ((type === "rss" || type === "tps") && !(STATS_INTERVAL_SECONDS > 0)) {
+              lines.push("⚠️ `STATS_INTERVAL_SECONDS` が 0 のため、計測されず通知されません。");
+            }
+            if (type === "tps" && !STATS_COLLECT_TPS) {
+              lines.push("⚠️ `STATS_COLLECT_TPS=true` ではないため、TPSは計測されません。");
+            }
+            if (!ALERT_NOTIFY_CHANNEL_ID) {
+              lines.push(
+                "⚠️ 通知先（`ALERT_NOTIFY_CHANNEL_ID` / `DISCORD_NOTIFY_CHANNEL_ID`）が設定されていません。",
+              );
+            }
+            await interaction.editReply(lines.join("\n"));
+            return;
+          }
+
+          if (subcommand === "remove") {
+            const id = interaction.options.getString("id", true).trim();
+            const removed = await alertManager.remove(name, id);
+            await interaction.editReply(
+              removed
+                ? `アラートを削除しました: \`${name}\` \`${id}\``
+                : `アラートが見つかりません: \`${name}\` \`${id}\``,
+            );
+            return;
+          }
+
+          const rules = await alertManager.list(name);
+          await interaction.editReply(
+            rules.length === 0
+              ? `アラートは設定されていません: \`${name}\``
+              : [
+                  `アラート: \`${name}\``,
+                  ...rules.map((rule) => `- ${formatAlertRule(rule)}`),
+                ].join("\n"),
+          );
+          return;
+        }
+
+        if (command === "mc-backup") {
+          await interaction.deferReply({ ephemeral: true });
+          const subcommand = interaction.options.getSubcommand();
+          const name = sanitizeServerName(interaction.options.getString("server", true));
+
+          if (subcommand === "create") {
+            const backup = await backupManager.createBackup(name);
+            const lines = [
+              `バックアップを作成しました: \`${backup.serverName}\``,
+              `- ID: \`${backup.id}\``,
+              `- サイズ: ${formatBytes(backup.sizeBytes)}（${backup.files}ファイル）`,
+              `- 対象: ${backup.worlds.join(", ")}`,
+              `- 保存: ${backup.online ? (backup.saved ? "save-all 完了" : "save-all 未確認") : "停止中のためそのまま取得"}`,
+            ];
+            if (backup.expired.length > 0) {
+              lines.push(`- 保持ルールにより削除: ${backup.expired.join(", ")}`);
+            }
+            await interaction.editReply(lines.join("\n"));
+            return;
+          }
+
+          if (subcommand === "retention") {
+            if (!(await requireAdmin(interaction, "保持ルールの変更"))) {
+              return;
+            }
+            const updated = await backupManager.setRetention(name, {
+              keepLast: interaction.options.getInteger("keep_last"),
+              keepDaily: interaction.options.getInteger("keep_daily"),
+              keepWeekly: interaction.options.getInteger("keep_weekly"),
+            });
+            const lines = [
+              `保持ルールを更新しました: \`${updated.serverName}\``,
+              `- ${formatRetention(updated.retention)}`,
+            ];
+            if (updated.expired.length > 0) {
+              lines.push(`- 削除したバックアップ: ${updated.expired.join(", ")}`);
+            }
+            await interaction.editReply(lines.join("\n"));
+            return;
+          }
+
+          const backups = await backupManager.listBackups(name);
+          const retention = await backupManager.getRetention(name);
+          const totalBytes = backups.reduce((sum, backup) => sum + backup.sizeBytes, 0);
+          await interaction.editReply(
+            [
+              `バックアップ: \`${name}\`（${backups.length}件、合計 ${formatBytes(totalBytes)}）`,
+              `保持ルール: ${formatRetention(retention)}`,
+              ...(backups.length === 0
+                ? ["- なし"]
+                : backups
+                    .slice(0, 20)
+                    .map(
+                      (backup) =>
+                        `- \`${backup.id}\` | ${backup.createdAt.toISOString()} | ${formatBytes(backup.sizeBytes)}`,
+                    )),
+              ...(backups.length > 20 ? [`（他 ${backups.length - 20}件）`] : []),
+            ].join("\n"),
+          );
+          return;
+        }
+
+        if (command === "mc-restore") {
+          await interaction.deferReply({ ephemeral: true });
+          if (!(await requireAdmin(interaction, "バックアップからの復元"))) {
+            return;
+          }
+          const name = sanitizeServerName(interaction.options.getString("server", true));
+          const backupId = interaction.options.getString("backup", true).trim();
+          const restored = await backupManager.restoreBackup(name, backupId, {
+            requestedBy: interaction.user.tag,
+          });
+          await interaction.editReply(
+            [
+              `バックアップから復元しました: \`${restored.serverName}\` ← \`${restored.id}\``,
+              `- 復元したフォルダ: ${restored.worlds.join(", ")}`,
+              restored.snapshotId
+                ? `- 復元前のワールドは \`${restored.snapshotId}\` として保存しました`
+                : "- 復元前のワールドはありませんでした",
+            ].join("\n"),
+          );
+          return;
+        }
+
+        if (command === "mc-updates") {
+          await interaction.deferReply({ ephemeral: true });
+          const { results, checkedAt } = await updateChecker.checkAll({
+            refresh: interaction.options.getBoolean("refresh") ?? false,
+          });
+          let rendered = [
+            `更新状況（${checkedAt.toISOString()} 時点、取得結果は最大30分キャッシュ）`,
+            ...(results.length === 0
+              ? ["- 管理中のサーバーがありません"]
+              : results.map((result) => `- ${formatUpdateResult(result)}`)),
+          ].join("\n");
+          if (rendered.length > 1900) {
+            rendered = `${rendered.slice(0, 1900)}\n...`;
+          }
+          await interaction.editReply(rendered);
+          return;
+        }
+
+        if (command === "mc-cache") {
+          await interaction.deferReply({ ephemeral: true });
+          const subcommand = interaction.options.getSubcommand();
+
+          if (subcommand === "list") {
+            const entries = await manager.jarCache.list();
+            const totalBytes = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+            let rendered = [
+              `jarキャッシュ（${entries.length}件、合計 ${formatBytes(totalBytes)}）`,
+              ...(entries.length === 0
+                ? ["- なし"]
+                : entries.map(
+                    (entry) =>
+                      `- ${entry.label || entry.url} | ${formatBytes(entry.size)} | 最終使用 ${entry.lastUsedAt} | sha256 \`${entry.sha256.slice(0, 12)}\``,
+                  )),
+            ].join("\n");
+            if (rendered.length > 1900) {
+              rendered = `${rendered.slice(0, 1900)}\n...`;
+            }
+            await interaction.editReply(rendered);
+            return;
+          }
+
+          if (!(await requireAdmin(interaction, "キャッシュの削除"))) {
+            return;
+          }
+          const olderThanDays = interaction.options.getInteger("older_than_days") ?? 30;
+          const cleaned = await manager.jarCache.cleanup({ olderThanDays });
+          const lines = [
+            `jarキャッシュを整理しました（${olderThanDays === 0 ? "全件" : `${olderThanDays}日以上未使用`}）`,
+            `- 削除: ${cleaned.removed.length}件（${formatBytes(cleaned.freedBytes)}）`,
+            ...cleaned.removed.map((label) => `  - ${label}`),
+          ];
+          if (cleaned.strayFiles > 0) {
+            lines.push(`- 途中のダウンロードなど不要なファイル: ${cleaned.strayFiles}件`);
+          }
+          let rendered = lines.join("\n");
+          if (rendered.length > 1900) {
+            rendered = `${rendered.slice(0, 1900)}\n...`;
+          }
+          await interaction.editReply(rendered);
+          return;
+        }
+
+        if (command === "mc-upgrade") {
+          await interaction.deferReply({ ephemeral: true });
+          const subcommand = interaction.options.getSubcommand();
+          const name = sanitizeServerName(interaction.options.getString("server", true));
+          if (!(await requireAdmin(interaction, "バージョンの更新・巻き戻し"))) {
+            return;
+          }
+
+          if (subcommand === "rollback") {
+            const rolledBack = await upgrader.rollback(name, {
+              requestedBy: interaction.user.tag,
+            });
+            const lines = [
+              `ロールバックしました: \`${rolledBack.serverName}\` ${formatRelease(rolledBack.previous)} → ${formatRelease(rolledBack.current)}`,
+              "- 元のjarは以前のjarとして保持しています（もう一度ロールバックすると戻せます）",
+            ];
+            if (rolledBack.backupId) {
+              lines.push(
+                `⚠️ ワールドが新しいバージョンで変換されている場合は \`/mc-restore backup:${rolledBack.backupId}\` で更新前のワールドを復元してください。`,
+              );
+            }
+            await interaction.editReply(lines.join("\n"));
+            return;
+          }
+
+          const upgraded = await upgrader.upgrade(name, {
+            version: interaction.options.getString("version")?.trim() || "latest",
+            force: interaction.options.getBoolean("force") ?? false,
+            requestedBy: interaction.user.tag,
+          });
+          if (!upgraded.changed) {
+            await interaction.editReply(
+              `既に ${formatRelease(upgraded.current)} です: \`${upgraded.serverName}\``,
+            );
+            return;
+          }
+          await interaction.editReply(
+            [
+              `${upgraded.downgrade ? "ダウングレード" : "アップグレード"}しました: \`${upgraded.serverName}\` ${formatRelease(upgraded.previous)} → ${formatRelease(upgraded.current)}`,
+              upgraded.backupId
+                ? `- 更新前のワールドを \`${upgraded.backupId}\` としてバックアップしました`
+                : "- ワールドがないためバックアップは作成していません",
+              "- 以前のjarを保持しています。`/mc-upgrade rollback` で戻せます",
+              "起動は `/mc-start` を使ってください。",
+            ].join("\n"),
+          );
+          return;
+        }
+
+        if (command === "mc-properties") {
+          await interaction.deferReply({ ephemeral: true });
+          const subcommand = interaction.options.getSubcommand();
+          const name = sanitizeServerName(interaction.options.getString("server", true));
+
+          if (subcommand === "set") {
+            // online-mode, white-list and rcon.* alone can hand out access.
+            if (!(await requireAdmin(interaction, "server.properties の変更"))) {
+              return;
+            }
+            const key = interaction.options.getString("key", true).trim();
+            const result = await manager.setServerProperty(
+              name,
+              key,
+              interaction.options.getString("value", true),
+            );
+            const lines = [
+              result.changed
+                ? `変更しました: \`${result.name}\` ${key} = ${formatPropertyValue(key, result.value)}（変更前: ${formatPropertyValue(key, result.previous)}）`
+                : `変更はありません: \`${result.name}\` ${key} = ${formatPropertyValue(key, result.value)}`,
+            ];
+            if (!PROPERTY_SCHEMA[key]) {
+              lines.push("⚠️ 既知のキーではないため、値の検証は行っていません。");
+            }
+            if (result.appliedLive) {
+              lines.push("起動中のサーバーにも即時反映しました。");
+            } else if (result.restartRequired) {
+              lines.push("⚠️ サーバーは起動中です。反映するには `/mc-restart` で再起動してください。");
+            }
+            await interaction.editReply(lines.join("\n"));
+            return;
+          }
+
+          const { entries } = await manager.getServerProperties(name);
+          if (subcommand === "get") {
+            const key = interaction.options.getString("key", true).trim();
+            const entry = entries.find(([entryKey]) => entryKey === key);
+            await interaction.editReply(
+              `\`${name}\` ${key} = ${formatPropertyValue(key, entry?.[1])}`,
+            );
+            return;
+          }
+
+          if (entries.length === 0) {
+            await interaction.editReply(`server.properties がありません: \`${name}\``);
+            return;
+          }
+          let rendered = entries
+            .map(([key, value]) => `${key}=${formatPropertyValue(key, value)}`)
+            .join("\n");
+          if (rendered.length > 1800) {
+            rendered = `${rendered.slice(0, 1800)}\n...`;
+          }
+          await interaction.editReply(
+            `server.properties: \`${name}\`\n\`\`\`\n${rendered.replaceAll("```", "`\u200b``")}\n\`\`\``,
+          );
+          return;
+        }
+
+        if (ACCESS_LIST_COMMANDS[command]) {
+          await interaction.deferReply({ ephemeral: true });
+          const spec = ACCESS_LIST_COMMANDS[command];
+          const subcommand = interaction.options.getSubcommand();
+          const name = sanitizeServerName(interaction.options.getString("server", true));
+
+          if (subcommand === "list") {
+            const lines = [`${spec.label}: \`${name}\``];
+            for (const list of spec.lists) {
+              const entries = await accessLists.list(name, list);
+              if (list === "ipBans" && entries.length === 0) {
+                continue;
+              }
+              lines.push(...entries.map((entry) => `- ${formatAccessEntry(entry)}`));
+            }
+            if (lines.length === 1) {
+              lines.push("- なし");
+            }
+            let rendered = lines.join("\n");
+            if (rendered.length > 1900) {
+              rendered = `${rendered.slice(0, 1900)}\n...`;
+            }
+            await interaction.editReply(rendered);
+            return;
+          }
+
+          if (command === "mc-op" && !(await requireAdmin(interaction, "OP権限の変更"))) {
+            return;
+          }
+
+          const target = interaction.options.getString(spec.option, true);
+          const result =
+            subcommand === "add"
+              ? await spec.add(
+                  accessLists,
+                  name,
+                  target,
+                  interaction.options.getString("reason"),
+                )
+              : await spec.remove(accessLists, name, target);
+          const action = subcommand === "add" ? "追加" : "削除";
+          if (result.via === "file") {
+            await interaction.editReply(
+              result.changed
+                ? `${spec.label}を${action}しました（停止中のためファイルを直接編集）: \`${name}\` ${escapeMarkdown(result.name)}`
+                : `${spec.label}に変更はありません: \`${name}\` ${escapeMarkdown(result.name)}`,
+            );
+            return;
+          }
+
+          const output = result.output.join("\n").slice(0, 1500);
+          await interaction.editReply(
+            `${spec.label}を${action}しました（${result.via}）: \`${name}\` ${escapeMarkdown(result.name)}${output ? `\n\`\`\`\n${output.replaceAll("```", "`\u200b``")}\n\`\`\`` : ""}`,
+          );
+          return;
+        }
+
+        if (command === "mc-plugins") {
+          await interaction.deferReply({ ephemeral: true });
+          const subcommand = interaction.options.getSubcommand();
+          const name = sanitizeServerName(interaction.options.getString("server", true));
+
+          if (subcommand === "list") {
+            const plugins = await pluginManager.list(name);
+            let rendered = [
+              `プラグイン: \`${name}\`（${plugins.length}件）`,
+              ...(plugins.length === 0
+                ? ["- なし"]
+                : plugins.map((plugin) => `- ${formatPlugin(plugin)}`)),
+            ].join("\n");
+            if (rendered.length > 1900) {
+              rendered = `${rendered.slice(0, 1900)}\n...`;
+            }
+            await interaction.editReply(rendered);
+            return;
+          }
+
+          if (!(await requireAdmin(interaction, "プラグインの変更"))) {
+            return;
+          }
+
+          const restartNote =
+            "⚠️ サーバーは起動中です。反映するには `/mc-restart` で再起動してください。";
+
+          if (subcommand === "install") {
+            const attachment = interaction.options.getAttachment("file");
+            const project = interaction.options.getString("project")?.trim();
+            if (Boolean(attachment) === Boolean(project)) {
+              await interaction.editReply(
+                "`file`（添付ファイル）か `project`（リポジトリ）のどちらか一方を指定してください。",
+              );
+              return;
+            }
+            const sha256 = interaction.options.getString("sha256")?.trim().toLowerCase();
+            if (attachment && !/^[0-9a-f]{64}$/.test(sha256 || "")) {
+              await interaction.editReply(
+                "添付ファイルからインストールする場合は `sha256` にファイルの SHA-256 を指定してください。",
+              );
+              return;
+            }
+
+            const installed = await pluginManager.install(
+              name,
+              attachment
+                ? {
+                    type: "attachment",
+                    url: attachment.url,
+                    fileName: attachment.name,
+                    sizeBytes: attachment.size,
+                    sha256,
+                  }
+                : {
+                    type: "repository",
+                    project,
+                    version: interaction.options.getString("version")?.trim(),
+                  },
+            );
+            const lines = [
+              `プラグインをインストールしました: \`${name}\` ${escapeMarkdown(installed.name)} ${escapeMarkdown(installed.version)}`,
+              `- ファイル: \`${installed.fileName}\`（${formatBytes(installed.verification.sizeBytes)}、${installed.verification.algorithm} 検証済み）`,
+            ];
+            if (installed.depend.length > 0) {
+              lines.push(`- 依存: ${installed.depend.join(", ")}`);
+            }
+            if (installed.replaced.length > 0) {
+              lines.push(`- 置き換え: ${installed.replaced.join(", ")}`);
+            }
+            if (installed.restartRequired) {
+              lines.push(restartNote);
+            }
+            await interaction.editReply(lines.join("\n"));
+            return;
+          }
+
+          const query = interaction.options.getString("plugin", true);
+          if (subcommand === "remove") {
+            const removed = await pluginManager.remove(name, query);
+            await interaction.editReply(
+              [
+                `プラグインを削除しました: \`${name}\` ${escapeMarkdown(removed.name)}（\`${removed.fileName}\`）`,
+                ...(removed.restartRequired ? [restartNote] : []),
+              ].join("\n"),
+            );
+            return;
+          }
+
+          const enabled = subcommand === "enable";
+          const result = await pluginManager.setEnabled(name, query, enabled);
+          const label = enabled ? "有効" : "無効";
+          await interaction.editReply(
+            result.changed
+              ? [
+                  `プラグインを${label}にしました: \`${name}\` ${escapeMarkdown(result.name)}`,
+                  ...(result.restartRequired ? [restartNote] : []),
+                ].join("\n")
+              : `プラグインは既に${label}です: \`${name}\` ${escapeMarkdown(result.name)}`,
+          );
+          return;
+        }
+
+        if (command === "mc-jvm") {
+          await interaction.deferReply({ ephemeral: true });
+          const subcommand = interaction.options.getSubcommand();
+          const name = sanitizeServerName(interaction.options.getString("server", true));
+
+          if (subcommand === "show") {
+            const launchCommand = await manager.getLaunchCommand(name).catch((error) => ({
+              error,
+            }));
+            const config = launchCommand.config || (await manager.readServerConfig(name));
+            if (!config) {
+              await interaction.editReply(`サーバー \`${name}\` は管理対象に存在しません。`);
+              return;
+            }
+            const lines = [`JVM設定: \`${config.name}\``, ...formatJvmSettings(config)];
+            if (launchCommand.error) {
+              lines.push(`⚠️ 起動コマンドを組み立てられません: ${launchCommand.error.message}`);
+            } else {
+              lines.push(
+                "起動コマンド:",
+                "```",
+                `${launchCommand.javaPath} ${joinArgs(launchCommand.args)}`,
+                "```",
+              );
+            }
+            let rendered = lines.join("\n");
+            if (rendered.length > 1900) {
+              rendered = `${rendered.slice(0, 1900)}\n...`;
+            }
+            await interaction.editReply(rendered);
+            return;
+          }
+
+          if (!(await requireAdmin(interaction, "JVM設定の変更"))) {
+            return;
+          }
+
+          let changes;
+          if (subcommand === "reset") {
+            changes = { jvmPreset: null, jvmArgs: [], serverArgs: [] };
+          } else {
+            changes = {};
+            const preset = interaction.options.getString("preset");
+            const jvmArgs = interaction.options.getString("jvm_args")?.trim();
+            const serverArgs = interaction.options.getString("server_args")?.trim();
+            if (preset) {
+              changes.jvmPreset = preset === "none" ? null : preset;
+            }
+            if (jvmArgs) {
+              changes.jvmArgs = jvmArgs === "none" ? [] : splitArgs(jvmArgs);
+            }
+            if (serverArgs) {
+              changes.serverArgs = serverArgs === "none" ? [] : splitArgs(serverArgs);
+            }
+            if (Object.keys(changes).length === 0) {
+              await interaction.editReply(
+                "`preset` / `jvm_args` / `server_args` のいずれかを指定してください。",
+              );
+              return;
+            }
+          }
+
+          const updated = await manager.setJvmOptions(name, changes, {
+            requestedBy: interaction.user.tag,
+          });
+          const lines = [
+            `JVM設定を更新しました: \`${updated.config.name}\``,
+            ...formatJvmSettings(updated.config),
+          ];
+          if (updated.config.source === "created") {
+            lines.push("- start.ps1 も更新しました");
+          }
+          if (updated.running) {
+            lines.push("⚠️ サーバーは起動中です。反映するには `/mc-restart` で再起動してください。");
+          }
+          await interaction.editReply(lines.join("\n"));
+          return;
+        }
+
+        if (command === "mc-exec") {
+          await interaction.deferReply({ ephemeral: true });
+          const name = interaction.options.getString("server", true);
+          const consoleCommand = interaction.options.getString("command", true);
+          const result = await manager.executeCommand(name, consoleCommand, {
+            denyList: isAdmin(interaction) ? [] : MC_EXEC_DENYLIST,
+          });
+
+          const header = `実行しました（${result.via}）: \`${result.name}\` > \`${result.command}\``;
+          if (result.output.length === 0) {
+            await interaction.editReply(`${header}\n（出力はありませんでした）`);
+            return;
+          }
+
+          let rendered = result.output.join("\n");
+          if (rendered.length > 1800) {
+            rendered = `...\n${rendered.slice(-1800)}`;
+          }
+          await interaction.editReply(`${header}\n\`\`\`\n${rendered}\n\`\`\``);
+          return;
+        }
+
+        if (command === "mc-console") {
+          await interaction.deferReply({ ephemeral: true });
+          const subcommand = interaction.options.getSubcommand();
+          const name = sanitizeServerName(interaction.options.getString("server", true));
+
+          if (subcommand !== "list" && !(await requireAdmin(interaction, "コンソール中継の設定"))) {
+            return;
+          }
+
+          if (subcommand === "attach") {
+            const channel = interaction.options.getChannel("channel", true);
+            const binding = await consoleRelay.attach({
+              serverName: name,
+              channel,
+              useThread: interaction.options.getBoolean("thread") || false,
+              level: interaction.options.getString("level") || "INFO",
+            });
+            await interaction.editReply(
+              `コンソール中継を開始しました: \`${binding.serverName}\` → <#${binding.threadId || binding.channelId}> (level: ${binding.level}以上)`,
+            );
+            return;
+          }
+
+          if (subcommand === "detach") {
+            const channel = interaction.options.getChannel("channel");
+            const removed = await consoleRelay.detach(name, channel?.id || null);
+            await interaction.editReply(
+              removed > 0
+                ? `コンソール中継を解除しました: \`${name}\` (${removed}件)`
+                : `解除する中継がありません: \`${name}\``,
+            );
+            return;
+          }
+
+          const bindings = consoleRelay.list(name);
+          await interaction.editReply(
+            bindings.length === 0
+              ? `コンソール中継は設定されていません: \`${name}\``
+              : [
+                  `コンソール中継: \`${name}\``,
+                  ...bindings.map(
+                    (binding) =>
+                      `- <#${binding.threadId || binding.channelId}> (level: ${binding.level}以上)`,
+                  ),
+                ].join("\n"),
+          );
+          return;
+        }
+
+        if (command === "mc-chat") {
+          await interaction.deferReply({ ephemeral: true });
+          const subcommand = interaction.options.getSubcommand();
+          const name = sanitizeServerName(interaction.options.getString("server", true));
+          if (!(await requireAdmin(interaction, "チャットブリッジの設定"))) {
+            return;
+          }
+
+          if (subcommand === "attach") {
+            const channel = interaction.options.getChannel("channel", true);
+            const binding = await chatBridge.attach({ serverName: name, channel });
+            await interaction.editReply(
+              `チャットブリッジを設定しました: \`${binding.serverName}\` ⇔ <#${binding.channelId}>`,
+            );
+            return;
+          }
+
+          const removed = await chatBridge.detach(name);
+          await interaction.editReply(
+            removed
+              ? `チャットブリッジを解除しました: \`${name}\``
+              : `チャットブリッジは設定されていません: \`${name}\``,
+          );
+          return;
+        }
+
+        if (command === "mc-players") {
+          await interaction.deferReply({ ephemeral: true });
+          const name = sanitizeServerName(interaction.options.getString("server", true));
+          const announceChannel = interaction.options.getChannel("announce_channel");
+          const announceOff = interaction.options.getBoolean("announce_off") || false;
+          const notes = [];
+
+          if (announceChannel || announceOff) {
+            if (!(await requireAdmin(interaction, "参加/退出通知の設定"))) {
+              return;
+            }
+            await manager.updateServerConfig(name, (raw) => {
+              if (announceOff) {
+                delete raw.playerAnnouncements;
+              } else {
+                raw.playerAnnouncements = { channelId: announceChannel.id };
+              }
+            });
+            notes.push(
+              announceOff
+                ? "参加/退出通知を無効にしました。"
+                : `参加/退出通知を <#${announceChannel.id}> に設定しました。`,
+            );
+          }
+
+          const summary = await playerTracker.getSummary(name);
+          let rendered = formatPlayerSummary(name, summary);
+          if (notes.length > 0) {
+            rendered = `${notes.join("\n")}\n${rendered}`;
+          }
+          await interaction.editReply(rendered.slice(0, 1950));
           return;
         }
 
@@ -665,6 +2284,25 @@ async function main() {
           return;
         }
 
+        if (command === "mc-stats") {
+          await interaction.deferReply({ ephemeral: true });
+          const name = interaction.options.getString("server", true);
+          const managed = await manager.resolveManagedServer(name);
+          if (!managed) {
+            await interaction.editReply(`サーバー \`${name}\` は管理対象に存在しません。`);
+            return;
+          }
+          const stats = resourceMonitor.getStats(managed.name);
+          if (!stats) {
+            await interaction.editReply(
+              "統計がありません（Botから起動中のサーバーのみ、Linuxのみ計測します）。",
+            );
+            return;
+          }
+          await interaction.editReply(formatStats(stats).slice(0, 1900));
+          return;
+        }
+
         if (command === "mc-logs") {
           await interaction.deferReply({ ephemeral: true });
           const name = interaction.options.getString("server", true);
@@ -699,6 +2337,17 @@ async function main() {
           session.mode = mode;
           session.stepIndex = 0;
           session.data = {};
+          session.suggestedPort = null;
+          if (mode === "create") {
+            // Looked up in the background: the port button must open its modal
+            // within Discord's 3 second window and cannot wait for bind tests.
+            manager
+              .findFreePort()
+              .then((port) => {
+                session.suggestedPort = port;
+              })
+              .catch(() => {});
+          }
           touchSession(session);
 
           await sendWizardPrompt(interaction, buildQuestionPrompt(session));
@@ -724,6 +2373,27 @@ async function main() {
           await sendWizardPrompt(interaction, buildQuestionPrompt(session));
           return;
         }
+
+        const choiceParts = parseCustomId(interaction.customId, WIZARD_CHOICE_PREFIX);
+        if (choiceParts) {
+          const [mode, field, stepRaw] = choiceParts;
+          const stepIndex = Number.parseInt(stepRaw, 10);
+          const session = assertActiveSession(wizardSessionByUser, interaction.user.id);
+          assertSessionPosition(session, mode, stepIndex, field);
+
+          const step = getCurrentStep(session);
+          const selected = interaction.values?.[0];
+          if (!step.options.some((choice) => choice.value === selected)) {
+            throw new Error("不正な選択です。");
+          }
+
+          session.data[field] = selected;
+          session.stepIndex += 1;
+          touchSession(session);
+
+          await sendWizardPrompt(interaction, buildQuestionPrompt(session));
+          return;
+        }
       }
 
       if (interaction.isButton()) {
@@ -748,6 +2418,10 @@ async function main() {
             throw new Error("現在の質問はモーダル入力ではありません。");
           }
 
+          if (step.field === "port" && session.data.port == null && session.suggestedPort) {
+            session.data.port = String(session.suggestedPort);
+          }
+
           touchSession(session);
           await interaction.showModal(buildAnswerModal(session, step));
           return;
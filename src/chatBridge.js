@@ -0,0 +1,169 @@
+import { escapeMarkdown } from "discord.js";
+import { parseConsoleLine } from "./logParser.js";
+
+const MAX_INGAME_MESSAGE_CHARS = 256;
+const DISCORD_TAG_COLOR = "blue";
+
+function sanitizeForMinecraft(text) {
+  return String(text || "")
+    .replace(/[\r\n]+/g, " ")
+    .replaceAll("§", "")
+    .trim();
+}
+
+function buildTellrawCommand(author, content) {
+  const message = sanitizeForMinecraft(content).slice(0, MAX_INGAME_MESSAGE_CHARS);
+  const components = [
+    "",
+    { text: "[Discord] ", color: DISCORD_TAG_COLOR },
+    { text: `<${sanitizeForMinecraft(author)}> ` },
+    { text: message },
+  ];
+  return `tellraw @a ${JSON.stringify(components)}`;
+}
+
+function formatGameEvent(event) {
+  const player = escapeMarkdown(event.player);
+  if (event.type === "chat") {
+    return `**${player}**: ${escapeMarkdown(event.message)}`;
+  }
+  if (event.type === "join") {
+    return `➡️ **${player}** が参加しました`;
+  }
+  if (event.type === "leave") {
+    return `⬅️ **${player}** が退出しました`;
+  }
+  return `💀 ${escapeMarkdown(event.message)}`;
+}
+
+export class ChatBridge {
+  constructor({ client, manager, playerTracker }) {
+    this.client = client;
+    this.manager = manager;
+    this.playerTracker = playerTracker;
+    this.serverByChannel = new Map();
+    this.channelByServer = new Map();
+    this.started = false;
+    this.onLog = (event) => this.handleLog(event);
+  }
+
+  async restore() {
+    const serverNames = await this.manager.listServers();
+    for (const serverName of serverNames) {
+      const config = await this.manager.readServerConfig(serverName);
+      if (config?.chatBridge?.channelId) {
+        this.addBinding(serverName, config.chatBridge.channelId);
+      }
+    }
+    this.start();
+    return this.channelByServer.size;
+  }
+
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+    this.manager.on("serverLog", this.onLog);
+  }
+
+  addBinding(serverName, channelId) {
+    const previousChannel = this.channelByServer.get(serverName);
+    if (previousChannel) {
+      this.serverByChannel.delete(previousChannel);
+    }
+    this.channelByServer.set(serverName, channelId);
+    this.serverByChannel.set(channelId, serverName);
+  }
+
+  async attach({ serverName, channel }) {
+    if (!channel?.isTextBased?.()) {
+      throw new Error("テキストチャンネルを指定してください。");
+    }
+
+    const linkedServer = this.serverByChannel.get(channel.id);
+    if (linkedServer && linkedServer !== serverName) {
+      throw new Error(
+        `このチャンネルは既に \`${linkedServer}\` のチャットブリッジに使われています。`,
+      );
+    }
+
+    const config = await this.manager.updateServerConfig(serverName, (raw) => {
+      raw.chatBridge = { channelId: channel.id };
+    });
+    this.addBinding(config.name, channel.id);
+    this.start();
+    return { serverName: config.name, channelId: channel.id };
+  }
+
+  async detach(serverName) {
+    const config = await this.manager.updateServerConfig(serverName, (raw) => {
+      delete raw.chatBridge;
+    });
+
+    const channelId = this.channelByServer.get(config.name);
+    if (!channelId) {
+      return false;
+    }
+    this.channelByServer.delete(config.name);
+    this.serverByChannel.delete(channelId);
+    return true;
+  }
+
+  handleLog(event) {
+    const channelId = this.channelByServer.get(event.name);
+    if (!channelId) {
+      return;
+    }
+
+    const parsed = parseConsoleLine(event.line, {
+      knownPlayers: this.playerTracker.getOnlineSet(event.name),
+    });
+    if (!parsed || parsed.type === "uuid") {
+      return;
+    }
+
+    this.send(channelId, formatGameEvent(parsed)).catch((error) => {
+      // eslint-disable-next-line no-console
+      console.error(error);
+    });
+  }
+
+  async send(channelId, content) {
+    const channel = await this.client.channels.fetch(channelId);
+    if (!channel?.isTextBased()) {
+      return;
+    }
+    await channel.send({ content, allowedMentions: { parse: [] } });
+  }
+
+  async handleDiscordMessage(message) {
+    if (message.author?.bot || message.webhookId) {
+      return;
+    }
+
+    const serverName = this.serverByChannel.get(message.channelId);
+    if (!serverName) {
+      return;
+    }
+
+    const attachments = message.attachments?.size
+      ? ` [添付ファイル ${message.attachments.size}件]`
+      : "";
+    const content = `${message.cleanContent || ""}${attachments}`.trim();
+    if (!content) {
+      return;
+    }
+
+    const author = message.member?.displayName || message.author.username;
+    try {
+      await this.manager.executeCommand(
+        serverName,
+        buildTellrawCommand(author, content),
+        { captureMs: 0 },
+      );
+    } catch {
+      // The server is stopped or has no console; Discord messages are dropped.
+    }
+  }
+}
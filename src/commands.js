@@ -1,4 +1,5 @@
-import { SlashCommandBuilder } from "discord.js";
+import { ChannelType, SlashCommandBuilder } from "discord.js";
+import { JVM_PRESETS } from "./jvmOptions.js";
 
 export const commandBuilders = [
   new SlashCommandBuilder()
@@ -22,6 +23,12 @@ export const commandBuilders = [
         .setMinValue(512)
         .setMaxValue(65536)
         .setRequired(false),
+    )
+    .addBooleanOption((option) =>
+      option
+        .setName("wait")
+        .setDescription("起動完了（Done）まで待って結果を表示")
+        .setRequired(false),
     ),
 
   new SlashCommandBuilder()
@@ -33,6 +40,847 @@ export const commandBuilders = [
         .setDescription("サーバー名")
         .setAutocomplete(true)
         .setRequired(true),
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName("delay")
+        .setDescription("停止までの猶予(秒)。プレイヤーにカウントダウンを表示します")
+        .setMinValue(0)
+        .setMaxValue(600)
+        .setRequired(false),
+    )
+    .addStringOption((option) =>
+      option
+        .setName("message")
+        .setDescription("カウントダウン時にプレイヤーへ表示するメッセージ")
+        .setMaxLength(200)
+        .setRequired(false),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-restart")
+    .setDescription("Minecraftサーバーを再起動します。")
+    .addStringOption((option) =>
+      option
+        .setName("server")
+        .setDescription("サーバー名")
+        .setAutocomplete(true)
+        .setRequired(true),
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName("delay")
+        .setDescription("停止までの猶予(秒)。プレイヤーにカウントダウンを表示します")
+        .setMinValue(0)
+        .setMaxValue(600)
+        .setRequired(false),
+    )
+    .addStringOption((option) =>
+      option
+        .setName("message")
+        .setDescription("カウントダウン時にプレイヤーへ表示するメッセージ")
+        .setMaxLength(200)
+        .setRequired(false),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-schedule")
+    .setDescription("サーバーの定期実行（再起動・停止・起動・コマンド）を管理します。")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("add")
+        .setDescription("スケジュールを追加します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("cron")
+            .setDescription("分 時 日 月 曜日（例: 0 4 * * * で毎日4:00）")
+            .setMaxLength(100)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("action")
+            .setDescription("実行する操作")
+            .addChoices(
+              { name: "再起動", value: "restart" },
+              { name: "停止", value: "stop" },
+              { name: "起動", value: "start" },
+              { name: "コンソールコマンド", value: "command" },
+              { name: "バックアップ", value: "backup" },
+            )
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("command")
+            .setDescription("action が command の場合に実行するコマンド")
+            .setMaxLength(256)
+            .setRequired(false),
+        )
+        .addIntegerOption((option) =>
+          option
+            .setName("delay")
+            .setDescription("再起動/停止前の予告時間(秒)。既定 60")
+            .setMinValue(0)
+            .setMaxValue(600)
+            .setRequired(false),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("message")
+            .setDescription("再起動/停止の予告メッセージ")
+            .setMaxLength(200)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("list")
+        .setDescription("スケジュール一覧を表示します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("remove")
+        .setDescription("スケジュールを削除します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("id")
+            .setDescription("スケジュールID（/mc-schedule list で確認）")
+            .setRequired(true),
+        ),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-backup")
+    .setDescription("ワールドのバックアップを作成・一覧表示し、保持ルールを設定します。")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("create")
+        .setDescription("ワールドのバックアップを作成します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("list")
+        .setDescription("バックアップ一覧と保持ルールを表示します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("retention")
+        .setDescription("バックアップの保持ルールを設定します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addIntegerOption((option) =>
+          option
+            .setName("keep_last")
+            .setDescription("最新から保持する件数")
+            .setMinValue(0)
+            .setMaxValue(1000)
+            .setRequired(false),
+        )
+        .addIntegerOption((option) =>
+          option
+            .setName("keep_daily")
+            .setDescription("1日1件ずつ保持する日数")
+            .setMinValue(0)
+            .setMaxValue(366)
+            .setRequired(false),
+        )
+        .addIntegerOption((option) =>
+          option
+            .setName("keep_weekly")
+            .setDescription("1週1件ずつ保持する週数")
+            .setMinValue(0)
+            .setMaxValue(520)
+            .setRequired(false),
+        ),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-restore")
+    .setDescription("停止中のサーバーのワールドをバックアップから復元します。")
+    .addStringOption((option) =>
+      option
+        .setName("server")
+        .setDescription("サーバー名")
+        .setAutocomplete(true)
+        .setRequired(true),
+    )
+    .addStringOption((option) =>
+      option
+        .setName("backup")
+        .setDescription("バックアップID")
+        .setAutocomplete(true)
+        .setRequired(true),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-upgrade")
+    .setDescription(
+      "サーバーのバージョンを更新します（vanilla / paper / purpur のみ。Modサーバーは更新できません）。",
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("apply")
+        .setDescription("バックアップを取ってからサーバーjarを更新します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("version")
+            .setDescription("Minecraftバージョン（既定: latest）")
+            .setMaxLength(32)
+            .setRequired(false),
+        )
+        .addBooleanOption((option) =>
+          option
+            .setName("force")
+            .setDescription("ダウングレードやバージョン不明でも実行する")
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("rollback")
+        .setDescription("更新前のjarに戻します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-updates")
+    .setDescription("管理中サーバーの更新状況（新しいビルド/バージョン）を表示します。")
+    .addBooleanOption((option) =>
+      option
+        .setName("refresh")
+        .setDescription("キャッシュを使わずに最新情報を取得する")
+        .setRequired(false),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-cache")
+    .setDescription("ダウンロード済みサーバーjarの共有キャッシュを管理します。")
+    .addSubcommand((subcommand) =>
+      subcommand.setName("list").setDescription("キャッシュ済みのjarを一覧表示します。"),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("clean")
+        .setDescription("しばらく使われていないjarをキャッシュから削除します。")
+        .addIntegerOption((option) =>
+          option
+            .setName("older_than_days")
+            .setDescription("この日数以上使われていないjarを削除（0で全削除、既定: 30）")
+            .setMinValue(0)
+            .setRequired(false),
+        ),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-properties")
+    .setDescription("server.properties を表示・編集します。")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("get")
+        .setDescription("設定値を表示します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("key")
+            .setDescription("設定キー")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("set")
+        .setDescription("設定値を変更します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("key")
+            .setDescription("設定キー")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("value")
+            .setDescription("新しい値")
+            .setMaxLength(1000)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("list")
+        .setDescription("すべての設定値を表示します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-whitelist")
+    .setDescription("ホワイトリストを管理します。")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("add")
+        .setDescription("プレイヤーをホワイトリストに追加します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("player")
+            .setDescription("プレイヤー名")
+            .setMaxLength(64)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("remove")
+        .setDescription("プレイヤーをホワイトリストから削除します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("player")
+            .setDescription("プレイヤー名")
+            .setMaxLength(64)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("list")
+        .setDescription("ホワイトリストを表示します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-op")
+    .setDescription("OP権限を管理します。")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("add")
+        .setDescription("プレイヤーにOP権限を付与します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("player")
+            .setDescription("プレイヤー名")
+            .setMaxLength(64)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("remove")
+        .setDescription("プレイヤーのOP権限を外します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("player")
+            .setDescription("プレイヤー名")
+            .setMaxLength(64)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("list")
+        .setDescription("OP一覧を表示します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-ban")
+    .setDescription("プレイヤー/IPのBANを管理します。")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("add")
+        .setDescription("プレイヤーまたはIPアドレスをBANします。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("target")
+            .setDescription("プレイヤー名またはIPアドレス")
+            .setMaxLength(64)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("reason")
+            .setDescription("BAN理由")
+            .setMaxLength(200)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("remove")
+        .setDescription("BANを解除します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("target")
+            .setDescription("プレイヤー名またはIPアドレス")
+            .setMaxLength(64)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("list")
+        .setDescription("BAN一覧を表示します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-plugins")
+    .setDescription("Paper/Purpur のプラグインを管理します。")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("list")
+        .setDescription("導入済みプラグインを表示します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("install")
+        .setDescription("添付ファイルまたはリポジトリからプラグインを導入します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addAttachmentOption((option) =>
+          option
+            .setName("file")
+            .setDescription("プラグインの .jar ファイル")
+            .setRequired(false),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("sha256")
+            .setDescription("添付ファイルの SHA-256（添付時は必須）")
+            .setMinLength(64)
+            .setMaxLength(64)
+            .setRequired(false),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("project")
+            .setDescription("リポジトリのプロジェクトID/スラッグ")
+            .setMaxLength(100)
+            .setRequired(false),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("version")
+            .setDescription("プラグインのバージョン（省略時は最新）")
+            .setMaxLength(100)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("remove")
+        .setDescription("プラグインを削除します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("plugin")
+            .setDescription("プラグイン名またはファイル名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("enable")
+        .setDescription("無効化したプラグインを有効にします。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("plugin")
+            .setDescription("プラグイン名またはファイル名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("disable")
+        .setDescription("プラグインを無効化します（plugins/.disabled へ移動）。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("plugin")
+            .setDescription("プラグイン名またはファイル名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-jvm")
+    .setDescription("サーバーのJVM引数・サーバー引数を管理します。")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("show")
+        .setDescription("現在の設定と実際の起動コマンドを表示します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("set")
+        .setDescription("指定した項目を変更します（次回起動時に反映）。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("preset")
+            .setDescription("調整プリセット")
+            .addChoices(
+              { name: "なし", value: "none" },
+              ...Object.entries(JVM_PRESETS).map(([value, preset]) => ({
+                name: `${value}: ${preset.description}`,
+                value,
+              })),
+            )
+            .setRequired(false),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("jvm_args")
+            .setDescription("追加のJVM引数（例: -Dfile.encoding=UTF-8、none で削除）")
+            .setMaxLength(1000)
+            .setRequired(false),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("server_args")
+            .setDescription("サーバーへの追加引数（例: --world-dir worlds、none で削除）")
+            .setMaxLength(1000)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("reset")
+        .setDescription("プリセットと追加引数をすべて解除します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-exec")
+    .setDescription("起動中のMinecraftサーバーのコンソールにコマンドを送信します。")
+    .addStringOption((option) =>
+      option
+        .setName("server")
+        .setDescription("サーバー名")
+        .setAutocomplete(true)
+        .setRequired(true),
+    )
+    .addStringOption((option) =>
+      option
+        .setName("command")
+        .setDescription("コンソールコマンド（先頭の / は不要）")
+        .setMaxLength(256)
+        .setRequired(true),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-console")
+    .setDescription("サーバーコンソールのDiscord中継を設定します。")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("attach")
+        .setDescription("コンソール出力をチャンネルへ中継します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addChannelOption((option) =>
+          option
+            .setName("channel")
+            .setDescription("中継先チャンネル")
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+            .setRequired(true),
+        )
+        .addBooleanOption((option) =>
+          option
+            .setName("thread")
+            .setDescription("専用スレッドを作成して中継")
+            .setRequired(false),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("level")
+            .setDescription("中継する最低ログレベル")
+            .addChoices(
+              { name: "INFO", value: "INFO" },
+              { name: "WARN", value: "WARN" },
+              { name: "ERROR", value: "ERROR" },
+            )
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("detach")
+        .setDescription("コンソール中継を解除します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addChannelOption((option) =>
+          option
+            .setName("channel")
+            .setDescription("解除するチャンネル（省略時はすべて）")
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("list")
+        .setDescription("コンソール中継の設定を表示します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-chat")
+    .setDescription("Discordとゲーム内チャットのブリッジを設定します。")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("attach")
+        .setDescription("チャンネルとゲーム内チャットを相互に中継します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addChannelOption((option) =>
+          option
+            .setName("channel")
+            .setDescription("ブリッジ先チャンネル")
+            .addChannelTypes(ChannelType.GuildText)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("detach")
+        .setDescription("チャットブリッジを解除します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-players")
+    .setDescription("オンライン/最近のプレイヤーを表示し、参加/退出通知を設定します。")
+    .addStringOption((option) =>
+      option
+        .setName("server")
+        .setDescription("サーバー名")
+        .setAutocomplete(true)
+        .setRequired(true),
+    )
+    .addChannelOption((option) =>
+      option
+        .setName("announce_channel")
+        .setDescription("参加/退出を通知するチャンネルを設定")
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+        .setRequired(false),
+    )
+    .addBooleanOption((option) =>
+      option
+        .setName("announce_off")
+        .setDescription("参加/退出通知を無効化")
+        .setRequired(false),
     ),
 
   new SlashCommandBuilder()
@@ -46,6 +894,98 @@ export const commandBuilders = [
         .setRequired(true),
     ),
 
+  new SlashCommandBuilder()
+    .setName("mc-alerts")
+    .setDescription("サーバーのアラート（メモリ・TPS・ディスク・異常終了）を管理します。")
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("add")
+        .setDescription("アラートを追加します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("type")
+            .setDescription("監視する項目")
+            .addChoices(
+              { name: "メモリ(RSS)が memoryMb の threshold% を超える（既定 90）", value: "rss" },
+              { name: "TPSが threshold を下回る（既定 15）", value: "tps" },
+              { name: "ディスク空き容量が threshold GB を下回る（既定 5）", value: "disk" },
+              { name: "予期しない終了", value: "exit" },
+            )
+            .setRequired(true),
+        )
+        .addNumberOption((option) =>
+          option
+            .setName("threshold")
+            .setDescription("しきい値（rss: %、tps: TPS、disk: GB）")
+            .setMinValue(0.1)
+            .setRequired(false),
+        )
+        .addIntegerOption((option) =>
+          option
+            .setName("for_minutes")
+            .setDescription("この時間続いたら通知(分)。既定 rss/tps: 5、disk: 0")
+            .setMinValue(0)
+            .setMaxValue(1440)
+            .setRequired(false),
+        )
+        .addIntegerOption((option) =>
+          option
+            .setName("cooldown_minutes")
+            .setDescription("通知後、再通知しない時間(分)。既定 30")
+            .setMinValue(0)
+            .setMaxValue(1440)
+            .setRequired(false),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("list")
+        .setDescription("アラート一覧を表示します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        ),
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName("remove")
+        .setDescription("アラートを削除します。")
+        .addStringOption((option) =>
+          option
+            .setName("server")
+            .setDescription("サーバー名")
+            .setAutocomplete(true)
+            .setRequired(true),
+        )
+        .addStringOption((option) =>
+          option
+            .setName("id")
+            .setDescription("アラートID（/mc-alerts list で確認）")
+            .setRequired(true),
+        ),
+    ),
+
+  new SlashCommandBuilder()
+    .setName("mc-stats")
+    .setDescription("サーバープロセスのリソース使用状況（直近1時間）を表示します。")
+    .addStringOption((option) =>
+      option
+        .setName("server")
+        .setDescription("サーバー名")
+        .setAutocomplete(true)
+        .setRequired(true),
+    ),
+
   new SlashCommandBuilder()
     .setName("mc-list")
     .setDescription("管理対象のMinecraftサーバー一覧を表示します。"),
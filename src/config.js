@@ -16,8 +16,34 @@ const resolvedBaseDir = path.isAbsolute(rawBaseDir)
 export const DISCORD_TOKEN = process.env.DISCORD_TOKEN || "";
 export const DISCORD_CLIENT_ID = process.env.DISCORD_CLIENT_ID || "";
 export const DISCORD_GUILD_ID = process.env.DISCORD_GUILD_ID || "";
+export const DISCORD_NOTIFY_CHANNEL_ID =
+  process.env.DISCORD_NOTIFY_CHANNEL_ID || "";
 export const MC_BASE_DIR = resolvedBaseDir;
 export const JAVA_PATH = process.env.JAVA_PATH || "java";
+export const JAVA_RUNTIMES = (process.env.JAVA_RUNTIMES || "")
+  .split(",")
+  .map((item) => item.trim())
+  .filter(Boolean);
+export const MC_EXEC_DENYLIST = (process.env.MC_EXEC_DENYLIST ?? "stop,op,deop")
+  .split(",")
+  .map((item) => item.trim().toLowerCase())
+  .filter(Boolean);
+
+export const PLUGIN_REPOSITORY = (
+  process.env.PLUGIN_REPOSITORY || "modrinth"
+).toLowerCase();
+export const PLUGIN_REPOSITORY_URL = process.env.PLUGIN_REPOSITORY_URL || "";
+
+export const UPDATE_CHECK_INTERVAL_HOURS = Number(
+  process.env.UPDATE_CHECK_INTERVAL_HOURS ?? 6,
+);
+export const UPDATE_NOTIFY_CHANNEL_ID =
+  process.env.UPDATE_NOTIFY_CHANNEL_ID || DISCORD_NOTIFY_CHANNEL_ID;
+
+export const STATS_INTERVAL_SECONDS = Number(process.env.STATS_INTERVAL_SECONDS ?? 30);
+export const STATS_COLLECT_TPS = process.env.STATS_COLLECT_TPS === "true";
+export const ALERT_NOTIFY_CHANNEL_ID =
+  process.env.ALERT_NOTIFY_CHANNEL_ID || DISCORD_NOTIFY_CHANNEL_ID;
 
 export function assertEnv(keys) {
   const missing = keys.filter((key) => !process.env[key]);
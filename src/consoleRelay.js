@@ -0,0 +1,220 @@
+const FLUSH_INTERVAL_MS = 2000;
+const MAX_MESSAGE_CHARS = 1900;
+const MAX_QUEUED_LINES = 500;
+const LEVEL_RANK = { INFO: 0, WARN: 1, ERROR: 2 };
+const LOG_LEVEL_PATTERN =
+  /\[(?:[^\]]*[/ ])?(INFO|WARN|WARNING|ERROR|FATAL|SEVERE)\]/i;
+
+function detectLogLevel(line) {
+  const match = LOG_LEVEL_PATTERN.exec(line);
+  if (!match) {
+    return null;
+  }
+
+  const level = match[1].toUpperCase();
+  if (level === "WARNING") {
+    return "WARN";
+  }
+  if (level === "FATAL" || level === "SEVERE") {
+    return "ERROR";
+  }
+  return level;
+}
+
+function normalizeLevel(level) {
+  const normalized = String(level || "INFO").trim().toUpperCase();
+  if (!(normalized in LEVEL_RANK)) {
+    throw new Error("レベルは INFO / WARN / ERROR のいずれかです。");
+  }
+  return normalized;
+}
+
+function escapeCodeBlock(line) {
+  return line.replaceAll("```", "`\u200b``");
+}
+
+export class ConsoleRelay {
+  constructor({ client, manager }) {
+    this.client = client;
+    this.manager = manager;
+    this.bindings = new Map();
+    this.timer = null;
+    this.onLog = (event) => this.handleLog(event);
+  }
+
+  async restore() {
+    const serverNames = await this.manager.listServers();
+    for (const serverName of serverNames) {
+      const config = await this.manager.readServerConfig(serverName);
+      for (const binding of config?.consoleRelays || []) {
+        this.addBinding(serverName, binding);
+      }
+    }
+    this.start();
+    return this.bindings.size;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.manager.on("serverLog", this.onLog);
+    this.timer = setInterval(() => {
+      this.flushAll().catch((error) => {
+        // eslint-disable-next-line no-console
+        console.error(error);
+      });
+    }, FLUSH_INTERVAL_MS);
+  }
+
+  addBinding(serverName, binding) {
+    this.bindings.set(`${serverName}:${binding.channelId}`, {
+      serverName,
+      channelId: binding.channelId,
+      threadId: binding.threadId || null,
+      level: normalizeLevel(binding.level),
+      lastLevel: "INFO",
+      queue: [],
+      dropped: 0,
+      sending: false,
+    });
+  }
+
+  async attach({ serverName, channel, useThread = false, level = "INFO" }) {
+    if (!channel?.isTextBased?.()) {
+      throw new Error("テキストチャンネルを指定してください。");
+    }
+
+    const normalizedLevel = normalizeLevel(level);
+    if (useThread && !channel.threads?.create) {
+      throw new Error("このチャンネルではスレッドを作成できません。");
+    }
+
+    const binding = {
+      channelId: channel.id,
+      threadId: null,
+      level: normalizedLevel,
+    };
+    const saveBinding = (name) =>
+      this.manager.updateServerConfig(name, (raw) => {
+        raw.consoleRelays = [
+          ...(raw.consoleRelays || []).filter(
+            (item) => item.channelId !== channel.id,
+          ),
+          binding,
+        ];
+      });
+    // Save first so an unknown server doesn't leave an orphaned thread behind.
+    const config = await saveBinding(serverName);
+
+    if (useThread) {
+      let thread = null;
+      try {
+        thread = await channel.threads.create({
+          name: `${config.name}-console`,
+          reason: "Minecraft console relay",
+        });
+        binding.threadId = thread.id;
+        await saveBinding(config.name);
+      } catch (error) {
+        await thread?.delete().catch(() => {});
+        await this.detach(config.name, channel.id).catch(() => {});
+        throw error;
+      }
+    }
+
+    this.addBinding(config.name, binding);
+    this.start();
+    return { serverName: config.name, ...binding };
+  }
+
+  async detach(serverName, channelId = null) {
+    let removed = 0;
+    const config = await this.manager.updateServerConfig(serverName, (raw) => {
+      const current = raw.consoleRelays || [];
+      raw.consoleRelays = channelId
+        ? current.filter((item) => item.channelId !== channelId)
+        : [];
+      removed = current.length - raw.consoleRelays.length;
+    });
+
+    for (const [key, binding] of this.bindings) {
+      if (
+        binding.serverName === config.name &&
+        (!channelId || binding.channelId === channelId)
+      ) {
+        this.bindings.delete(key);
+      }
+    }
+    return removed;
+  }
+
+  list(serverName) {
+    return [...this.bindings.values()]
+      .filter((binding) => binding.serverName === serverName)
+      .map(({ channelId, threadId, level }) => ({ channelId, threadId, level }));
+  }
+
+  handleLog(event) {
+    for (const binding of this.bindings.values()) {
+      if (binding.serverName !== event.name) {
+        continue;
+      }
+
+      binding.lastLevel = detectLogLevel(event.line) || binding.lastLevel;
+      if (LEVEL_RANK[binding.lastLevel] < LEVEL_RANK[binding.level]) {
+        continue;
+      }
+
+      binding.queue.push(escapeCodeBlock(event.line).slice(0, MAX_MESSAGE_CHARS));
+      if (binding.queue.length > MAX_QUEUED_LINES) {
+        binding.dropped += binding.queue.length - MAX_QUEUED_LINES;
+        binding.queue.splice(0, binding.queue.length - MAX_QUEUED_LINES);
+      }
+    }
+  }
+
+  async flushAll() {
+    await Promise.all(
+      [...this.bindings.values()].map((binding) => this.flush(binding)),
+    );
+  }
+
+  async flush(binding) {
+    if (binding.sending || binding.queue.length === 0) {
+      return;
+    }
+    binding.sending = true;
+
+    try {
+      const lines = [];
+      let length = 0;
+      if (binding.dropped > 0) {
+        lines.push(`... ${binding.dropped} lines dropped ...`);
+        length += lines[0].length + 1;
+        binding.dropped = 0;
+      }
+      while (
+        binding.queue.length > 0 &&
+        length + binding.queue[0].length + 1 <= MAX_MESSAGE_CHARS
+      ) {
+        const line = binding.queue.shift();
+        lines.push(line);
+        length += line.length + 1;
+      }
+
+      const channel = await this.client.channels.fetch(
+        binding.threadId || binding.channelId,
+      );
+      if (!channel?.isTextBased()) {
+        return;
+      }
+      await channel.send(`\`\`\`\n${lines.join("\n")}\n\`\`\``);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(error);
+    } finally {
+      binding.sending = false;
+    }
+  }
+}
@@ -0,0 +1,264 @@
+import { createHash, randomBytes } from "node:crypto";
+import { createReadStream, createWriteStream } from "node:fs";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Readable, Transform } from "node:stream";
+import { pipeline } from "node:stream/promises";
+
+const INDEX_FILE = "index.json";
+const CACHE_FILE_PATTERN = /^[0-9a-f]{64}\.jar$/;
+const HASH_ALGORITHMS = ["sha256", "sha1", "md5"];
+const DEFAULT_CLEANUP_DAYS = 30;
+// Partial downloads younger than this may still be in progress.
+const STALE_PARTIAL_MS = 60 * 60 * 1000;
+
+function createHashes() {
+  return Object.fromEntries(HASH_ALGORITHMS.map((name) => [name, createHash(name)]));
+}
+
+function digestAll(hashes) {
+  return Object.fromEntries(
+    Object.entries(hashes).map(([name, hash]) => [name, hash.digest("hex")]),
+  );
+}
+
+function hashingTransform(hashes) {
+  let bytes = 0;
+  const transform = new Transform({
+    transform(chunk, _encoding, callback) {
+      bytes += chunk.length;
+      for (const hash of Object.values(hashes)) {
+        hash.update(chunk);
+      }
+      callback(null, chunk);
+    },
+  });
+  transform.getSize = () => bytes;
+  return transform;
+}
+
+function temporaryPathFor(filePath) {
+  return `${filePath}.${randomBytes(4).toString("hex")}.partial`;
+}
+
+// Returns the first expected hash that does not match, or null when all match.
+function findMismatch(expected, actual) {
+  for (const name of HASH_ALGORITHMS) {
+    if (expected?.[name] && String(expected[name]).toLowerCase() !== actual[name]) {
+      return { algorithm: name, expected: expected[name], actual: actual[name] };
+    }
+  }
+  return null;
+}
+
+function strongestAlgorithm(expected) {
+  return HASH_ALGORITHMS.find((name) => expected?.[name]) || null;
+}
+
+function findEntry(entries, expected) {
+  return (
+    Object.values(entries).find((entry) =>
+      HASH_ALGORITHMS.some(
+        (name) => expected?.[name] && entry[name] === String(expected[name]).toLowerCase(),
+      ),
+    ) || null
+  );
+}
+
+/**
+ * A content-addressed store of downloaded server jars, keyed by sha256, so
+ * that servers created or upgraded to the same build share one download.
+ */
+export class JarCache {
+  constructor({ rootDir }) {
+    this.rootDir = rootDir;
+    this.indexLock = Promise.resolve();
+  }
+
+  async readIndex() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(path.join(this.rootDir, INDEX_FILE), "utf8"));
+      return parsed && typeof parsed.entries === "object" ? parsed : { entries: {} };
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        return { entries: {} };
+      }
+      throw error;
+    }
+  }
+
+  async updateIndex(mutate) {
+    const next = this.indexLock.catch(() => {}).then(async () => {
+      const index = await this.readIndex();
+      const result = await mutate(index);
+      await fs.mkdir(this.rootDir, { recursive: true });
+      const indexPath = path.join(this.rootDir, INDEX_FILE);
+      const tempPath = temporaryPathFor(indexPath);
+      await fs.writeFile(tempPath, `${JSON.stringify(index, null, 2)}\n`, "utf8");
+      await fs.rename(tempPath, indexPath);
+      return result;
+    });
+    this.indexLock = next;
+    return next;
+  }
+
+  async hashFile(filePath) {
+    const hashes = createHashes();
+    const meter = hashingTransform(hashes);
+    await pipeline(createReadStream(filePath), meter, async function* (source) {
+      for await (const chunk of source) {
+        void chunk;
+      }
+    });
+    return { ...digestAll(hashes), size: meter.getSize() };
+  }
+
+  async download(url, destinationPath) {
+    const response = await fetch(url);
+    if (!response.ok || !response.body) {
+      throw new Error(`Failed to download ${url} (${response.status})`);
+    }
+
+    const hashes = createHashes();
+    const meter = hashingTransform(hashes);
+    await pipeline(Readable.fromWeb(response.body), meter, createWriteStream(destinationPath));
+    return { ...digestAll(hashes), size: meter.getSize() };
+  }
+
+  async copyInto(sourcePath, destinationPath) {
+    const tempPath = temporaryPathFor(destinationPath);
+    try {
+      await fs.copyFile(sourcePath, tempPath);
+      await fs.rename(tempPath, destinationPath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Downloads `url` to `destinationPath` through a temp file. When hashes are
+   * known the download is verified and stored in (or served from) the cache;
+   * otherwise it is downloaded directly without caching.
+   */
+  async fetch(url, destinationPath, { hashes = null, label = null } = {}) {
+    const algorithm = strongestAlgorithm(hashes);
+    if (!algorithm) {
+      const tempPath = temporaryPathFor(destinationPath);
+      try {
+        await this.download(url, tempPath);
+        await fs.rename(tempPath, destinationPath);
+      } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+      }
+      return { verified: null, cached: false };
+    }
+
+    // Cache files are only moved in or out while the index lock is held, so
+    // cleanup() never removes a file that a fetch is about to index or copy.
+    const hit = await this.updateIndex(async (index) => {
+      const cached = findEntry(index.entries, hashes);
+      if (!cached) {
+        return null;
+      }
+      const cachedPath = path.join(this.rootDir, `${cached.sha256}.jar`);
+      const actual = await this.hashFile(cachedPath).catch(() => null);
+      if (actual && !findMismatch(hashes, actual) && actual.sha256 === cached.sha256) {
+        await this.copyInto(cachedPath, destinationPath);
+        cached.lastUsedAt = new Date().toISOString();
+        return cached.sha256;
+      }
+      // Missing or corrupted cache file: drop it and download again.
+      await fs.rm(cachedPath, { force: true });
+      delete index.entries[cached.sha256];
+      return null;
+    });
+    if (hit) {
+      return { verified: algorithm, cached: true, sha256: hit };
+    }
+
+    await fs.mkdir(this.rootDir, { recursive: true });
+    const tempPath = temporaryPathFor(path.join(this.rootDir, "download"));
+    try {
+      const actual = await this.download(url, tempPath);
+      const mismatch = findMismatch(hashes, actual);
+      if (mismatch) {
+        throw new Error(
+          `Checksum mismatch for ${url}: expected ${mismatch.algorithm} ${mismatch.expected}, got ${mismatch.actual}`,
+        );
+      }
+
+      await this.updateIndex(async (index) => {
+        const cachedPath = path.join(this.rootDir, `${actual.sha256}.jar`);
+        await fs.rename(tempPath, cachedPath);
+        const now = new Date().toISOString();
+        index.entries[actual.sha256] = {
+          ...actual,
+          url,
+          label,
+          addedAt: index.entries[actual.sha256]?.addedAt || now,
+          lastUsedAt: now,
+        };
+        await this.copyInto(cachedPath, destinationPath);
+      });
+      return { verified: algorithm, cached: false, sha256: actual.sha256 };
+    } finally {
+      await fs.rm(tempPath, { force: true });
+    }
+  }
+
+  async list() {
+    const { entries } = await this.readIndex();
+    return Object.values(entries).sort((a, b) =>
+      String(b.lastUsedAt).localeCompare(String(a.lastUsedAt)),
+    );
+  }
+
+  async remove(sha256) {
+    await this.updateIndex(async (index) => {
+      await fs.rm(path.join(this.rootDir, `${sha256}.jar`), { force: true });
+      delete index.entries[sha256];
+    });
+  }
+
+  /**
+   * Removes entries not used for `olderThanDays` days (0 removes everything),
+   * plus leftover partial downloads and files missing from the index.
+   */
+  async cleanup({ olderThanDays = DEFAULT_CLEANUP_DAYS } = {}) {
+    const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+    return this.updateIndex(async (index) => {
+      const removed = Object.values(index.entries).filter(
+        (entry) => olderThanDays === 0 || Date.parse(entry.lastUsedAt) < cutoff,
+      );
+      for (const entry of removed) {
+        await fs.rm(path.join(this.rootDir, `${entry.sha256}.jar`), { force: true });
+        delete index.entries[entry.sha256];
+      }
+
+      let strayFiles = 0;
+      for (const file of await fs.readdir(this.rootDir).catch(() => [])) {
+        const filePath = path.join(this.rootDir, file);
+        const isKnownJar = CACHE_FILE_PATTERN.test(file) && index.entries[file.slice(0, -4)];
+        if (file === INDEX_FILE || isKnownJar) {
+          continue;
+        }
+        if (file.endsWith(".partial")) {
+          const stat = await fs.stat(filePath).catch(() => null);
+          if (!stat || Date.now() - stat.mtimeMs < STALE_PARTIAL_MS) {
+            continue;
+          }
+        }
+        await fs.rm(filePath, { force: true });
+        strayFiles += 1;
+      }
+
+      return {
+        removed: removed.map((entry) => entry.label || entry.sha256),
+        freedBytes: removed.reduce((sum, entry) => sum + (entry.size || 0), 0),
+        strayFiles,
+      };
+    });
+  }
+}
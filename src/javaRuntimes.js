@@ -0,0 +1,197 @@
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { promisify } from "node:util";
+
+const execFileAsync = promisify(execFile);
+
+const PROBE_TIMEOUT_MS = 10000;
+const JAVA_EXECUTABLE = process.platform === "win32" ? "java.exe" : "java";
+// Minecraft versions that ask for Java 8 (before 1.17) break on newer
+// runtimes with many mod loaders, so they only accept up to Java 11.
+const MAX_LEGACY_JAVA_MAJOR = 11;
+
+function defaultScanDirs() {
+  if (process.platform === "win32") {
+    const programFiles = process.env.ProgramFiles || "C:\\Program Files";
+    return [
+      path.join(programFiles, "Java"),
+      path.join(programFiles, "Eclipse Adoptium"),
+      path.join(programFiles, "Microsoft"),
+      path.join(programFiles, "Zulu"),
+      path.join(programFiles, "Amazon Corretto"),
+    ];
+  }
+  if (process.platform === "darwin") {
+    return ["/Library/Java/JavaVirtualMachines"];
+  }
+  return [
+    "/usr/lib/jvm",
+    "/usr/java",
+    "/opt/java",
+    path.join(os.homedir(), ".sdkman", "candidates", "java"),
+  ];
+}
+
+/**
+ * Extracts the major version from `java -version` output, e.g.
+ * `openjdk version "21.0.2"` → 21 and `java version "1.8.0_392"` → 8.
+ */
+export function parseJavaVersionOutput(output) {
+  const match = /version "([^"]+)"/.exec(String(output || ""));
+  if (!match) {
+    return null;
+  }
+  const [first, second] = match[1].split(/[._-]/).map((part) => Number.parseInt(part, 10));
+  const major = first === 1 ? second : first;
+  return Number.isInteger(major) ? { major, version: match[1] } : null;
+}
+
+export function isCompatibleJava(major, requiredMajor) {
+  if (major < requiredMajor) {
+    return false;
+  }
+  return requiredMajor > 8 || major <= MAX_LEGACY_JAVA_MAJOR;
+}
+
+// Lowest compatible major version first; JAVA_PATH wins among equals.
+function pickCompatible(runtimes, requiredMajor) {
+  return (
+    runtimes
+      .filter((runtime) => isCompatibleJava(runtime.majorVersion, requiredMajor))
+      .sort(
+        (a, b) =>
+          a.majorVersion - b.majorVersion || Number(b.isDefault) - Number(a.isDefault),
+      )[0] || null
+  );
+}
+
+async function isFile(targetPath) {
+  try {
+    return (await fs.stat(targetPath)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// Accepts either a java executable or a JDK/JRE home directory.
+async function resolveExecutable(candidate) {
+  const homeExecutable = path.join(candidate, "bin", JAVA_EXECUTABLE);
+  if (await isFile(homeExecutable)) {
+    return homeExecutable;
+  }
+  return candidate;
+}
+
+/**
+ * Finds installed Java runtimes (the configured list, JAVA_PATH and the usual
+ * install directories) and picks one that suits a Minecraft version.
+ */
+export class JavaRuntimeLocator {
+  constructor({ defaultJavaPath = "java", runtimes = [], scanDirs = null }) {
+    this.defaultJavaPath = defaultJavaPath;
+    this.runtimes = runtimes;
+    this.scanDirs = scanDirs ?? defaultScanDirs();
+    this.discovery = null;
+  }
+
+  async collectCandidates() {
+    const candidates = [this.defaultJavaPath, ...this.runtimes];
+    for (const dir of this.scanDirs) {
+      const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        if (!entry.isDirectory() && !entry.isSymbolicLink()) {
+          continue;
+        }
+        const home = path.join(dir, entry.name);
+        candidates.push(home, path.join(home, "Contents", "Home"));
+      }
+    }
+    return candidates;
+  }
+
+  async probe(javaPath) {
+    try {
+      const { stdout, stderr } = await execFileAsync(javaPath, ["-version"], {
+        timeout: PROBE_TIMEOUT_MS,
+        windowsHide: true,
+      });
+      const parsed = parseJavaVersionOutput(`${stderr}\n${stdout}`);
+      return parsed
+        ? { path: javaPath, majorVersion: parsed.major, version: parsed.version }
+        : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async discover() {
+    const runtimes = [];
+    const seen = new Set();
+    for (const candidate of await this.collectCandidates()) {
+      const looksLikePath = candidate.includes("/") || candidate.includes("\\");
+      if (looksLikePath && !(await fs.stat(candidate).catch(() => null))) {
+        continue;
+      }
+      const executable = looksLikePath ? await resolveExecutable(candidate) : candidate;
+      const key = looksLikePath
+        ? await fs.realpath(executable).catch(() => executable)
+        : executable;
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      const runtime = await this.probe(executable);
+      if (runtime) {
+        runtimes.push({ ...runtime, isDefault: candidate === this.defaultJavaPath });
+      }
+    }
+    return runtimes.sort((a, b) => a.majorVersion - b.majorVersion);
+  }
+
+  async list({ refresh = false } = {}) {
+    if (refresh || !this.discovery) {
+      this.discovery = this.discover();
+      this.discovery.catch(() => {
+        this.discovery = null;
+      });
+    }
+    return this.discovery;
+  }
+
+  /**
+   * Returns the runtime to use for `requiredMajor`. Without a requirement
+   * JAVA_PATH is used as-is, without probing it. With `rescan: false` a miss
+   * is reported from the cached scan instead of probing every JDK again.
+   */
+  async select(requiredMajor, { context = "this server", rescan = true } = {}) {
+    if (!Number.isInteger(requiredMajor)) {
+      return { path: this.defaultJavaPath, majorVersion: null, version: null, isDefault: true };
+    }
+
+    let runtimes = await this.list();
+    let runtime = pickCompatible(runtimes, requiredMajor);
+    if (!runtime && rescan) {
+      // Re-scan once on a miss so newly installed JDKs are picked up.
+      runtimes = await this.list({ refresh: true });
+      runtime = pickCompatible(runtimes, requiredMajor);
+    }
+    if (runtime) {
+      return runtime;
+    }
+
+    const installed =
+      runtimes.length > 0
+        ? runtimes.map((item) => `${item.majorVersion} (${item.path})`).join(", ")
+        : "none";
+    const wanted =
+      requiredMajor > 8
+        ? `Java ${requiredMajor}+`
+        : `Java ${requiredMajor}-${MAX_LEGACY_JAVA_MAJOR}`;
+    throw new Error(
+      `No compatible Java runtime for ${context}: ${wanted} is required. Installed: ${installed}. Install one or add it to JAVA_RUNTIMES.`,
+    );
+  }
+}
@@ -0,0 +1,239 @@
+const MAX_ARGS = 64;
+const MAX_ARG_LENGTH = 512;
+const LARGE_HEAP_MB = 12 * 1024;
+
+const GC_FLAGS = new Set([
+  "UseG1GC",
+  "UseZGC",
+  "UseShenandoahGC",
+  "UseParallelGC",
+  "UseSerialGC",
+  "UseConcMarkSweepGC",
+  "UseEpsilonGC",
+]);
+
+const FORBIDDEN_JVM_ARGS = [
+  {
+    pattern: /^-(Xm[sx]|XX:(Max|Initial|Min)?(HeapSize|RAM(Percentage|Fraction)?)=)/i,
+    reason: "the heap size is set from memoryMb",
+  },
+  {
+    pattern: /^(-jar|-cp|-classpath|-m|-p|@.*)$|^--(class-path|module|module-path)(=|$)/,
+    reason: "the bot decides what is launched",
+  },
+  {
+    pattern: /^(-Xbootclasspath|--patch-module|--upgrade-module-path)/,
+    reason: "it changes where classes are loaded from",
+  },
+  {
+    pattern: /^-Djava\.(system\.class\.loader|class\.path|ext\.dirs|endorsed\.dirs)=/,
+    reason: "it changes where classes are loaded from",
+  },
+  {
+    pattern: /^-(agentlib:|agentpath:|javaagent:|Xdebug$|Xrun)/,
+    reason: "agents and debuggers can run arbitrary code",
+  },
+  {
+    pattern: /^-XX:(Flags|VMOptionsFile|CompileCommandFile)=/,
+    reason: "it reads more options from a file",
+  },
+  {
+    pattern: /^-XX:[+-]?(OnError|OnOutOfMemoryError)\b/,
+    reason: "it runs shell commands",
+  },
+  {
+    pattern: /^-Dcom\.sun\.management\.jmxremote/,
+    reason: "it opens a remote management port",
+  },
+];
+
+// Bukkit's option parser also accepts any unambiguous prefix of a long option
+// (`--plug` for `--plugins`), so match those down to `minLength` characters.
+function longOptionPattern(names, minLength) {
+  const alternatives = names.map(
+    (name) =>
+      name.slice(0, minLength) +
+      [...name.slice(minLength)].reduceRight((rest, char) => `(?:${char}${rest})?`, ""),
+  );
+  return new RegExp(`^--(?:${alternatives.join("|")})(=|$)`);
+}
+
+const FORBIDDEN_SERVER_ARGS = [
+  {
+    pattern: /^(-p|--port|--server-port)(=|$)/,
+    reason: "the port is set in server.properties",
+  },
+  { pattern: /^-?-?nogui$/, reason: "nogui is always passed" },
+  {
+    pattern: /^-P/,
+    reason: "plugins are managed with /mc-plugins",
+  },
+  {
+    pattern: longOptionPattern(["plugins", "add-plugin", "add-extra-plugin-jar"], 2),
+    reason: "plugins are managed with /mc-plugins",
+  },
+];
+
+function aikarArgs({ memoryMb }) {
+  // https://docs.papermc.io/paper/aikars-flags — larger heaps use bigger young gen/regions.
+  const large = memoryMb >= LARGE_HEAP_MB;
+  return [
+    "-XX:+UseG1GC",
+    "-XX:+ParallelRefProcEnabled",
+    "-XX:MaxGCPauseMillis=200",
+    "-XX:+UnlockExperimentalVMOptions",
+    "-XX:+DisableExplicitGC",
+    "-XX:+AlwaysPreTouch",
+    `-XX:G1NewSizePercent=${large ? 40 : 30}`,
+    `-XX:G1MaxNewSizePercent=${large ? 50 : 40}`,
+    `-XX:G1HeapRegionSize=${large ? "16M" : "8M"}`,
+    `-XX:G1ReservePercent=${large ? 15 : 20}`,
+    "-XX:G1HeapWastePercent=5",
+    "-XX:G1MixedGCCountTarget=4",
+    `-XX:InitiatingHeapOccupancyPercent=${large ? 20 : 15}`,
+    "-XX:G1MixedGCLiveThresholdPercent=90",
+    "-XX:G1RSetUpdatingPauseTimePercent=5",
+    "-XX:SurvivorRatio=32",
+    "-XX:+PerfDisableSharedMem",
+    "-XX:MaxTenuringThreshold=1",
+    "-Dusing.aikars.flags=https://mcflags.emc.gs",
+    "-Daikars.new.flags=true",
+  ];
+}
+
+function zgcArgs({ javaMajorVersion }) {
+  if (javaMajorVersion != null && javaMajorVersion < 15) {
+    throw new Error("The zgc preset needs Java 15 or newer.");
+  }
+  return [
+    "-XX:+UseZGC",
+    // Generational ZGC is opt-in on Java 21/22 and the default afterwards.
+    ...(javaMajorVersion === 21 || javaMajorVersion === 22 ? ["-XX:+ZGenerational"] : []),
+    "-XX:+AlwaysPreTouch",
+    "-XX:+DisableExplicitGC",
+    "-XX:+PerfDisableSharedMem",
+  ];
+}
+
+export const JVM_PRESETS = {
+  aikar: {
+    description: "Aikar's flags（G1GC、Paper推奨）",
+    args: aikarArgs,
+  },
+  zgc: {
+    description: "ZGC（大容量メモリ向け、Java 17以降推奨）",
+    args: zgcArgs,
+  },
+};
+
+/**
+ * Splits a command-line style string into arguments. Double or single quotes
+ * group words, e.g. `--world-dir "my worlds"` or `-Dname='a b'`.
+ */
+export function splitArgs(text) {
+  const tokens = String(text || "").match(/(?:"[^"]*"|'[^']*'|[^\s"']+)+/g) || [];
+  return tokens.map((token) => token.replace(/"([^"]*)"|'([^']*)'/g, "$1$2"));
+}
+
+// -XX:+Name, -XX:-Name and -XX:Name=value share a key, as do -Dkey=a and -Dkey=b.
+function argKey(arg) {
+  const xx = /^-XX:[+-]?([^=]+)/.exec(arg);
+  if (xx) {
+    return `XX:${xx[1]}`;
+  }
+  const property = /^-D([^=]+)/.exec(arg);
+  return property ? `D:${property[1]}` : arg;
+}
+
+function enabledGcs(args) {
+  return args
+    .map((arg) => /^-XX:\+(\w+)$/.exec(arg)?.[1])
+    .filter((flag) => GC_FLAGS.has(flag));
+}
+
+function validateArgList(args, label, forbidden) {
+  if (!Array.isArray(args)) {
+    throw new Error(`${label} must be a list.`);
+  }
+  if (args.length > MAX_ARGS) {
+    throw new Error(`Too many ${label} (max ${MAX_ARGS}).`);
+  }
+  return args.map((raw) => {
+    const arg = String(raw);
+    if (!arg || arg.length > MAX_ARG_LENGTH || /[\0-\x1f]/.test(arg)) {
+      throw new Error(`Invalid ${label}: ${JSON.stringify(arg)}`);
+    }
+    const rule = forbidden.find(({ pattern }) => pattern.test(arg));
+    if (rule) {
+      throw new Error(`${arg} is not allowed in ${label} (${rule.reason}).`);
+    }
+    return arg;
+  });
+}
+
+/**
+ * Validates JVM settings from a command or bot-config.json and returns them as
+ * `{ jvmPreset, jvmArgs, serverArgs }`. Throws on dangerous or conflicting flags.
+ */
+export function normalizeJvmOptions({ jvmPreset = null, jvmArgs = [], serverArgs = [] } = {}) {
+  const preset = jvmPreset ? String(jvmPreset).trim().toLowerCase() : null;
+  if (preset && !JVM_PRESETS[preset]) {
+    throw new Error(
+      `Unknown JVM preset "${jvmPreset}". Available: ${Object.keys(JVM_PRESETS).join(", ")}.`,
+    );
+  }
+
+  const normalizedJvmArgs = validateArgList(jvmArgs, "JVM arguments", FORBIDDEN_JVM_ARGS);
+  for (const arg of normalizedJvmArgs) {
+    if (!arg.startsWith("-")) {
+      throw new Error(`JVM arguments must start with "-": ${arg}`);
+    }
+  }
+  const gcs = new Set(enabledGcs(normalizedJvmArgs));
+  if (gcs.size > 1) {
+    throw new Error(`Only one garbage collector can be enabled: ${[...gcs].join(", ")}.`);
+  }
+  if (preset && gcs.size > 0) {
+    const presetGcs = enabledGcs(JVM_PRESETS[preset].args({ memoryMb: 0 }));
+    const [gc] = gcs;
+    if (!presetGcs.includes(gc)) {
+      throw new Error(
+        `-XX:+${gc} conflicts with the ${preset} preset (${presetGcs.join(", ")}).`,
+      );
+    }
+  }
+
+  return {
+    jvmPreset: preset,
+    jvmArgs: normalizedJvmArgs,
+    serverArgs: validateArgList(serverArgs, "server arguments", FORBIDDEN_SERVER_ARGS),
+  };
+}
+
+/**
+ * Expands a server's preset and custom arguments into the final lists passed
+ * to java. Custom JVM arguments override preset ones with the same flag.
+ */
+export function buildJvmOptions(config, { memoryMb, javaMajorVersion = null }) {
+  const options = normalizeJvmOptions(config);
+  const presetArgs = options.jvmPreset
+    ? JVM_PRESETS[options.jvmPreset].args({ memoryMb, javaMajorVersion })
+    : [];
+  const overridden = new Set(options.jvmArgs.map(argKey));
+  return {
+    jvmArgs: [...presetArgs.filter((arg) => !overridden.has(argKey(arg))), ...options.jvmArgs],
+    serverArgs: options.serverArgs,
+  };
+}
+
+// The inverse of splitArgs, for showing arguments back to users.
+export function joinArgs(args) {
+  return args
+    .map((arg) => {
+      if (!/[\s"']/.test(arg)) {
+        return arg;
+      }
+      return arg.includes('"') ? `'${arg}'` : `"${arg}"`;
+    })
+    .join(" ");
+}
@@ -0,0 +1,91 @@
+const LOG_PREFIX_PATTERN = /^(?:\[[^\]]*\]\s*)+:\s?(.*)$/;
+const CHAT_PATTERN = /^(?:\[Not Secure\]\s*)?<([A-Za-z0-9_.]{1,16})>\s(.*)$/;
+const JOIN_PATTERN = /^([A-Za-z0-9_.]{1,16}) joined the game$/;
+const LEAVE_PATTERN = /^([A-Za-z0-9_.]{1,16}) left the game$/;
+const UUID_PATTERN =
+  /^UUID of player ([A-Za-z0-9_.]{1,16}) is ([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+const DEATH_SUBJECT_PATTERN = /^([A-Za-z0-9_.]{1,16}) (.+)$/;
+const DEATH_PHRASES = [
+  "was slain by",
+  "was shot by",
+  "was killed",
+  "was blown up by",
+  "blew up",
+  "was fireballed by",
+  "was pummeled by",
+  "was impaled",
+  "was stung to death",
+  "was poked to death",
+  "was pricked to death",
+  "was squashed by",
+  "was squished",
+  "was struck by lightning",
+  "was burnt to a crisp",
+  "was frozen to death",
+  "was skewered by",
+  "was obliterated by",
+  "was doomed to fall",
+  "was roasted in dragon's breath",
+  "burned to death",
+  "went up in flames",
+  "walked into fire",
+  "walked into a cactus",
+  "tried to swim in lava",
+  "discovered the floor was lava",
+  "drowned",
+  "suffocated in a wall",
+  "starved to death",
+  "froze to death",
+  "fell from a high place",
+  "fell off",
+  "fell out of the world",
+  "fell while climbing",
+  "fell too far",
+  "hit the ground too hard",
+  "experienced kinetic energy",
+  "withered away",
+  "died",
+  "didn't want to live in the same world as",
+  "left the confines of this world",
+  "was killed by even more magic",
+];
+
+export function stripLogPrefix(line) {
+  const match = LOG_PREFIX_PATTERN.exec(String(line || ""));
+  return match ? match[1] : String(line || "");
+}
+
+export function parseConsoleLine(line, { knownPlayers = null } = {}) {
+  const message = stripLogPrefix(line).trim();
+
+  const chat = CHAT_PATTERN.exec(message);
+  if (chat) {
+    return { type: "chat", player: chat[1], message: chat[2] };
+  }
+
+  const join = JOIN_PATTERN.exec(message);
+  if (join) {
+    return { type: "join", player: join[1] };
+  }
+
+  const leave = LEAVE_PATTERN.exec(message);
+  if (leave) {
+    return { type: "leave", player: leave[1] };
+  }
+
+  const uuid = UUID_PATTERN.exec(message);
+  if (uuid) {
+    return { type: "uuid", player: uuid[1], uuid: uuid[2].toLowerCase() };
+  }
+
+  const death = DEATH_SUBJECT_PATTERN.exec(message);
+  if (
+    death &&
+    knownPlayers?.has(death[1]) &&
+    DEATH_PHRASES.some((phrase) => death[2].startsWith(phrase))
+  ) {
+    return { type: "death", player: death[1], message };
+  }
+
+  return null;
+}
@@ -1,19 +1,72 @@
-import { spawn } from "node:child_process";
-import { once } from "node:events";
-import { createWriteStream } from "node:fs";
+import { execFile, spawn } from "node:child_process";
+import { randomBytes } from "node:crypto";
+import { EventEmitter } from "node:events";
 import fs from "node:fs/promises";
 import path from "node:path";
-import { Readable } from "node:stream";
-import { pipeline } from "node:stream/promises";
+import { promisify } from "node:util";
+import { JarCache } from "./jarCache.js";
+import { JavaRuntimeLocator } from "./javaRuntimes.js";
+import { buildJvmOptions, normalizeJvmOptions } from "./jvmOptions.js";
+import { formatPortUse, isPortFree } from "./portChecker.js";
+import { sendRconCommand } from "./rconClient.js";
+import {
+  PROPERTY_SCHEMA,
+  PropertiesDocument,
+  validatePropertyValue,
+} from "./serverProperties.js";
+import { pingServer } from "./serverListPing.js";
+import { readZipEntries } from "./zipReader.js";
+
+const execFileAsync = promisify(execFile);
 
 const VANILLA_VERSION_MANIFEST_URL =
   "https://piston-meta.mojang.com/mc/game/version_manifest_v2.json";
 const PAPER_PROJECT_API_URL = "https://api.papermc.io/v2/projects/paper";
 const PURPUR_PROJECT_API_URL = "https://api.purpurmc.org/v2/purpur";
+const FABRIC_META_URL = "https://meta.fabricmc.net/v2";
+const QUILT_META_URL = "https://meta.quiltmc.org/v3";
+const FORGE_PROMOTIONS_URL =
+  "https://files.minecraftforge.net/net/minecraftforge/forge/promotions_slim.json";
+const FORGE_MAVEN_URL = "https://maven.minecraftforge.net/net/minecraftforge/forge";
+const NEOFORGE_VERSIONS_URL =
+  "https://maven.neoforged.net/api/maven/versions/releases/net/neoforged/neoforge";
+const NEOFORGE_MAVEN_URL = "https://maven.neoforged.net/releases/net/neoforged/neoforge";
 
 const MAX_BUFFERED_LINES = 500;
-const CREATE_SUPPORTED_FORKS = new Set(["vanilla", "paper", "purpur"]);
-const IMPORT_SUPPORTED_FORKS = new Set(["vanilla", "paper", "purpur", "custom"]);
+const RUNTIME_STATE_FILE = "bot-runtime.json";
+const ADOPTED_POLL_INTERVAL_MS = 1000;
+const DEFAULT_STARTUP_TIMEOUT_SECONDS = 300;
+const SERVER_READY_PATTERN = /\bDone \((\d+(?:\.\d+)?)s\)!/;
+const DEFAULT_EXEC_CAPTURE_MS = 1500;
+const RCON_PORT_OFFSET = 10;
+const MAX_FREE_PORT_PROBES = 200;
+const DEFAULT_STOP_TIMEOUT_SECONDS = 60;
+const MAX_STOP_DELAY_SECONDS = 600;
+const SIGTERM_GRACE_MS = 15000;
+const STOP_COUNTDOWN_POINTS = [600, 300, 120, 60, 30, 10, 5, 4, 3, 2, 1];
+const SAVE_COMPLETE_PATTERN = /Saved the game|Saved the world/i;
+const MAX_CONFIG_HISTORY = 50;
+const INSTALLER_TIMEOUT_MS = 10 * 60 * 1000;
+const JAR_CACHE_DIR_NAME = ".jar-cache";
+const PLAYER_LIST_PATTERN =
+  /There are (\d+)(?: of a max(?: of)? |\/)(\d+) players online:?(.*)$/;
+const MODDED_FORKS = ["fabric", "quilt", "forge", "neoforge"];
+const CREATE_SUPPORTED_FORKS = new Set(["vanilla", "paper", "purpur", ...MODDED_FORKS]);
+const IMPORT_SUPPORTED_FORKS = new Set([
+  "vanilla",
+  "paper",
+  "purpur",
+  ...MODDED_FORKS,
+  "custom",
+]);
+const RESTART_POLICY_MODES = new Set(["never", "on-failure", "always"]);
+const DEFAULT_RESTART_POLICY = {
+  mode: "never",
+  maxRestarts: 5,
+  windowSeconds: 600,
+  initialDelaySeconds: 5,
+  maxDelaySeconds: 300,
+};
 
 function sanitizeServerName(name) {
   const normalized = String(name || "").trim();
@@ -42,14 +95,117 @@ function normalizeFork(forkInput, supportedForks) {
   return fork;
 }
 
-function buildServerProperties({ port, motd }) {
-  const escapedMotd = String(motd || "Minecraft Server")
-    .replaceAll("\n", " ")
-    .replaceAll("\r", " ")
-    .replaceAll(":", "\\:")
-    .replaceAll("=", "\\=");
+function normalizeRestartPolicy(rawPolicy) {
+  const policy =
+    typeof rawPolicy === "string" ? { mode: rawPolicy } : rawPolicy || {};
+  const mode = String(policy.mode || DEFAULT_RESTART_POLICY.mode)
+    .trim()
+    .toLowerCase();
+  const positiveInteger = (value, fallback) =>
+    Number.isInteger(value) && value > 0 ? value : fallback;
+
+  return {
+    mode: RESTART_POLICY_MODES.has(mode) ? mode : DEFAULT_RESTART_POLICY.mode,
+    maxRestarts: positiveInteger(
+      policy.maxRestarts,
+      DEFAULT_RESTART_POLICY.maxRestarts,
+    ),
+    windowSeconds: positiveInteger(
+      policy.windowSeconds,
+      DEFAULT_RESTART_POLICY.windowSeconds,
+    ),
+    initialDelaySeconds: positiveInteger(
+      policy.initialDelaySeconds,
+      DEFAULT_RESTART_POLICY.initialDelaySeconds,
+    ),
+    maxDelaySeconds: positiveInteger(
+      policy.maxDelaySeconds,
+      DEFAULT_RESTART_POLICY.maxDelaySeconds,
+    ),
+  };
+}
+
+function normalizeLaunchSpec(rawLaunch, jarFile) {
+  if (
+    rawLaunch?.type === "argsFile" &&
+    Array.isArray(rawLaunch.argsFiles) &&
+    rawLaunch.argsFiles.length > 0
+  ) {
+    return { type: "argsFile", argsFiles: rawLaunch.argsFiles.map(String) };
+  }
+  return { type: "jar", jarFile: String(rawLaunch?.jarFile || jarFile || "server.jar") };
+}
+
+// The file that must exist before starting, and that identifies the server on
+// the java command line.
+function getLaunchTarget(launch) {
+  return launch.type === "argsFile" ? launch.argsFiles.at(-1) : launch.jarFile;
+}
+
+function buildLaunchArgs(launch, memoryMb, { jvmArgs = [], serverArgs = [] } = {}) {
+  const vmArgs = [`-Xms${memoryMb}M`, `-Xmx${memoryMb}M`, ...jvmArgs];
+  const target =
+    launch.type === "argsFile"
+      ? launch.argsFiles.map((file) => `@${file}`)
+      : ["-jar", launch.jarFile];
+  return [...vmArgs, ...target, "nogui", ...serverArgs];
+}
+
+function buildStartScript(javaPath, launch, memoryMb, jvmOptions = {}) {
+  // Quote anything PowerShell could interpret, such as a bare @file (splatting).
+  const args = buildLaunchArgs(launch, memoryMb, jvmOptions).map((arg) =>
+    /^[\w.:=/+,-]+$/.test(arg) ? arg : `'${arg.replaceAll("'", "''")}'`,
+  );
+  return `& "${javaPath}" ${args.join(" ")}\n`;
+}
+
+async function readRunScriptLaunch(serverPath, scriptName) {
+  let script;
+  try {
+    script = await fs.readFile(path.join(serverPath, scriptName), "utf8");
+  } catch {
+    return null;
+  }
+
+  // Forge/NeoForge scripts run `java @user_jvm_args.txt @libraries/.../unix_args.txt`.
+  const argsFiles = [...script.matchAll(/(?:^|\s)@([^\s"'%$]+\.txt)/g)].map((match) =>
+    match[1].replaceAll("\\", "/"),
+  );
+  if (!argsFiles.some((file) => /_args\.txt$/.test(file))) {
+    return null;
+  }
+  for (const file of argsFiles) {
+    if (!(await exists(path.join(serverPath, file)))) {
+      throw new Error(`${scriptName} refers to a missing file: ${file}`);
+    }
+  }
+  return { type: "argsFile", argsFiles };
+}
+
+async function detectInstalledLaunch(serverPath, launchJar) {
+  if (launchJar && (await exists(path.join(serverPath, launchJar)))) {
+    return { type: "jar", jarFile: launchJar };
+  }
+
+  const fromScript = await readRunScriptLaunch(
+    serverPath,
+    process.platform === "win32" ? "run.bat" : "run.sh",
+  );
+  if (fromScript) {
+    return fromScript;
+  }
+
+  // Forge before 1.17 installs a runnable forge-<version>.jar instead of a script.
+  const entries = await fs.readdir(serverPath);
+  const forgeJar = entries.find(
+    (entry) => /^(neo)?forge-.+\.jar$/i.test(entry) && !/installer/i.test(entry),
+  );
+  return forgeJar ? { type: "jar", jarFile: forgeJar } : null;
+}
 
-  return [
+function buildServerProperties({ port, motd, rcon = null }) {
+  const document = new PropertiesDocument();
+  for (const [key, value] of [
     "accepts-transfers=false",
     "allow-flight=false",
     "allow-nether=true",
@@ -58,7 +214,7 @@ function buildServerProperties({ port, motd }) {
     "enable-command-block=false",
     "enable-jmx-monitoring=false",
     "enable-query=false",
-    "enable-rcon=false",
+    ["enable-rcon", rcon ? "true" : "false"],
     "enforce-secure-profile=true",
     "enforce-whitelist=false",
     "entity-broadcast-range-percentage=100",
@@ -71,7 +227,7 @@ function buildServerProperties({ port, motd }) {
     "max-players=20",
     "max-tick-time=60000",
     "max-world-size=29999984",
-    `motd=${escapedMotd}`,
+    ["motd", motd || "Minecraft Server"],
     "network-compression-threshold=256",
     "online-mode=true",
     "op-permission-level=4",
@@ -79,10 +235,12 @@ function buildServerProperties({ port, motd }) {
     "prevent-proxy-connections=false",
     "pvp=true",
     "rate-limit=0",
+    ["rcon.password", rcon ? rcon.password : ""],
+    ["rcon.port", rcon ? rcon.port : 25575],
     "resource-pack-prompt=",
     "resource-pack-sha1=",
     "server-ip=",
-    `server-port=${port}`,
+    ["server-port", port],
     "simulation-distance=10",
     "spawn-animals=true",
     "spawn-monsters=true",
@@ -93,14 +251,10 @@ function buildServerProperties({ port, motd }) {
     "use-native-transport=true",
     "view-distance=10",
     "white-list=false",
-  ].join("\n");
-}
-
-function unescapePropertyValue(value) {
-  return String(value || "")
-    .replaceAll("\\:", ":")
-    .replaceAll("\\=", "=")
-    .replaceAll("\\n", " ");
+  ].map((entry) => (Array.isArray(entry) ? entry : entry.split("=")))) {
+    document.set(key, value);
+  }
+  return document.toString();
 }
 
 async function exists(targetPath) {
@@ -128,7 +282,7 @@ function parseMcVersion(version) {
     .filter((part) => Number.isFinite(part));
 }
 
-function compareMcVersion(a, b) {
+export function compareMcVersion(a, b) {
   const left = parseMcVersion(a);
   const right = parseMcVersion(b);
   const maxLen = Math.max(left.length, right.length);
@@ -143,6 +297,41 @@ function compareMcVersion(a, b) {
   return 0;
 }
 
+// Fallback when Mojang's metadata (javaVersion.majorVersion) is unavailable.
+function estimateJavaMajorVersion(mcVersion) {
+  if (parseMcVersion(mcVersion).length < 2) {
+    return null;
+  }
+  if (compareMcVersion(mcVersion, "1.20.5") >= 0) {
+    return 21;
+  }
+  if (compareMcVersion(mcVersion, "1.18") >= 0) {
+    return 17;
+  }
+  if (compareMcVersion(mcVersion, "1.17") >= 0) {
+    return 16;
+  }
+  return 8;
+}
+
+// Vanilla (and Paper) server jars ship a version.json with the Java version.
+async function readJarJavaMajorVersion(jarPath) {
+  try {
+    const entries = await readZipEntries(jarPath, ["version.json"]);
+    const versionJson = entries.get("version.json");
+    const major = versionJson && JSON.parse(versionJson.toString("utf8")).java_version;
+    return Number.isInteger(major) ? major : null;
+  } catch {
+    return null;
+  }
+}
+
+function formatCacheLabel(build) {
+  return build.build
+    ? `${build.fork} ${build.version} (build ${build.build})`
+    : `${build.fork} ${build.version}`;
+}
+
 function pickLatestMcVersion(versions) {
   if (!Array.isArray(versions) || versions.length === 0) {
     throw new Error("No versions available from upstream.");
@@ -150,59 +339,480 @@ function pickLatestMcVersion(versions) {
   return [...versions].sort(compareMcVersion).at(-1);
 }
 
-async function readServerProperties(serverPath) {
+async function readPropertiesDocument(serverPath) {
   const propertiesPath = path.join(serverPath, "server.properties");
   if (!(await exists(propertiesPath))) {
-    return {};
+    return null;
   }
+  return PropertiesDocument.parse(await fs.readFile(propertiesPath, "utf8"));
+}
+
+async function readServerProperties(serverPath) {
+  const document = await readPropertiesDocument(serverPath);
+  return document ? summarizeProperties(document) : {};
+}
 
-  const content = await fs.readFile(propertiesPath, "utf8");
+function summarizeProperties(document) {
   const result = {};
-  for (const rawLine of content.split(/\r?\n/)) {
-    const line = rawLine.trim();
-    if (!line || line.startsWith("#") || line.startsWith("!")) {
-      continue;
+  const port = Number.parseInt(document.get("server-port"), 10);
+  if (Number.isInteger(port)) {
+    result.port = port;
+  }
+  if (document.has("motd")) {
+    result.motd = document.get("motd");
+  }
+  if (document.has("enable-rcon")) {
+    result.rconEnabled = document.get("enable-rcon").trim().toLowerCase() === "true";
+  }
+  const rconPort = Number.parseInt(document.get("rcon.port"), 10);
+  if (Number.isInteger(rconPort)) {
+    result.rconPort = rconPort;
+  }
+  if (document.has("rcon.password")) {
+    result.rconPassword = document.get("rcon.password");
+  }
+  if (document.has("level-name")) {
+    result.levelName = document.get("level-name");
+  }
+  if (document.has("enable-query")) {
+    result.queryEnabled = document.get("enable-query").trim().toLowerCase() === "true";
+  }
+  const queryPort = Number.parseInt(document.get("query.port"), 10);
+  if (Number.isInteger(queryPort)) {
+    result.queryPort = queryPort;
+  }
+  if (document.has("server-ip")) {
+    result.serverIp = document.get("server-ip").trim();
+  }
+  return result;
+}
+
+// The ports a server binds: the game port, plus RCON (TCP) and query (UDP)
+// when they are enabled in server.properties.
+function describePortUsage(properties, config) {
+  const gamePort = properties.port || config.port || 25565;
+  const uses = [{ port: gamePort, protocol: "tcp", purpose: "game" }];
+  if (properties.rconEnabled ?? Boolean(config.rcon?.enabled)) {
+    uses.push({
+      port: properties.rconPort || config.rcon?.port || 25575,
+      protocol: "tcp",
+      purpose: "RCON",
+    });
+  }
+  if (properties.queryEnabled) {
+    uses.push({ port: properties.queryPort || gamePort, protocol: "udp", purpose: "query" });
+  }
+  return { host: properties.serverIp || "", uses };
+}
+
+function samePortUse(a, b) {
+  return (
+    a.port === b.port &&
+    a.protocol === b.protocol &&
+    (!a.host || !b.host || a.host === b.host)
+  );
+}
+
+async function detectPortConflicts(uses, others, { host = "", bindTest = true } = {}) {
+  const wanted = uses.map((use) => ({ ...use, host }));
+  const conflicts = [];
+  for (const [index, use] of wanted.entries()) {
+    const usedBy =
+      wanted.slice(0, index).find((other) => samePortUse(use, other)) ||
+      others.find((other) => samePortUse(use, other));
+    if (usedBy) {
+      conflicts.push({ ...use, usedBy });
+    } else if (bindTest && !(await isPortFree(use.port, { protocol: use.protocol, host }))) {
+      conflicts.push({ ...use, usedBy: null });
     }
+  }
+  return conflicts;
+}
+
+function formatPortConflict(conflict) {
+  if (conflict.usedBy?.server) {
+    return `${formatPortUse(conflict)} is used by "${conflict.usedBy.server}" (${conflict.usedBy.purpose})`;
+  }
+  if (conflict.usedBy) {
+    return `${formatPortUse(conflict)} is also used for ${conflict.usedBy.purpose}`;
+  }
+  return `${formatPortUse(conflict)} is already in use on this host`;
+}
 
-    const delimiterIndex = line.indexOf("=");
-    if (delimiterIndex <= 0) {
+function normalizeConsoleCommand(command) {
+  const normalized = String(command || "").trim().replace(/^\/+/, "");
+  if (!normalized) {
+    throw new Error("Command must not be empty.");
+  }
+  if (/[\r\n]/.test(normalized)) {
+    throw new Error("Command must be a single line.");
+  }
+  return normalized;
+}
+
+function parsePlayerList(lines) {
+  for (const line of lines) {
+    const match = PLAYER_LIST_PATTERN.exec(line);
+    if (!match) {
       continue;
     }
 
-    const key = line.slice(0, delimiterIndex).trim();
-    const value = line.slice(delimiterIndex + 1).trim();
-    if (key === "server-port") {
-      const parsedPort = Number.parseInt(value, 10);
-      if (Number.isInteger(parsedPort)) {
-        result.port = parsedPort;
+    return {
+      online: Number.parseInt(match[1], 10),
+      max: Number.parseInt(match[2], 10),
+      players: match[3]
+        .split(",")
+        .map((player) => player.trim())
+        .filter(Boolean),
+    };
+  }
+  return null;
+}
+
+function sanitizeBroadcastMessage(message) {
+  return String(message || "")
+    .replace(/[\r\n]+/g, " ")
+    .replaceAll("§", "")
+    .trim()
+    .slice(0, 200);
+}
+
+function formatCountdown(seconds) {
+  if (seconds >= 60 && seconds % 60 === 0) {
+    return `${seconds / 60}分`;
+  }
+  return `${seconds}秒`;
+}
+
+function normalizeCommandName(token) {
+  return token.toLowerCase().replace(/^\//, "").replace(/^[\w.-]+:/, "");
+}
+
+// The command itself plus every command nested after "run", so that
+// `execute as @a run op Foo` and `return run stop` are seen as op/stop.
+function getCommandNames(command) {
+  const tokens = command.split(/\s+/).filter(Boolean);
+  return tokens
+    .filter((_token, index) => index === 0 || tokens[index - 1].toLowerCase() === "run")
+    .map(normalizeCommandName);
+}
+
+/**
+ * Returns the first command in `command` (including `execute … run` chains)
+ * that is on the deny list, or null when it may run.
+ */
+export function findDeniedCommand(command, denyList = []) {
+  const denied = new Set(denyList.map((item) => item.toLowerCase()));
+  const names = getCommandNames(normalizeConsoleCommand(command));
+  return names.find((name) => denied.has(name)) || null;
+}
+
+function isProcessAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return false;
+  }
+
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error?.code === "EPERM";
+  }
+}
+
+async function inspectProcess(pid) {
+  if (!isProcessAlive(pid)) {
+    return null;
+  }
+
+  if (process.platform === "linux") {
+    try {
+      const [cmdline, stat] = await Promise.all([
+        fs.readFile(`/proc/${pid}/cmdline`, "utf8"),
+        fs.readFile(`/proc/${pid}/stat`, "utf8"),
+      ]);
+      let cwd = null;
+      try {
+        cwd = await fs.readlink(`/proc/${pid}/cwd`);
+      } catch {
+        cwd = null;
       }
+
+      // Fields after "(comm)" start at field 3; starttime is field 22.
+      const statFields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+      return {
+        pid,
+        commandLine: cmdline.split("\0").filter(Boolean).join(" "),
+        cwd,
+        startTime: statFields[19] || null,
+      };
+    } catch {
+      return null;
     }
-    if (key === "motd") {
-      result.motd = unescapePropertyValue(value);
+  }
+
+  if (process.platform === "win32") {
+    try {
+      const { stdout } = await execFileAsync(
+        "powershell.exe",
+        [
+          "-NoProfile",
+          "-Command",
+          `(Get-CimInstance Win32_Process -Filter "ProcessId=${pid}").CommandLine`,
+        ],
+        { windowsHide: true, timeout: 10000 },
+      );
+      return {
+        pid,
+        commandLine: stdout.trim() || null,
+        cwd: null,
+        startTime: null,
+      };
+    } catch {
+      return { pid, commandLine: null, cwd: null, startTime: null };
     }
   }
 
-  return result;
+  return { pid, commandLine: null, cwd: null, startTime: null };
+}
+
+function isManagedJavaProcess(processInfo, record, config) {
+  if (!processInfo) {
+    return false;
+  }
+
+  if (
+    processInfo.startTime &&
+    record.processStartTime &&
+    processInfo.startTime !== record.processStartTime
+  ) {
+    return false;
+  }
+
+  if (processInfo.commandLine) {
+    const commandLine = processInfo.commandLine.toLowerCase();
+    if (!commandLine.includes("java")) {
+      return false;
+    }
+    const launchTarget =
+      record.launchTarget || record.jarFile || getLaunchTarget(config.launch);
+    if (!commandLine.includes(String(launchTarget).toLowerCase())) {
+      return false;
+    }
+  }
+
+  if (
+    processInfo.cwd &&
+    path.resolve(processInfo.cwd) !== path.resolve(config.serverPath)
+  ) {
+    return false;
+  }
+
+  return true;
 }
 
-export class MinecraftManager {
-  constructor({ baseDir, javaPath = "java" }) {
+function createDeferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((innerResolve, innerReject) => {
+    resolve = innerResolve;
+    reject = innerReject;
+  });
+  return { promise, resolve, reject };
+}
+
+export class MinecraftManager extends EventEmitter {
+  constructor({ baseDir, javaPath = "java", javaRuntimes = [] }) {
+    super();
     this.baseDir = baseDir;
     this.javaPath = javaPath;
+    this.javaLocator = new JavaRuntimeLocator({
+      defaultJavaPath: javaPath,
+      runtimes: javaRuntimes,
+    });
     this.running = new Map();
+    this.restartTrackers = new Map();
+    this.lifecycles = new Map();
+    this.configLocks = new Map();
+    this.maintenance = new Map();
+    this.jarCache = new JarCache({ rootDir: path.join(baseDir, JAR_CACHE_DIR_NAME) });
   }
 
   async init() {
     await fs.mkdir(this.baseDir, { recursive: true });
+    return this.reattachServers();
+  }
+
+  async reattachServers() {
+    const entries = await fs.readdir(this.baseDir, { withFileTypes: true });
+    const adopted = [];
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) {
+        continue;
+      }
+
+      let serverName = entry.name;
+      try {
+        serverName = sanitizeServerName(serverName);
+      } catch {
+        continue;
+      }
+
+      if (this.running.has(serverName)) {
+        continue;
+      }
+
+      const record = await this.readRuntimeState(serverName);
+      if (!record) {
+        continue;
+      }
+
+      const managed = await this.resolveManagedServer(serverName);
+      const processInfo = managed ? await inspectProcess(record.pid) : null;
+      if (!managed || !isManagedJavaProcess(processInfo, record, managed.config)) {
+        await this.clearRuntimeState(serverName);
+        continue;
+      }
+
+      await this.adoptProcess(serverName, managed.config, record);
+      adopted.push({ name: serverName, pid: record.pid });
+    }
+
+    return adopted;
+  }
+
+  async adoptProcess(serverName, config, record) {
+    const logPath = path.join(config.serverPath, "logs", "latest.log");
+    const exitSignal = createDeferred();
+    const state = {
+      process: null,
+      pid: record.pid,
+      adopted: true,
+      startedAt: record.startedAt || null,
+      java: record.java || null,
+      logs: [],
+      exited: exitSignal.promise,
+      monitor: null,
+    };
+
+    let logOffset = 0;
+    let partialLine = "";
+    if (await exists(logPath)) {
+      const text = await fs.readFile(logPath, "utf8");
+      logOffset = Buffer.byteLength(text, "utf8");
+      state.logs.push(
+        ...text.split(/\r?\n/).filter(Boolean).slice(-MAX_BUFFERED_LINES),
+      );
+    }
+
+    this.running.set(serverName, state);
+    this.setLifecycle(serverName, "running");
+
+    let polling = false;
+    state.monitor = setInterval(async () => {
+      if (polling) {
+        return;
+      }
+      polling = true;
+
+      try {
+        if (!isProcessAlive(state.pid)) {
+          clearInterval(state.monitor);
+          this.appendLogs(serverName, "[process exit] adopted process ended");
+          this.running.delete(serverName);
+          await this.clearRuntimeState(serverName);
+          exitSignal.resolve();
+          this.handleServerExit(serverName, state, { code: null, signal: null });
+          return;
+        }
+
+        const stat = await fs.stat(logPath).catch(() => null);
+        if (!stat) {
+          return;
+        }
+        if (stat.size < logOffset) {
+          logOffset = 0;
+          partialLine = "";
+        }
+        if (stat.size === logOffset) {
+          return;
+        }
+
+        const handle = await fs.open(logPath, "r");
+        try {
+          const length = stat.size - logOffset;
+          const buffer = Buffer.alloc(length);
+          await handle.read(buffer, 0, length, logOffset);
+          logOffset = stat.size;
+
+          const text = partialLine + buffer.toString("utf8");
+          const lastNewline = text.lastIndexOf("\n");
+          partialLine = text.slice(lastNewline + 1);
+          if (lastNewline >= 0) {
+            this.appendLogs(serverName, text.slice(0, lastNewline));
+          }
+        } finally {
+          await handle.close();
+        }
+      } catch (error) {
+        this.appendLogs(serverName, `[log tail error] ${error.message}`);
+      } finally {
+        polling = false;
+      }
+    }, ADOPTED_POLL_INTERVAL_MS);
+    state.monitor.unref?.();
+
+    return state;
   }
 
-  async createServer({ name, fork, version, port, memoryMb, motd }) {
+  async createServer({
+    name,
+    fork,
+    version,
+    port,
+    memoryMb,
+    motd,
+    enableRcon = false,
+    jvmPreset = null,
+    jvmArgs = [],
+    serverArgs = [],
+  }) {
     const serverName = sanitizeServerName(name);
     const normalizedFork = normalizeFork(fork, CREATE_SUPPORTED_FORKS);
+    const jvmOptions = normalizeJvmOptions({ jvmPreset, jvmArgs, serverArgs });
     const validatedPort = parseIntegerRange(port, "Port", 1024, 65535);
     const validatedMemory = parseIntegerRange(memoryMb, "Memory", 512, 65536);
     const versionInput = String(version || "latest").trim() || "latest";
     const serverPath = path.join(this.baseDir, serverName);
+    const rcon = enableRcon
+      ? {
+          enabled: true,
+          port: parseIntegerRange(
+            validatedPort + RCON_PORT_OFFSET,
+            "RCON port",
+            1024,
+            65535,
+          ),
+          password: randomBytes(18).toString("base64url"),
+        }
+      : { enabled: false };
+
+    const conflicts = await this.findPortConflicts(
+      [
+        { port: validatedPort, protocol: "tcp", purpose: "game" },
+        ...(rcon.enabled ? [{ port: rcon.port, protocol: "tcp", purpose: "RCON" }] : []),
+      ],
+      { exclude: serverName },
+    );
+    if (conflicts.length > 0) {
+      const freePort = await this.findFreePort(validatedPort + 1, { exclude: serverName });
+      throw new Error(
+        `Port conflict: ${conflicts.map(formatPortConflict).join("; ")}.${
+          freePort ? ` Next free port: ${freePort}.` : ""
+        }`,
+      );
+    }
 
     try {
       await fs.mkdir(serverPath);
@@ -218,18 +828,30 @@ export class MinecraftManager {
         fork: normalizedFork,
         versionInput,
       });
-      await this.downloadFile(
-        resolvedBuild.jarUrl,
-        path.join(serverPath, "server.jar"),
-      );
+      const javaMajorVersion =
+        resolvedBuild.javaMajorVersion ??
+        (await this.resolveJavaMajorVersion(resolvedBuild.version));
+      // Installers have to run now; a plain jar only needs Java once started.
+      const java = await this.javaLocator
+        .select(javaMajorVersion, { context: `Minecraft ${resolvedBuild.version}` })
+        .catch((error) => {
+          if (resolvedBuild.installerUrl) {
+            throw error;
+          }
+          return null;
+        });
+      const launch = await this.installServerBuild(resolvedBuild, serverPath, {
+        javaPath: java?.path,
+      });
 
       await fs.writeFile(path.join(serverPath, "eula.txt"), "eula=true\n", "utf8");
       await fs.writeFile(
         path.join(serverPath, "server.properties"),
-        `${buildServerProperties({
+        buildServerProperties({
           port: validatedPort,
           motd,
-        })}\n`,
+          rcon: rcon.enabled ? rcon : null,
+        }),
         "utf8",
       );
 
@@ -237,22 +859,25 @@ export class MinecraftManager {
         name: serverName,
         source: "created",
         serverPath,
-        jarFile: "server.jar",
+        jarFile: launch.jarFile ?? null,
+        launch,
         fork: normalizedFork,
         version: resolvedBuild.version,
         build: resolvedBuild.build ?? null,
+        javaMajorVersion,
         port: validatedPort,
         memoryMb: validatedMemory,
+        ...jvmOptions,
         motd: motd || serverName,
+        rcon,
+        restartPolicy: { ...DEFAULT_RESTART_POLICY },
+        startupTimeoutSeconds: DEFAULT_STARTUP_TIMEOUT_SECONDS,
+        stopTimeoutSeconds: DEFAULT_STOP_TIMEOUT_SECONDS,
         createdAt: new Date().toISOString(),
       };
 
       await this.writeServerConfig(serverName, config);
-      await fs.writeFile(
-        path.join(serverPath, "start.ps1"),
-        `& "${this.javaPath}" -Xms${validatedMemory}M -Xmx${validatedMemory}M -jar server.jar nogui\n`,
-        "utf8",
-      );
+      await this.writeStartScript(config, java);
 
       return config;
     } catch (error) {
@@ -261,8 +886,19 @@ export class MinecraftManager {
     }
   }
 
-  async importServer({ name, sourcePath, jarFile, fork, version, memoryMb }) {
+  async importServer({
+    name,
+    sourcePath,
+    jarFile,
+    fork,
+    version,
+    memoryMb,
+    jvmPreset = null,
+    jvmArgs = [],
+    serverArgs = [],
+  }) {
     const serverName = sanitizeServerName(name);
+    const jvmOptions = normalizeJvmOptions({ jvmPreset, jvmArgs, serverArgs });
     const resolvedSourcePath = path.resolve(String(sourcePath || "").trim());
     const selectedJarFile = String(jarFile || "server.jar").trim() || "server.jar";
     const selectedFork = normalizeFork(fork || "custom", IMPORT_SUPPORTED_FORKS);
@@ -273,9 +909,26 @@ export class MinecraftManager {
       throw new Error(`Path "${resolvedSourcePath}" is not a directory.`);
     }
 
-    const jarPath = path.join(resolvedSourcePath, selectedJarFile);
-    if (!(await exists(jarPath))) {
-      throw new Error(`Jar file not found: ${jarPath}`);
+    let launch;
+    if (/^run\.(sh|bat)$/i.test(selectedJarFile)) {
+      launch = await readRunScriptLaunch(resolvedSourcePath, selectedJarFile);
+      if (!launch) {
+        throw new Error(`${selectedJarFile} does not start the server with an @args file.`);
+      }
+    } else {
+      const jarPath = path.join(resolvedSourcePath, selectedJarFile);
+      if (!(await exists(jarPath))) {
+        throw new Error(`Jar file not found: ${jarPath}`);
+      }
+      launch = { type: "jar", jarFile: selectedJarFile };
+    }
+
+    let javaMajorVersion =
+      launch.type === "jar"
+        ? await readJarJavaMajorVersion(path.join(resolvedSourcePath, launch.jarFile))
+        : null;
+    if (javaMajorVersion == null && selectedVersion !== "unknown") {
+      javaMajorVersion = await this.resolveJavaMajorVersion(selectedVersion);
     }
 
     const serverProperties = await readServerProperties(resolvedSourcePath);
@@ -283,6 +936,17 @@ export class MinecraftManager {
       ? parseIntegerRange(serverProperties.port, "Port", 1024, 65535)
       : 25565;
     const motd = String(serverProperties.motd || serverName).trim() || serverName;
+    const rcon = serverProperties.rconEnabled
+      ? { enabled: true, port: serverProperties.rconPort || 25575 }
+      : { enabled: false };
+    // The imported server may still be running outside the bot, so only
+    // compare against other managed servers here.
+    const portUsage = describePortUsage(serverProperties, { port, rcon });
+    await this.assertPortsFree(portUsage.uses, {
+      host: portUsage.host,
+      exclude: serverName,
+      bindTest: false,
+    });
 
     const serverConfigDir = path.join(this.baseDir, serverName);
     const configPath = path.join(serverConfigDir, "bot-config.json");
@@ -305,20 +969,27 @@ export class MinecraftManager {
       name: serverName,
       source: "imported",
       serverPath: resolvedSourcePath,
-      jarFile: selectedJarFile,
+      jarFile: launch.jarFile ?? null,
+      launch,
       fork: selectedFork,
       version: selectedVersion,
       build: null,
+      javaMajorVersion,
       port,
       memoryMb: selectedMemory,
+      ...jvmOptions,
       motd,
+      rcon,
+      restartPolicy: { ...DEFAULT_RESTART_POLICY },
+      startupTimeoutSeconds: DEFAULT_STARTUP_TIMEOUT_SECONDS,
+      stopTimeoutSeconds: DEFAULT_STOP_TIMEOUT_SECONDS,
       createdAt: new Date().toISOString(),
     };
     await this.writeServerConfig(serverName, config);
     return config;
   }
 
-  async listServersDetailed() {
+  async listServersDetailed({ withLive = false } = {}) {
     const entries = await fs.readdir(this.baseDir, { withFileTypes: true });
     const servers = [];
 
@@ -344,10 +1015,24 @@ export class MinecraftManager {
         source: managed.config.source || "legacy",
         fork: managed.config.fork || "vanilla",
         version: managed.config.version || "unknown",
+        port: managed.config.port,
         running: this.running.has(serverName),
+        state: this.getLifecycleState(serverName),
+        live: null,
       });
     }
 
+    if (withLive) {
+      await Promise.all(
+        servers.map(async (server) => {
+          server.live = await pingServer({
+            port: server.port,
+            timeoutMs: 1500,
+          }).catch(() => null);
+        }),
+      );
+    }
+
     servers.sort((a, b) => a.name.localeCompare(b.name));
     return servers;
   }
@@ -367,52 +1052,137 @@ export class MinecraftManager {
         name: serverName,
         exists: false,
         running: false,
+        adopted: false,
+        state: "stopped",
         pid: null,
         startedAt: null,
         config: null,
+        restart: null,
       };
     }
 
+    const tracker = this.restartTrackers.get(serverName);
+    const lifecycle = this.lifecycles.get(serverName);
+    const rcon = await this.getRconSettings(managed.config);
+    let players = null;
+    if (rcon) {
+      try {
+        players = parsePlayerList(
+          (await sendRconCommand(rcon, "list")).split(/\r?\n/),
+        );
+      } catch {
+        players = null;
+      }
+    }
+    const live = await this.pingServer(serverName).catch(() => null);
+    const external = !runningEntry && (players != null || live != null);
+    const java = { required: managed.config.javaMajorVersion, runtime: null, error: null };
+    if (runningEntry) {
+      java.runtime = runningEntry.java;
+    } else {
+      try {
+        java.runtime = await this.selectJavaRuntime(managed.config);
+      } catch (error) {
+        java.error = error.message;
+      }
+    }
+
     return {
       name: serverName,
       exists: true,
-      running: Boolean(runningEntry),
-      pid: runningEntry?.process?.pid || null,
+      running: Boolean(runningEntry) || external,
+      external,
+      state: external ? "running" : this.getLifecycleState(serverName),
+      stateSince: lifecycle?.since || null,
+      startupMs: lifecycle?.startupMs ?? null,
+      adopted: Boolean(runningEntry?.adopted),
+      pid: runningEntry?.pid || null,
       startedAt: runningEntry?.startedAt || null,
       config: managed.config,
       jarExists: managed.jarExists,
+      rcon: rcon ? { port: rcon.port } : null,
+      java,
+      players,
+      live,
+      restart: {
+        policy: managed.config.restartPolicy,
+        crashLooping: Boolean(tracker?.crashLooping),
+        recentRestarts: tracker?.restarts.length || 0,
+        nextRestartAt: tracker?.nextRestartAt || null,
+        lastExit: tracker?.lastExit || null,
+      },
     };
   }
 
-  async startServer(name, memoryOverrideMb = null) {
+  async startServer(name, memoryOverrideMb = null, options = {}) {
     const serverName = sanitizeServerName(name);
+    if (this.running.has(serverName)) {
+      throw new Error(`Server "${serverName}" is already running.`);
+    }
+    if (this.maintenance.has(serverName)) {
+      throw new Error(
+        `Server "${serverName}" is busy (${this.maintenance.get(serverName)}).`,
+      );
+    }
+
+    // Reserve the server before the first await; otherwise two starts could
+    // both pass the checks above and spawn two JVMs.
+    this.maintenance.set(serverName, "starting");
+    try {
+      return await this.launchServer(serverName, memoryOverrideMb, options);
+    } finally {
+      if (this.maintenance.get(serverName) === "starting") {
+        this.maintenance.delete(serverName);
+      }
+    }
+  }
+
+  async launchServer(
+    serverName,
+    memoryOverrideMb,
+    { automatic = false, waitForReady = false },
+  ) {
     const managed = await this.resolveManagedServer(serverName);
     if (!managed) {
       throw new Error(`Server "${serverName}" is not managed.`);
     }
 
     const { config } = managed;
-    const jarPath = path.join(config.serverPath, config.jarFile);
-    if (!(await exists(jarPath))) {
-      throw new Error(`Jar file not found: ${jarPath}`);
+    const launchTarget = getLaunchTarget(config.launch);
+    const launchPath = path.join(config.serverPath, launchTarget);
+    if (!(await exists(launchPath))) {
+      throw new Error(
+        `${config.launch.type === "jar" ? "Jar" : "Launch args"} file not found: ${launchPath}`,
+      );
     }
 
-    if (this.running.has(serverName)) {
-      throw new Error(`Server "${serverName}" is already running.`);
-    }
+    const portUsage = describePortUsage(await readServerProperties(config.serverPath), config);
+    await this.assertPortsFree(portUsage.uses, {
+      host: portUsage.host,
+      exclude: serverName,
+      runningOnly: true,
+    });
 
     const memoryMb =
       memoryOverrideMb == null
         ? config.memoryMb || 2048
         : parseIntegerRange(memoryOverrideMb, "Memory", 512, 65536);
+    const java = await this.selectJavaRuntime(config, { rescan: true });
+    const jvmOptions = buildJvmOptions(config, {
+      memoryMb,
+      javaMajorVersion: java.majorVersion,
+    });
+
+    const tracker = this.getRestartTracker(serverName);
+    if (!automatic) {
+      this.resetRestartTracker(serverName);
+    }
+    tracker.memoryOverrideMb = memoryOverrideMb == null ? null : memoryMb;
 
     const child = spawn(
-      this.javaPath,
-      [`-Xms${memoryMb}M`, `-Xmx${memoryMb}M`, "-jar", config.jarFile, "nogui"],
-      {
-        cwd: config.serverPath,
-        stdio: ["pipe", "pipe", "pipe"],
-      },
+      java.path,
+      buildLaunchArgs(config.launch, memoryMb, jvmOptions),
+      { cwd: config.serverPath, stdio: ["pipe", "pipe", "pipe"] },
     );
 
     await new Promise((resolve, reject) => {
@@ -420,23 +1190,79 @@ export class MinecraftManager {
       child.once("error", reject);
     });
 
+    const exitSignal = createDeferred();
+    const readiness = createDeferred();
+    readiness.promise.catch(() => {});
     const state = {
       process: child,
+      pid: child.pid || null,
+      adopted: false,
       startedAt: new Date().toISOString(),
+      java: { path: java.path, majorVersion: java.majorVersion, version: java.version },
       logs: [],
+      exited: exitSignal.promise,
+      readiness,
+      readyTimer: null,
+      startupError: null,
+      stopRequested: false,
     };
 
     this.running.set(serverName, state);
+    this.maintenance.delete(serverName);
+    this.setLifecycle(serverName, "starting");
+
+    const startupTimeoutSeconds = config.startupTimeoutSeconds;
+    state.readyTimer = setTimeout(() => {
+      if (this.running.get(serverName) !== state || state.stopRequested) {
+        return;
+      }
+      state.startupError = `startup timed out after ${startupTimeoutSeconds}s`;
+      this.appendLogs(
+        serverName,
+        `[startup timeout] "Done" was not logged within ${startupTimeoutSeconds}s`,
+      );
+      readiness.reject(
+        new Error(
+          `Server "${serverName}" did not become ready within ${startupTimeoutSeconds}s.`,
+        ),
+      );
+      child.kill();
+    }, startupTimeoutSeconds * 1000);
 
+    // Attach listeners before any await: exit events are not buffered, so a
+    // JVM that dies right away would otherwise leave the server "starting".
     child.stdout.setEncoding("utf8");
     child.stderr.setEncoding("utf8");
 
     child.stdout.on("data", (chunk) => this.appendLogs(serverName, chunk));
     child.stderr.on("data", (chunk) => this.appendLogs(serverName, chunk));
 
+    let finalized = false;
+    const finalize = (exitInfo) => {
+      if (finalized) {
+        return;
+      }
+      finalized = true;
+      clearTimeout(state.readyTimer);
+      readiness.reject(
+        new Error(
+          `Server "${serverName}" exited before becoming ready (${
+            state.startupError ||
+            `code=${exitInfo.code ?? "null"} signal=${exitInfo.signal ?? "null"}`
+          }).`,
+        ),
+      );
+      if (this.running.get(serverName) === state) {
+        this.running.delete(serverName);
+      }
+      this.clearRuntimeState(serverName).catch(() => {});
+      exitSignal.resolve();
+      this.handleServerExit(serverName, state, exitInfo);
+    };
+
     child.on("error", (error) => {
       this.appendLogs(serverName, `[process error] ${error.message}`);
-      this.running.delete(serverName);
+      finalize({ code: null, signal: null, error: error.message });
     });
 
     child.on("exit", (code, signal) => {
@@ -444,42 +1270,655 @@ export class MinecraftManager {
         serverName,
         `[process exit] code=${code ?? "null"} signal=${signal ?? "null"}`,
       );
-      this.running.delete(serverName);
+      finalize({ code, signal, error: state.startupError });
     });
 
-    return {
+    const processInfo = await inspectProcess(state.pid);
+    await this.writeRuntimeState(serverName, {
+      pid: state.pid,
+      startedAt: state.startedAt,
+      processStartTime: processInfo?.startTime || null,
+      launchTarget,
+      serverPath: config.serverPath,
+      java: state.java,
+    });
+    // The process may have exited while the state was being written.
+    if (finalized) {
+      await this.clearRuntimeState(serverName).catch(() => {});
+    }
+
+    const result = {
       name: serverName,
       pid: child.pid || null,
       memoryMb,
     };
+    if (!waitForReady) {
+      return result;
+    }
+
+    const ready = await readiness.promise;
+    return { ...result, ...ready };
   }
 
-  async stopServer(name) {
+  async stopServer(name, { delaySeconds = 0, message = "" } = {}) {
     const serverName = sanitizeServerName(name);
+    const delay = parseIntegerRange(delaySeconds, "Delay", 0, MAX_STOP_DELAY_SECONDS);
     const state = this.running.get(serverName);
+    const tracker = this.restartTrackers.get(serverName);
 
-    if (!state) {
-      throw new Error(`Server "${serverName}" is not running.`);
+    if (!state && (tracker?.timer || tracker?.crashLooping)) {
+      this.resetRestartTracker(serverName);
+      return { name: serverName, cancelledRestart: true };
     }
 
-    const child = state.process;
-    const exitPromise = once(child, "exit").then(() => true);
+    const managed = await this.resolveManagedServer(serverName);
+    const rcon = managed ? await this.getRconSettings(managed.config) : null;
+    const stopTimeoutMs =
+      (managed?.config.stopTimeoutSeconds || DEFAULT_STOP_TIMEOUT_SECONDS) * 1000;
 
-    if (child.exitCode == null) {
-      child.stdin.write("stop\n");
+    if (!state) {
+      if (!rcon) {
+        throw new Error(`Server "${serverName}" is not running.`);
+      }
+      const sendCommand = (command) => sendRconCommand(rcon, command);
+      await this.runStopCountdown(sendCommand, delay, message);
+      const saved = await this.saveAll(serverName, { timeoutMs: stopTimeoutMs });
+      await this.stopExternalServer(serverName, rcon, stopTimeoutMs);
+      return { name: serverName, via: "rcon", method: "stop", saved };
     }
 
-    const stopped = await Promise.race([
-      exitPromise,
-      new Promise((resolve) => setTimeout(() => resolve(false), 15000)),
-    ]);
-
-    if (!stopped && child.exitCode == null) {
-      child.kill();
-      await once(child, "exit");
-    }
+    state.stopRequested = true;
+    this.resetRestartTracker(serverName);
+    this.setLifecycle(serverName, "stopping");
+
+    const waitForExit = (timeoutMs) => {
+      let timer;
+      return Promise.race([
+        state.exited.then(() => true),
+        new Promise((resolve) => {
+          timer = setTimeout(() => resolve(false), timeoutMs);
+        }),
+      ]).finally(() => clearTimeout(timer));
+    };
+    const signalProcess = (signal) => {
+      try {
+        if (state.process) {
+          state.process.kill(signal);
+        } else {
+          process.kill(state.pid, signal);
+        }
+      } catch (error) {
+        if (error?.code !== "ESRCH") {
+          throw error;
+        }
+      }
+    };
+
+    const sendCommand = state.process
+      ? async (command) => this.writeConsole(serverName, state, command)
+      : rcon
+        ? (command) => sendRconCommand(rcon, command)
+        : null;
+    const via = state.process ? "stdin" : sendCommand ? "rcon" : "signal";
+    let saved = false;
+
+    if (sendCommand) {
+      try {
+        await this.runStopCountdown(sendCommand, delay, message);
+        saved = await this.saveAll(serverName, { timeoutMs: stopTimeoutMs });
+        await sendCommand("stop");
+        if (await waitForExit(stopTimeoutMs)) {
+          return { name: serverName, via, method: "stop", saved };
+        }
+        this.appendLogs(
+          serverName,
+          `[stop] server did not exit within ${stopTimeoutMs / 1000}s, sending SIGTERM`,
+        );
+      } catch (error) {
+        this.appendLogs(serverName, `[stop] console stop failed: ${error.message}`);
+      }
+    }
+
+    signalProcess("SIGTERM");
+    if (await waitForExit(SIGTERM_GRACE_MS)) {
+      return { name: serverName, via, method: "sigterm", saved };
+    }
+
+    this.appendLogs(serverName, "[stop] SIGTERM was ignored, sending SIGKILL");
+    signalProcess("SIGKILL");
+    if (!(await waitForExit(5000))) {
+      throw new Error(`Server "${serverName}" (PID ${state.pid}) did not exit.`);
+    }
+    return { name: serverName, via, method: "sigkill", saved };
+  }
+
+  async runStopCountdown(sendCommand, delaySeconds, message) {
+    if (delaySeconds <= 0) {
+      return;
+    }
+
+    const text = sanitizeBroadcastMessage(message) || "サーバーを停止します";
+    const points = [...new Set([delaySeconds, ...STOP_COUNTDOWN_POINTS])]
+      .filter((point) => point <= delaySeconds)
+      .sort((a, b) => b - a);
+
+    let remaining = delaySeconds;
+    for (const point of points) {
+      await new Promise((resolve) => setTimeout(resolve, (remaining - point) * 1000));
+      remaining = point;
+      try {
+        await sendCommand(`say ${text}（${formatCountdown(point)}後に停止）`);
+      } catch {
+        // Countdown broadcasts are best effort; the stop itself still proceeds.
+      }
+    }
+    await new Promise((resolve) => setTimeout(resolve, remaining * 1000));
+  }
+
+  async saveAll(name, { timeoutMs = 60000 } = {}) {
+    const serverName = sanitizeServerName(name);
+    const state = this.running.get(serverName);
+
+    if (state?.process) {
+      const savedLine = this.waitForLogLine(serverName, SAVE_COMPLETE_PATTERN, timeoutMs);
+      this.writeConsole(serverName, state, "save-all flush");
+      return (await savedLine) != null;
+    }
+
+    const managed = await this.resolveManagedServer(serverName);
+    const rcon = managed ? await this.getRconSettings(managed.config) : null;
+    if (!rcon) {
+      return false;
+    }
+    const response = await sendRconCommand(
+      { ...rcon, timeoutMs },
+      "save-all flush",
+    );
+    return SAVE_COMPLETE_PATTERN.test(response);
+  }
+
+  waitForLogLine(serverName, pattern, timeoutMs) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.off("serverLog", onLog);
+        resolve(null);
+      }, timeoutMs);
+      const onLog = (event) => {
+        if (event.name === serverName && pattern.test(event.line)) {
+          clearTimeout(timer);
+          this.off("serverLog", onLog);
+          resolve(event.line);
+        }
+      };
+      this.on("serverLog", onLog);
+    });
+  }
+
+  async restartServer(name, { delaySeconds = 0, message = "", waitForReady = false } = {}) {
+    const serverName = sanitizeServerName(name);
+    if (!(await this.resolveManagedServer(serverName))) {
+      throw new Error(`Server "${serverName}" is not managed.`);
+    }
+
+    let stopped = null;
+    if (this.running.has(serverName)) {
+      stopped = await this.stopServer(serverName, {
+        delaySeconds,
+        message: message || "サーバーを再起動します",
+      });
+    }
+
+    const memoryOverrideMb = this.getRestartTracker(serverName).memoryOverrideMb;
+    const started = await this.startServer(serverName, memoryOverrideMb, {
+      waitForReady,
+    });
+    return { name: serverName, stopped, started };
+  }
+
+  setLifecycle(serverName, nextState, details = {}) {
+    const previous = this.lifecycles.get(serverName)?.state || "stopped";
+    this.lifecycles.set(serverName, {
+      state: nextState,
+      since: new Date().toISOString(),
+      ...details,
+    });
+    if (previous !== nextState) {
+      this.emit("serverStateChange", {
+        name: serverName,
+        state: nextState,
+        previous,
+        ...details,
+      });
+    }
+  }
+
+  getLifecycleState(serverName) {
+    if (this.restartTrackers.get(serverName)?.crashLooping) {
+      return "crash-looping";
+    }
+    return (
+      this.lifecycles.get(serverName)?.state ||
+      (this.running.has(serverName) ? "running" : "stopped")
+    );
+  }
+
+  markServerReady(serverName, state, reportedSeconds) {
+    clearTimeout(state.readyTimer);
+    const startupMs = Date.now() - Date.parse(state.startedAt);
+    this.setLifecycle(serverName, "running", { startupMs, reportedSeconds });
+    state.readiness?.resolve({ startupMs, reportedSeconds });
+  }
+
+  getRestartTracker(serverName) {
+    let tracker = this.restartTrackers.get(serverName);
+    if (!tracker) {
+      tracker = {
+        restarts: [],
+        timer: null,
+        nextRestartAt: null,
+        crashLooping: false,
+        lastExit: null,
+        memoryOverrideMb: null,
+      };
+      this.restartTrackers.set(serverName, tracker);
+    }
+    return tracker;
+  }
+
+  resetRestartTracker(serverName) {
+    const tracker = this.getRestartTracker(serverName);
+    if (tracker.timer) {
+      clearTimeout(tracker.timer);
+    }
+    tracker.restarts = [];
+    tracker.timer = null;
+    tracker.nextRestartAt = null;
+    tracker.crashLooping = false;
+  }
+
+  handleServerExit(serverName, state, { code = null, signal = null, error = null }) {
+    const tracker = this.getRestartTracker(serverName);
+    tracker.lastExit = {
+      code,
+      signal,
+      error,
+      at: new Date().toISOString(),
+    };
+
+    // Adopted processes exit without an observable code, so they only
+    // restart under the "always" policy.
+    const failed =
+      !state.stopRequested && !state.adopted && (code !== 0 || error != null);
+    this.setLifecycle(serverName, failed ? "crashed" : "stopped", {
+      exit: tracker.lastExit,
+    });
+
+    if (state.stopRequested) {
+      return;
+    }
+    this.emit("serverExit", {
+      name: serverName,
+      code,
+      signal,
+      error,
+      failed,
+    });
+
+    this.scheduleAutoRestart(serverName, failed).catch((scheduleError) => {
+      this.appendLogs(serverName, `[auto-restart error] ${scheduleError.message}`);
+    });
+  }
+
+  async scheduleAutoRestart(serverName, failed) {
+    const managed = await this.resolveManagedServer(serverName);
+    if (!managed || this.running.has(serverName)) {
+      return;
+    }
+
+    const policy = normalizeRestartPolicy(managed.config.restartPolicy);
+    if (policy.mode === "never" || (policy.mode === "on-failure" && !failed)) {
+      return;
+    }
+
+    const tracker = this.getRestartTracker(serverName);
+    const windowStart = Date.now() - policy.windowSeconds * 1000;
+    tracker.restarts = tracker.restarts.filter((at) => at >= windowStart);
+
+    if (tracker.restarts.length >= policy.maxRestarts) {
+      tracker.crashLooping = true;
+      this.appendLogs(
+        serverName,
+        `[auto-restart] crash-looping: ${tracker.restarts.length} restarts within ${policy.windowSeconds}s`,
+      );
+      this.emit("serverCrashLoop", {
+        name: serverName,
+        restarts: tracker.restarts.length,
+        windowSeconds: policy.windowSeconds,
+        lastExit: tracker.lastExit,
+      });
+      return;
+    }
+
+    const delaySeconds = Math.min(
+      policy.initialDelaySeconds * 2 ** tracker.restarts.length,
+      policy.maxDelaySeconds,
+    );
+    const attempt = tracker.restarts.length + 1;
+    tracker.nextRestartAt = new Date(Date.now() + delaySeconds * 1000).toISOString();
+    this.emit("serverRestartScheduled", {
+      name: serverName,
+      attempt,
+      delaySeconds,
+      lastExit: tracker.lastExit,
+    });
+
+    tracker.timer = setTimeout(async () => {
+      tracker.timer = null;
+      tracker.nextRestartAt = null;
+      tracker.restarts.push(Date.now());
+
+      try {
+        const started = await this.startServer(
+          serverName,
+          tracker.memoryOverrideMb,
+          { automatic: true },
+        );
+        this.emit("serverRestarted", { name: serverName, attempt, pid: started.pid });
+      } catch (error) {
+        tracker.lastExit = {
+          code: null,
+          signal: null,
+          error: error.message,
+          at: new Date().toISOString(),
+        };
+        this.emit("serverRestartFailed", {
+          name: serverName,
+          attempt,
+          error: error.message,
+        });
+        await this.scheduleAutoRestart(serverName, true).catch(() => {});
+      }
+    }, delaySeconds * 1000);
+  }
+
+  async stopExternalServer(serverName, rcon, timeoutMs) {
+    await sendRconCommand(rcon, "stop");
+
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      try {
+        await sendRconCommand({ ...rcon, timeoutMs: 1000 }, "list");
+      } catch {
+        return;
+      }
+    }
+
+    throw new Error(`Server "${serverName}" is still responding to RCON after stop.`);
+  }
+
+  async collectPortUsage({ exclude = null, runningOnly = false } = {}) {
+    const usage = [];
+    for (const serverName of await this.listServers()) {
+      if (serverName === exclude || (runningOnly && !this.running.has(serverName))) {
+        continue;
+      }
+      const managed = await this.resolveManagedServer(serverName);
+      if (!managed) {
+        continue;
+      }
+      const properties = await readServerProperties(managed.config.serverPath);
+      const { host, uses } = describePortUsage(properties, managed.config);
+      usage.push(...uses.map((use) => ({ ...use, host, server: serverName })));
+    }
+    return usage;
+  }
+
+  /**
+   * Checks ports against every other managed server's configuration and, with
+   * `bindTest`, by binding them on this host.
+   */
+  async findPortConflicts(
+    uses,
+    { host = "", exclude = null, bindTest = true, runningOnly = false } = {},
+  ) {
+    const others = await this.collectPortUsage({ exclude, runningOnly });
+    return detectPortConflicts(uses, others, { host, bindTest });
+  }
+
+  async assertPortsFree(uses, options = {}) {
+    const conflicts = await this.findPortConflicts(uses, options);
+    if (conflicts.length > 0) {
+      throw new Error(`Port conflict: ${conflicts.map(formatPortConflict).join("; ")}.`);
+    }
+  }
+
+  // The first port from `start` whose game port and default RCON port are free.
+  async findFreePort(start = 25565, { host = "", exclude = null } = {}) {
+    const others = await this.collectPortUsage({ exclude });
+    const last = Math.min(start + MAX_FREE_PORT_PROBES, 65535 - RCON_PORT_OFFSET);
+    for (let port = Math.max(start, 1024); port <= last; port += 1) {
+      const uses = [
+        { port, protocol: "tcp", purpose: "game" },
+        { port: port + RCON_PORT_OFFSET, protocol: "tcp", purpose: "RCON" },
+      ];
+      if ((await detectPortConflicts(uses, others, { host })).length === 0) {
+        return port;
+      }
+    }
+    return null;
+  }
+
+  async checkServerPorts(name) {
+    const serverName = sanitizeServerName(name);
+    const managed = await this.resolveManagedServer(serverName);
+    if (!managed) {
+      throw new Error(`Server "${serverName}" is not managed.`);
+    }
+
+    const properties = await readServerProperties(managed.config.serverPath);
+    const { host, uses } = describePortUsage(properties, managed.config);
+    // A server started by the bot holds its own ports, so only compare configs.
+    const conflicts = await this.findPortConflicts(uses, {
+      host,
+      exclude: serverName,
+      bindTest: !this.running.has(serverName),
+    });
+    return conflicts.map((conflict) => ({ ...conflict, message: formatPortConflict(conflict) }));
+  }
+
+  async getRconSettings(config) {
+    const properties = await readServerProperties(config.serverPath);
+    const enabled = properties.rconEnabled ?? Boolean(config.rcon?.enabled);
+    const port = properties.rconPort || config.rcon?.port;
+    const password = properties.rconPassword || config.rcon?.password;
+    if (!enabled || !port || !password) {
+      return null;
+    }
+    return { host: "127.0.0.1", port, password };
+  }
+
+  async pingServer(name, { timeoutMs = 3000 } = {}) {
+    const serverName = sanitizeServerName(name);
+    const managed = await this.resolveManagedServer(serverName);
+    if (!managed) {
+      throw new Error(`Server "${serverName}" is not managed.`);
+    }
+    return pingServer({ port: managed.config.port, timeoutMs });
+  }
+
+  async listPlayers(name) {
+    const result = await this.executeCommand(name, "list", { captureMs: 1000 });
+    return parsePlayerList(result.output);
+  }
+
+  async executeCommand(
+    name,
+    command,
+    { denyList = [], captureMs = DEFAULT_EXEC_CAPTURE_MS } = {},
+  ) {
+    const serverName = sanitizeServerName(name);
+    const normalizedCommand = normalizeConsoleCommand(command);
+    const deniedCommand = findDeniedCommand(normalizedCommand, denyList);
+    if (deniedCommand) {
+      throw new Error(`Command "${deniedCommand}" is not allowed.`);
+    }
+
+    const state = this.running.get(serverName);
+    if (!state?.process) {
+      const managed = await this.resolveManagedServer(serverName);
+      const rcon = managed ? await this.getRconSettings(managed.config) : null;
+      if (!rcon) {
+        throw new Error(
+          state
+            ? `Console of server "${serverName}" is not available. Enable RCON to send commands.`
+            : `Server "${serverName}" is not running.`,
+        );
+      }
+
+      const response = await sendRconCommand(rcon, normalizedCommand);
+      return {
+        name: serverName,
+        command: normalizedCommand,
+        output: response.split(/\r?\n/).filter(Boolean),
+        via: "rcon",
+      };
+    }
+
+    const output = [];
+    const onLog = (event) => {
+      if (event.name === serverName) {
+        output.push(event.line);
+      }
+    };
+    this.on("serverLog", onLog);
+    try {
+      this.writeConsole(serverName, state, normalizedCommand);
+      await new Promise((resolve) => setTimeout(resolve, captureMs));
+    } finally {
+      this.off("serverLog", onLog);
+    }
+
+    return { name: serverName, command: normalizedCommand, output, via: "stdin" };
+  }
+
+  writeConsole(serverName, state, command) {
+    const stdin = state.process?.stdin;
+    if (!stdin || stdin.destroyed || !stdin.writable) {
+      throw new Error(`Console of server "${serverName}" is not available.`);
+    }
+    stdin.write(`${command}\n`);
+  }
+
+  async getWorldDirectories(name) {
+    const serverName = sanitizeServerName(name);
+    const managed = await this.resolveManagedServer(serverName);
+    if (!managed) {
+      throw new Error(`Server "${serverName}" is not managed.`);
+    }
+
+    const { serverPath } = managed.config;
+    const properties = await readServerProperties(serverPath);
+    const levelName = properties.levelName || "world";
+    const directories = [];
+    // Bukkit-based forks keep the other dimensions in sibling folders.
+    for (const candidate of [levelName, `${levelName}_nether`, `${levelName}_the_end`]) {
+      const resolved = path.resolve(serverPath, candidate);
+      if (path.dirname(resolved) !== path.resolve(serverPath)) {
+        throw new Error(`level-name "${levelName}" must be a folder inside the server directory.`);
+      }
+      if (await exists(resolved)) {
+        directories.push(candidate);
+      }
+    }
+    return { serverPath, levelName, directories };
+  }
+
+  async getServerProperties(name) {
+    const serverName = sanitizeServerName(name);
+    const managed = await this.resolveManagedServer(serverName);
+    if (!managed) {
+      throw new Error(`Server "${serverName}" is not managed.`);
+    }
 
-    return { name: serverName };
+    const document = await readPropertiesDocument(managed.config.serverPath);
+    return { name: serverName, entries: document ? document.entries() : [] };
+  }
+
+  async setServerProperty(name, key, rawValue) {
+    const serverName = sanitizeServerName(name);
+    const managed = await this.resolveManagedServer(serverName);
+    if (!managed) {
+      throw new Error(`Server "${serverName}" is not managed.`);
+    }
+
+    const value = validatePropertyValue(key, rawValue);
+    const { serverPath } = managed.config;
+    const propertiesPath = path.join(serverPath, "server.properties");
+    const document =
+      (await readPropertiesDocument(serverPath)) || new PropertiesDocument();
+    const previous = document.get(key) ?? null;
+    const before = describePortUsage(summarizeProperties(document), managed.config);
+    document.set(key, value);
+
+    const after = describePortUsage(summarizeProperties(document), managed.config);
+    const added = after.uses.filter(
+      (use) =>
+        !before.uses.some(
+          (old) =>
+            old.port === use.port &&
+            old.protocol === use.protocol &&
+            old.purpose === use.purpose,
+        ),
+    );
+    if (added.length > 0) {
+      const own = after.uses
+        .filter((use) => !added.includes(use))
+        .map((use) => ({ ...use, host: after.host }));
+      const others = await this.collectPortUsage({ exclude: serverName });
+      const conflicts = await detectPortConflicts(added, [...own, ...others], {
+        host: after.host,
+      });
+      if (conflicts.length > 0) {
+        throw new Error(`Port conflict: ${conflicts.map(formatPortConflict).join("; ")}.`);
+      }
+    }
+
+    const tempPath = `${propertiesPath}.tmp`;
+    await fs.writeFile(tempPath, document.toString(), "utf8");
+    await fs.rename(tempPath, propertiesPath);
+
+    if (key === "server-port" || key === "motd") {
+      await this.updateServerConfig(serverName, (raw) => {
+        if (key === "server-port") {
+          raw.port = Number(value);
+        } else {
+          raw.motd = value;
+        }
+      });
+    }
+
+    const state = this.running.get(serverName);
+    let appliedLive = false;
+    const liveCommand = PROPERTY_SCHEMA[key]?.live;
+    if (state && liveCommand && previous !== value) {
+      try {
+        await this.executeCommand(serverName, liveCommand(value), { captureMs: 0 });
+        appliedLive = true;
+      } catch {
+        // Falls back to the restart notice below.
+      }
+    }
+
+    return {
+      name: serverName,
+      key,
+      value,
+      previous,
+      changed: previous !== value,
+      appliedLive,
+      restartRequired: Boolean(state) && previous !== value && !appliedLive,
+    };
   }
 
   async getRecentLogs(name, lineCount = 20) {
@@ -521,8 +1960,16 @@ export class MinecraftManager {
     }
 
     const timestamp = new Date().toISOString();
+    let awaitingReady = this.lifecycles.get(serverName)?.state === "starting";
     for (const line of lines) {
       state.logs.push(`[${timestamp}] ${line}`);
+      this.emit("serverLog", { name: serverName, line, timestamp });
+
+      const readyMatch = awaitingReady ? SERVER_READY_PATTERN.exec(line) : null;
+      if (readyMatch) {
+        awaitingReady = false;
+        this.markServerReady(serverName, state, Number.parseFloat(readyMatch[1]));
+      }
     }
 
     if (state.logs.length > MAX_BUFFERED_LINES) {
@@ -540,6 +1987,7 @@ export class MinecraftManager {
 
     const content = await fs.readFile(configPath, "utf8");
     const parsed = JSON.parse(content);
+    const launch = normalizeLaunchSpec(parsed.launch, parsed.jarFile);
     const serverPath = path.isAbsolute(parsed.serverPath || "")
       ? parsed.serverPath
       : path.resolve(serverConfigDir, parsed.serverPath || ".");
@@ -555,11 +2003,28 @@ export class MinecraftManager {
       fork: parsed.fork || "vanilla",
       version: parsed.version || "unknown",
       build: parsed.build ?? null,
+      javaMajorVersion: Number.isInteger(parsed.javaMajorVersion)
+        ? parsed.javaMajorVersion
+        : estimateJavaMajorVersion(parsed.version),
       memoryMb: parsed.memoryMb || 2048,
+      jvmPreset: parsed.jvmPreset || null,
+      jvmArgs: Array.isArray(parsed.jvmArgs) ? parsed.jvmArgs.map(String) : [],
+      serverArgs: Array.isArray(parsed.serverArgs) ? parsed.serverArgs.map(String) : [],
       port: parsed.port || 25565,
       motd: parsed.motd || sanitized,
+      restartPolicy: normalizeRestartPolicy(parsed.restartPolicy),
+      startupTimeoutSeconds:
+        Number.isInteger(parsed.startupTimeoutSeconds) &&
+        parsed.startupTimeoutSeconds > 0
+          ? parsed.startupTimeoutSeconds
+          : DEFAULT_STARTUP_TIMEOUT_SECONDS,
+      stopTimeoutSeconds:
+        Number.isInteger(parsed.stopTimeoutSeconds) && parsed.stopTimeoutSeconds > 0
+          ? parsed.stopTimeoutSeconds
+          : DEFAULT_STOP_TIMEOUT_SECONDS,
       serverPath,
-      jarFile: parsed.jarFile || "server.jar",
+      jarFile: launch.jarFile ?? null,
+      launch,
     };
   }
 
@@ -574,12 +2039,128 @@ export class MinecraftManager {
     );
   }
 
+  async updateServerConfig(serverName, mutate) {
+    const sanitized = sanitizeServerName(serverName);
+    const previous = this.configLocks.get(sanitized) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const configPath = path.join(this.baseDir, sanitized, "bot-config.json");
+      let rawConfig;
+      if (await exists(configPath)) {
+        rawConfig = JSON.parse(await fs.readFile(configPath, "utf8"));
+      } else {
+        const managed = await this.resolveManagedServer(sanitized);
+        if (!managed) {
+          throw new Error(`Server "${sanitized}" is not managed.`);
+        }
+        rawConfig = { ...managed.config };
+      }
+
+      const updated = (await mutate(rawConfig)) || rawConfig;
+      await this.writeServerConfig(sanitized, updated);
+      return this.readServerConfig(sanitized);
+    });
+
+    this.configLocks.set(sanitized, next);
+    try {
+      return await next;
+    } finally {
+      if (this.configLocks.get(sanitized) === next) {
+        this.configLocks.delete(sanitized);
+      }
+    }
+  }
+
+  async appendConfigHistory(serverName, entry) {
+    return this.updateServerConfig(serverName, (raw) => {
+      raw.history = [
+        ...(raw.history || []),
+        { at: new Date().toISOString(), ...entry },
+      ].slice(-MAX_CONFIG_HISTORY);
+    });
+  }
+
+  async runExclusive(name, reason, task) {
+    const serverName = sanitizeServerName(name);
+    if (this.maintenance.has(serverName)) {
+      throw new Error(
+        `Server "${serverName}" is busy (${this.maintenance.get(serverName)}).`,
+      );
+    }
+    if (this.running.has(serverName)) {
+      throw new Error(`Server "${serverName}" must be stopped first.`);
+    }
+    if (this.restartTrackers.get(serverName)?.timer) {
+      throw new Error(
+        `Server "${serverName}" has a pending automatic restart. Run /mc-stop to cancel it first.`,
+      );
+    }
+
+    this.maintenance.set(serverName, reason);
+    try {
+      const managed = await this.resolveManagedServer(serverName);
+      const rcon = managed ? await this.getRconSettings(managed.config) : null;
+      const respondsToRcon = rcon
+        ? await sendRconCommand({ ...rcon, timeoutMs: 1000 }, "list").then(
+            () => true,
+            () => false,
+          )
+        : false;
+      if (respondsToRcon) {
+        throw new Error(
+          `Server "${serverName}" is running outside the bot and must be stopped first.`,
+        );
+      }
+      return await task();
+    } finally {
+      this.maintenance.delete(serverName);
+    }
+  }
+
+  resolveServerDataPath(serverName, fileName) {
+    return path.join(this.baseDir, sanitizeServerName(serverName), fileName);
+  }
+
+  async readRuntimeState(serverName) {
+    const sanitized = sanitizeServerName(serverName);
+    const statePath = path.join(this.baseDir, sanitized, RUNTIME_STATE_FILE);
+    if (!(await exists(statePath))) {
+      return null;
+    }
+
+    try {
+      const parsed = JSON.parse(await fs.readFile(statePath, "utf8"));
+      return Number.isInteger(parsed?.pid) ? parsed : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async writeRuntimeState(serverName, record) {
+    const sanitized = sanitizeServerName(serverName);
+    const serverConfigDir = path.join(this.baseDir, sanitized);
+    await fs.mkdir(serverConfigDir, { recursive: true });
+    await fs.writeFile(
+      path.join(serverConfigDir, RUNTIME_STATE_FILE),
+      `${JSON.stringify(record, null, 2)}\n`,
+      "utf8",
+    );
+  }
+
+  async clearRuntimeState(serverName) {
+    const sanitized = sanitizeServerName(serverName);
+    await fs.rm(path.join(this.baseDir, sanitized, RUNTIME_STATE_FILE), {
+      force: true,
+    });
+  }
+
   async resolveManagedServer(serverName) {
     const sanitized = sanitizeServerName(serverName);
     const serverConfigDir = path.join(this.baseDir, sanitized);
     const config = await this.readServerConfig(sanitized);
     if (config) {
-      const jarExists = await exists(path.join(config.serverPath, config.jarFile));
+      const jarExists = await exists(
+        path.join(config.serverPath, getLaunchTarget(config.launch)),
+      );
       return {
         name: sanitized,
         serverConfigDir,
@@ -604,11 +2185,19 @@ export class MinecraftManager {
         fork: "vanilla",
         version: "unknown",
         build: null,
+        javaMajorVersion: null,
         port: legacyServerProperties.port || 25565,
         memoryMb: 2048,
+        jvmPreset: null,
+        jvmArgs: [],
+        serverArgs: [],
         motd: legacyServerProperties.motd || sanitized,
+        restartPolicy: normalizeRestartPolicy(null),
+        startupTimeoutSeconds: DEFAULT_STARTUP_TIMEOUT_SECONDS,
+        stopTimeoutSeconds: DEFAULT_STOP_TIMEOUT_SECONDS,
         serverPath: serverConfigDir,
         jarFile: "server.jar",
+        launch: { type: "jar", jarFile: "server.jar" },
         createdAt: null,
       },
     };
@@ -626,6 +2215,18 @@ export class MinecraftManager {
     if (normalizedFork === "purpur") {
       return this.resolvePurpurBuild(versionInput);
     }
+    if (normalizedFork === "fabric") {
+      return this.resolveFabricBuild(versionInput);
+    }
+    if (normalizedFork === "quilt") {
+      return this.resolveQuiltBuild(versionInput);
+    }
+    if (normalizedFork === "forge") {
+      return this.resolveForgeBuild(versionInput);
+    }
+    if (normalizedFork === "neoforge") {
+      return this.resolveNeoForgeBuild(versionInput);
+    }
 
     throw new Error(`Unsupported fork: ${normalizedFork}`);
   }
@@ -654,9 +2255,105 @@ export class MinecraftManager {
       version: versionEntry.id,
       build: null,
       jarUrl: serverDownload.url,
+      hashes: serverDownload.sha1 ? { sha1: serverDownload.sha1 } : null,
+      javaMajorVersion: versionMetadata?.javaVersion?.majorVersion ?? null,
+    };
+  }
+
+  async resolveJavaMajorVersion(mcVersion) {
+    try {
+      const { javaMajorVersion } = await this.resolveVanillaBuild(mcVersion);
+      return javaMajorVersion ?? estimateJavaMajorVersion(mcVersion);
+    } catch {
+      return estimateJavaMajorVersion(mcVersion);
+    }
+  }
+
+  // Only startServer rescans on a miss; status and preview paths run often
+  // and would otherwise probe every installed JDK each time.
+  async selectJavaRuntime(config, { rescan = false } = {}) {
+    return this.javaLocator.select(config.javaMajorVersion, {
+      context: `"${config.name}" (Minecraft ${config.version})`,
+      rescan,
+    });
+  }
+
+  async writeStartScript(config, java = null) {
+    const runtime = java || (await this.selectJavaRuntime(config).catch(() => null));
+    const jvmOptions = buildJvmOptions(config, {
+      memoryMb: config.memoryMb,
+      javaMajorVersion: runtime?.majorVersion ?? null,
+    });
+    await fs.writeFile(
+      path.join(config.serverPath, "start.ps1"),
+      buildStartScript(
+        runtime?.path || this.javaPath,
+        config.launch,
+        config.memoryMb,
+        jvmOptions,
+      ),
+      "utf8",
+    );
+  }
+
+  async getLaunchCommand(name) {
+    const serverName = sanitizeServerName(name);
+    const managed = await this.resolveManagedServer(serverName);
+    if (!managed) {
+      throw new Error(`Server "${serverName}" is not managed.`);
+    }
+
+    const { config } = managed;
+    const java = await this.selectJavaRuntime(config);
+    const jvmOptions = buildJvmOptions(config, {
+      memoryMb: config.memoryMb,
+      javaMajorVersion: java.majorVersion,
+    });
+    return {
+      config,
+      javaPath: java.path,
+      args: buildLaunchArgs(config.launch, config.memoryMb, jvmOptions),
     };
   }
 
+  async setJvmOptions(name, changes, { requestedBy = null } = {}) {
+    const serverName = sanitizeServerName(name);
+    const config = await this.readServerConfig(serverName);
+    if (!config) {
+      throw new Error(`Server "${serverName}" is not managed.`);
+    }
+
+    const previous = {
+      jvmPreset: config.jvmPreset,
+      jvmArgs: config.jvmArgs,
+      serverArgs: config.serverArgs,
+    };
+    const next = normalizeJvmOptions({ ...previous, ...changes });
+    // Expand once so preset/Java incompatibilities surface now, not at start.
+    const runtime = await this.selectJavaRuntime(config).catch(() => null);
+    buildJvmOptions(next, {
+      memoryMb: config.memoryMb,
+      javaMajorVersion: runtime?.majorVersion ?? null,
+    });
+
+    await this.updateServerConfig(serverName, (raw) => {
+      Object.assign(raw, next);
+    });
+    await this.appendConfigHistory(serverName, {
+      type: "jvm",
+      from: previous,
+      to: next,
+      requestedBy,
+    });
+
+    const updated = await this.readServerConfig(serverName);
+    // Only created servers own their start.ps1; imported ones keep their scripts.
+    if (updated.source === "created") {
+      await this.writeStartScript(updated, runtime);
+    }
+    return { config: updated, running: this.running.has(serverName) };
+  }
+
   async resolvePaperBuild(versionInput) {
     const project = await this.fetchJson(PAPER_PROJECT_API_URL);
     const requestedVersion = String(versionInput || "latest").trim().toLowerCase();
@@ -703,7 +2400,8 @@ export class MinecraftManager {
     const buildMeta = await this.fetchJson(
       `${PAPER_PROJECT_API_URL}/versions/${targetVersion}/builds/${latestBuild.build}`,
     );
-    const downloadName = buildMeta?.downloads?.application?.name;
+    const application = buildMeta?.downloads?.application;
+    const downloadName = application?.name;
     if (!downloadName) {
       throw new Error(`Paper build metadata is missing application download.`);
     }
@@ -713,6 +2411,7 @@ export class MinecraftManager {
       version: targetVersion,
       build: String(latestBuild.build),
       jarUrl: `${PAPER_PROJECT_API_URL}/versions/${targetVersion}/builds/${latestBuild.build}/downloads/${downloadName}`,
+      hashes: application.sha256 ? { sha256: application.sha256 } : null,
     };
   }
 
@@ -735,15 +2434,199 @@ export class MinecraftManager {
     if (!latestBuild) {
       throw new Error(`No Purpur build found for version "${targetVersion}".`);
     }
+    const latestBuildMeta = await this.fetchJson(
+      `${PURPUR_PROJECT_API_URL}/${targetVersion}/${latestBuild}`,
+    );
 
     return {
       fork: "purpur",
       version: targetVersion,
       build: String(latestBuild),
       jarUrl: `${PURPUR_PROJECT_API_URL}/${targetVersion}/${latestBuild}/download`,
+      hashes: latestBuildMeta?.md5 ? { md5: latestBuildMeta.md5 } : null,
+    };
+  }
+
+  async resolveFabricBuild(versionInput) {
+    const requestedVersion = String(versionInput || "latest").trim().toLowerCase();
+    const targetVersion =
+      requestedVersion === "latest"
+        ? (await this.fetchJson(`${FABRIC_META_URL}/versions/game`))?.find(
+            (entry) => entry.stable,
+          )?.version
+        : String(versionInput || "").trim();
+
+    const loaders = targetVersion
+      ? await this.fetchJson(
+          `${FABRIC_META_URL}/versions/loader/${encodeURIComponent(targetVersion)}`,
+        )
+      : [];
+    const loader = (loaders.find((entry) => entry.loader?.stable) || loaders[0])?.loader;
+    if (!loader) {
+      throw new Error(`Fabric does not support version "${versionInput}".`);
+    }
+
+    const installers = await this.fetchJson(`${FABRIC_META_URL}/versions/installer`);
+    const installer = installers?.find((entry) => entry.stable) || installers?.[0];
+    if (!installer) {
+      throw new Error("No Fabric installer version available.");
+    }
+
+    // The meta API serves a launcher jar that downloads the vanilla server.jar
+    // on first start, so it must not be saved as server.jar itself.
+    return {
+      fork: "fabric",
+      version: targetVersion,
+      build: loader.version,
+      jarUrl: `${FABRIC_META_URL}/versions/loader/${targetVersion}/${loader.version}/${installer.version}/server/jar`,
+      jarFile: "fabric-server-launch.jar",
+    };
+  }
+
+  async resolveQuiltBuild(versionInput) {
+    const requestedVersion = String(versionInput || "latest").trim().toLowerCase();
+    const targetVersion =
+      requestedVersion === "latest"
+        ? (await this.fetchJson(`${QUILT_META_URL}/versions/game`))?.find(
+            (entry) => entry.stable,
+          )?.version
+        : String(versionInput || "").trim();
+
+    const loaders = targetVersion
+      ? await this.fetchJson(
+          `${QUILT_META_URL}/versions/loader/${encodeURIComponent(targetVersion)}`,
+        )
+      : [];
+    const loader = (
+      loaders.find((entry) => !entry.loader?.version.includes("-")) || loaders[0]
+    )?.loader;
+    if (!loader) {
+      throw new Error(`Quilt does not support version "${versionInput}".`);
+    }
+
+    const installer = (await this.fetchJson(`${QUILT_META_URL}/versions/installer`))?.[0];
+    if (!installer?.url) {
+      throw new Error("No Quilt installer version available.");
+    }
+
+    return {
+      fork: "quilt",
+      version: targetVersion,
+      build: loader.version,
+      installerUrl: installer.url,
+      installerArgs: [
+        "install",
+        "server",
+        targetVersion,
+        loader.version,
+        "--install-dir=.",
+        "--download-server",
+      ],
+      launchJar: "quilt-server-launch.jar",
+    };
+  }
+
+  async resolveForgeBuild(versionInput) {
+    const requested = String(versionInput || "latest").trim();
+    // Accept a full "<minecraft>-<forge>" version as well as a Minecraft version.
+    const fullMatch = /^(\d+\.\d+(?:\.\d+)?)-(\d+(?:\.\d+)+)$/.exec(requested);
+    let targetVersion;
+    let forgeVersion;
+    if (fullMatch) {
+      [, targetVersion, forgeVersion] = fullMatch;
+    } else {
+      const promos = (await this.fetchJson(FORGE_PROMOTIONS_URL))?.promos || {};
+      const promotedVersions = Object.keys(promos)
+        .map((key) => /^(\d+\.\d+(?:\.\d+)?)-(?:latest|recommended)$/.exec(key)?.[1])
+        .filter(Boolean);
+      targetVersion =
+        requested.toLowerCase() === "latest"
+          ? pickLatestMcVersion(promotedVersions)
+          : requested;
+      forgeVersion =
+        promos[`${targetVersion}-recommended`] || promos[`${targetVersion}-latest`];
+      if (!forgeVersion) {
+        throw new Error(`Forge does not support version "${versionInput}".`);
+      }
+    }
+
+    const fullVersion = `${targetVersion}-${forgeVersion}`;
+    return {
+      fork: "forge",
+      version: targetVersion,
+      build: forgeVersion,
+      installerUrl: `${FORGE_MAVEN_URL}/${fullVersion}/forge-${fullVersion}-installer.jar`,
+      installerArgs: ["--installServer", "."],
     };
   }
 
+  async resolveNeoForgeBuild(versionInput) {
+    const versions = (await this.fetchJson(NEOFORGE_VERSIONS_URL))?.versions || [];
+    const requested = String(versionInput || "latest").trim().toLowerCase();
+
+    // NeoForge versions encode the Minecraft version: 1.21.1 -> 21.1.x, 1.21 -> 21.0.x.
+    const toMcVersion = (neoVersion) => {
+      const [major, minor] = parseMcVersion(neoVersion);
+      return minor ? `1.${major}.${minor}` : `1.${major}`;
+    };
+    const candidates = versions
+      .filter((version) => /^\d+\.\d+\.\d+/.test(version))
+      .filter(
+        (version) => requested === "latest" || toMcVersion(version) === requested,
+      )
+      .sort(compareMcVersion);
+    const stable = candidates.filter((version) => !version.includes("-"));
+    const neoVersion = (stable.length > 0 ? stable : candidates).at(-1);
+    if (!neoVersion) {
+      throw new Error(`NeoForge does not support version "${versionInput}".`);
+    }
+
+    return {
+      fork: "neoforge",
+      version: toMcVersion(neoVersion),
+      build: neoVersion,
+      installerUrl: `${NEOFORGE_MAVEN_URL}/${neoVersion}/neoforge-${neoVersion}-installer.jar`,
+      installerArgs: ["--installServer", "."],
+    };
+  }
+
+  async installServerBuild(build, serverPath, { javaPath = this.javaPath } = {}) {
+    if (build.jarUrl) {
+      const jarFile = build.jarFile || "server.jar";
+      await this.downloadFile(build.jarUrl, path.join(serverPath, jarFile), {
+        hashes: build.hashes,
+        label: formatCacheLabel(build),
+      });
+      return { type: "jar", jarFile };
+    }
+
+    const installerFile = `${build.fork}-installer.jar`;
+    await this.downloadFile(build.installerUrl, path.join(serverPath, installerFile));
+    try {
+      await execFileAsync(javaPath, ["-jar", installerFile, ...build.installerArgs], {
+        cwd: serverPath,
+        timeout: INSTALLER_TIMEOUT_MS,
+        maxBuffer: 32 * 1024 * 1024,
+        windowsHide: true,
+      });
+    } catch (error) {
+      const output = `${error.stdout || ""}\n${error.stderr || ""}`
+        .trim()
+        .split(/\r?\n/)
+        .slice(-5)
+        .join(" / ");
+      throw new Error(`The ${build.fork} installer failed: ${output || error.message}`);
+    } finally {
+      await fs.rm(path.join(serverPath, installerFile), { force: true });
+    }
+
+    const launch = await detectInstalledLaunch(serverPath, build.launchJar);
+    if (!launch) {
+      throw new Error(`Could not find how to launch the installed ${build.fork} server.`);
+    }
+    return launch;
+  }
+
   async fetchJson(url) {
     const response = await fetch(url);
     if (!response.ok) {
@@ -752,13 +2635,9 @@ export class MinecraftManager {
     return response.json();
   }
 
-  async downloadFile(url, destinationPath) {
-    const response = await fetch(url);
-    if (!response.ok || !response.body) {
-      throw new Error(`Failed to download ${url} (${response.status})`);
-    }
-
-    const writable = createWriteStream(destinationPath);
-    await pipeline(Readable.fromWeb(response.body), writable);
+  // Downloads through a temp file. Known hashes are verified and let the
+  // shared jar cache serve repeat downloads of the same build.
+  async downloadFile(url, destinationPath, { hashes = null, label = null } = {}) {
+    return this.jarCache.fetch(url, destinationPath, { hashes, label });
   }
 }
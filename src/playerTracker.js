@@ -0,0 +1,249 @@
+import { EventEmitter } from "node:events";
+import fs from "node:fs/promises";
+import { parseConsoleLine } from "./logParser.js";
+
+const PLAYER_DATA_FILE = "bot-players.json";
+
+export class PlayerTracker extends EventEmitter {
+  constructor({ manager }) {
+    super();
+    this.manager = manager;
+    this.histories = new Map();
+    this.online = new Map();
+    this.pendingUuids = new Map();
+    this.queues = new Map();
+    this.started = false;
+    this.onLog = (event) => this.handleLog(event);
+    this.onStateChange = (event) => {
+      if (event.state === "stopped" || event.state === "crashed") {
+        this.enqueue(event.name, () => this.closeAllSessions(event.name)).catch(
+          () => {},
+        );
+      }
+    };
+  }
+
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+    this.manager.on("serverLog", this.onLog);
+    this.manager.on("serverStateChange", this.onStateChange);
+  }
+
+  async restore() {
+    const serverNames = await this.manager.listServers();
+    for (const serverName of serverNames) {
+      await this.enqueue(serverName, async () => {
+        const history = await this.load(serverName);
+        const running = this.manager.running.has(serverName);
+        const online = this.getOnlineSet(serverName);
+        let changed = false;
+        for (const record of Object.values(history.players)) {
+          if (!record.sessionStartedAt) {
+            continue;
+          }
+          if (running) {
+            online.add(record.name);
+          } else {
+            this.closeSession(record, Date.parse(history.updatedAt) || Date.now());
+            changed = true;
+          }
+        }
+        if (changed) {
+          await this.save(serverName);
+        }
+      });
+    }
+    this.start();
+  }
+
+  getOnlineSet(serverName) {
+    let online = this.online.get(serverName);
+    if (!online) {
+      online = new Set();
+      this.online.set(serverName, online);
+    }
+    return online;
+  }
+
+  enqueue(serverName, task) {
+    const previous = this.queues.get(serverName) || Promise.resolve();
+    const result = previous.then(task);
+    this.queues.set(
+      serverName,
+      result.catch((error) => {
+        // eslint-disable-next-line no-console
+        console.error(error);
+      }),
+    );
+    return result;
+  }
+
+  async load(serverName) {
+    const cached = this.histories.get(serverName);
+    if (cached) {
+      return cached;
+    }
+
+    let history = { players: {}, updatedAt: null };
+    try {
+      const content = await fs.readFile(
+        this.manager.resolveServerDataPath(serverName, PLAYER_DATA_FILE),
+        "utf8",
+      );
+      const parsed = JSON.parse(content);
+      history = { players: parsed.players || {}, updatedAt: parsed.updatedAt || null };
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        throw error;
+      }
+    }
+
+    this.histories.set(serverName, history);
+    return history;
+  }
+
+  async save(serverName) {
+    const history = await this.load(serverName);
+    history.updatedAt = new Date().toISOString();
+    await fs.writeFile(
+      this.manager.resolveServerDataPath(serverName, PLAYER_DATA_FILE),
+      `${JSON.stringify(history, null, 2)}\n`,
+      "utf8",
+    );
+  }
+
+  handleLog(event) {
+    const online = this.getOnlineSet(event.name);
+    const parsed = parseConsoleLine(event.line, { knownPlayers: online });
+    if (!parsed) {
+      return;
+    }
+
+    if (parsed.type === "uuid") {
+      this.pendingUuids.set(`${event.name}:${parsed.player}`, parsed.uuid);
+      return;
+    }
+
+    if (parsed.type === "join") {
+      online.add(parsed.player);
+      this.enqueue(event.name, () =>
+        this.openSession(event.name, parsed.player),
+      ).catch(() => {});
+      return;
+    }
+
+    if (parsed.type === "leave") {
+      online.delete(parsed.player);
+      this.enqueue(event.name, () =>
+        this.endSession(event.name, parsed.player),
+      ).catch(() => {});
+    }
+  }
+
+  async openSession(serverName, player) {
+    const history = await this.load(serverName);
+    const now = new Date().toISOString();
+    const uuidKey = `${serverName}:${player}`;
+    const uuid = this.pendingUuids.get(uuidKey) || null;
+    this.pendingUuids.delete(uuidKey);
+
+    const record = history.players[player] || {
+      name: player,
+      uuid: null,
+      firstSeen: now,
+      lastSeen: now,
+      totalPlaytimeMs: 0,
+      sessions: 0,
+      sessionStartedAt: null,
+    };
+    if (record.sessionStartedAt) {
+      this.closeSession(record, Date.now());
+    }
+    record.uuid = uuid || record.uuid;
+    record.lastSeen = now;
+    record.sessions += 1;
+    record.sessionStartedAt = now;
+    history.players[player] = record;
+
+    await this.save(serverName);
+    this.emit("playerJoin", {
+      name: serverName,
+      player,
+      uuid: record.uuid,
+      firstJoin: record.sessions === 1,
+    });
+  }
+
+  async endSession(serverName, player) {
+    const history = await this.load(serverName);
+    const record = history.players[player];
+    if (!record?.sessionStartedAt) {
+      return;
+    }
+
+    const sessionMs = this.closeSession(record, Date.now());
+    await this.save(serverName);
+    this.emit("playerLeave", {
+      name: serverName,
+      player,
+      uuid: record.uuid,
+      sessionMs,
+    });
+  }
+
+  async closeAllSessions(serverName) {
+    const history = await this.load(serverName);
+    const now = Date.now();
+    let changed = false;
+    for (const record of Object.values(history.players)) {
+      if (record.sessionStartedAt) {
+        this.closeSession(record, now);
+        changed = true;
+      }
+    }
+    this.getOnlineSet(serverName).clear();
+    if (changed) {
+      await this.save(serverName);
+    }
+  }
+
+  closeSession(record, endedAtMs) {
+    const startedAtMs = Date.parse(record.sessionStartedAt);
+    const sessionMs = Number.isFinite(startedAtMs)
+      ? Math.max(0, endedAtMs - startedAtMs)
+      : 0;
+    record.totalPlaytimeMs += sessionMs;
+    record.lastSeen = new Date(endedAtMs).toISOString();
+    record.sessionStartedAt = null;
+    return sessionMs;
+  }
+
+  getSummary(serverName, { recentLimit = 10 } = {}) {
+    return this.enqueue(serverName, async () => {
+      const history = await this.load(serverName);
+      const now = Date.now();
+      const records = Object.values(history.players).map((record) => ({
+        ...record,
+        totalPlaytimeMs:
+          record.totalPlaytimeMs +
+          (record.sessionStartedAt
+            ? Math.max(0, now - Date.parse(record.sessionStartedAt))
+            : 0),
+      }));
+
+      return {
+        online: records
+          .filter((record) => this.getOnlineSet(serverName).has(record.name))
+          .sort((a, b) => a.name.localeCompare(b.name)),
+        recent: records
+          .filter((record) => !this.getOnlineSet(serverName).has(record.name))
+          .sort((a, b) => Date.parse(b.lastSeen) - Date.parse(a.lastSeen))
+          .slice(0, recentLimit),
+        knownPlayers: records.length,
+      };
+    });
+  }
+}
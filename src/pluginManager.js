@@ -0,0 +1,485 @@
+import { createHash } from "node:crypto";
+import { createWriteStream } from "node:fs";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Readable, Transform } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { readZipEntries } from "./zipReader.js";
+
+const PLUGIN_FORKS = new Set(["paper", "purpur"]);
+const DISABLED_DIR_NAME = ".disabled";
+const DESCRIPTOR_FILES = ["paper-plugin.yml", "plugin.yml"];
+const MAX_PLUGIN_BYTES = 100 * 1024 * 1024;
+const JAR_FILE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._+-]{0,127}\.jar$/;
+const HASH_ALGORITHMS = ["sha512", "sha256", "sha1"];
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+    return JSON.parse(value);
+  }
+  if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+    return value.slice(1, -1).replaceAll("''", "'");
+  }
+  if (value.startsWith("[") && value.endsWith("]")) {
+    const inner = value.slice(1, -1).trim();
+    return inner ? inner.split(",").map((item) => parseScalar(item)) : [];
+  }
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+  if (value === "~" || value === "null") {
+    return null;
+  }
+  return value;
+}
+
+function stripComment(line) {
+  let quote = null;
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "#" && (index === 0 || /\s/.test(line[index - 1]))) {
+      return line.slice(0, index);
+    }
+  }
+  return line;
+}
+
+/**
+ * Parses the subset of YAML used by plugin descriptors: nested maps, block and
+ * flow lists, quoted scalars and block scalars (`|`, `>`).
+ */
+function parseDescriptorYaml(text) {
+  const rawLines = String(text).replace(/^\uFEFF/, "").split(/\r?\n/);
+  const lines = [];
+  for (let index = 0; index < rawLines.length; index += 1) {
+    const content = stripComment(rawLines[index]).trimEnd();
+    if (!content.trim() || content.trim() === "---") {
+      continue;
+    }
+    lines.push({
+      index,
+      indent: content.length - content.trimStart().length,
+      text: content.trim(),
+    });
+  }
+
+  let position = 0;
+
+  const readBlockScalar = (style, parentIndent, startIndex) => {
+    const collected = [];
+    let blockIndent = null;
+    let next = startIndex + 1;
+    for (; next < rawLines.length; next += 1) {
+      const line = rawLines[next];
+      if (!line.trim()) {
+        collected.push("");
+        continue;
+      }
+      const indent = line.length - line.trimStart().length;
+      if (indent <= parentIndent) {
+        break;
+      }
+      blockIndent ??= indent;
+      collected.push(line.slice(blockIndent));
+    }
+    while (position < lines.length && lines[position].index < next) {
+      position += 1;
+    }
+    const body = collected.join("\n").trimEnd();
+    return style === ">" ? body.replace(/(?<!\n)\n(?!\n)/g, " ") : body;
+  };
+
+  const readValue = (raw, parentIndent, lineIndex) => {
+    const value = raw.trim();
+    if (/^[|>][+-]?$/.test(value)) {
+      return readBlockScalar(value[0], parentIndent, lineIndex);
+    }
+    if (value) {
+      return parseScalar(value);
+    }
+    const next = lines[position];
+    if (!next) {
+      return null;
+    }
+    if (next.indent > parentIndent || (next.indent === parentIndent && next.text.startsWith("- "))) {
+      return parseBlock(next.indent);
+    }
+    return null;
+  };
+
+  const parseMapEntries = (indent, target) => {
+    while (position < lines.length && lines[position].indent === indent) {
+      const line = lines[position];
+      if (line.text.startsWith("- ")) {
+        break;
+      }
+      const separator = line.text.search(/:(\s|$)/);
+      if (separator === -1) {
+        throw new Error(`Invalid YAML at line ${line.index + 1}`);
+      }
+      const key = String(parseScalar(line.text.slice(0, separator)));
+      position += 1;
+      target[key] = readValue(line.text.slice(separator + 1), indent, line.index);
+    }
+    return target;
+  };
+
+  const parseBlock = (indent) => {
+    if (!lines[position].text.startsWith("- ")) {
+      return parseMapEntries(indent, {});
+    }
+
+    const list = [];
+    while (
+      position < lines.length &&
+      lines[position].indent === indent &&
+      lines[position].text.startsWith("- ")
+    ) {
+      const line = lines[position];
+      const itemText = line.text.slice(2).trim();
+      const itemIndent = indent + 2;
+      if (/^[^"'[{][^:]*:(\s|$)/.test(itemText)) {
+        // "- key: value" starts a map whose remaining keys are indented further.
+        lines[position] = { index: line.index, indent: itemIndent, text: itemText };
+        list.push(parseMapEntries(itemIndent, {}));
+      } else {
+        position += 1;
+        list.push(readValue(itemText, indent, line.index));
+      }
+    }
+    return list;
+  };
+
+  return lines.length > 0 ? parseBlock(lines[0].indent) : {};
+}
+
+function toNameList(value) {
+  if (Array.isArray(value)) {
+    return value.map(String).filter(Boolean);
+  }
+  return value ? [String(value)] : [];
+}
+
+function describePlugin(fileName, descriptorName, yaml) {
+  const plugin = {
+    fileName,
+    descriptor: descriptorName,
+    name: String(yaml.name || ""),
+    version: String(yaml.version ?? "unknown"),
+    main: yaml.main ? String(yaml.main) : null,
+    description: yaml.description ? String(yaml.description) : "",
+    authors: [...toNameList(yaml.author), ...toNameList(yaml.authors)],
+    apiVersion: yaml["api-version"] != null ? String(yaml["api-version"]) : null,
+    depend: toNameList(yaml.depend),
+    softdepend: toNameList(yaml.softdepend),
+  };
+
+  // paper-plugin.yml: `dependencies: { server: { Name: { required: bool } } }`
+  const serverDependencies = yaml.dependencies?.server;
+  if (serverDependencies && typeof serverDependencies === "object") {
+    for (const [name, options] of Object.entries(serverDependencies)) {
+      if (options?.required === false) {
+        plugin.softdepend.push(name);
+      } else {
+        plugin.depend.push(name);
+      }
+    }
+  }
+  return plugin;
+}
+
+export async function readPluginDescriptor(jarPath) {
+  const entries = await readZipEntries(jarPath, DESCRIPTOR_FILES);
+  for (const descriptorName of DESCRIPTOR_FILES) {
+    const data = entries.get(descriptorName);
+    if (data) {
+      const plugin = describePlugin(
+        path.basename(jarPath),
+        descriptorName,
+        parseDescriptorYaml(data.toString("utf8")),
+      );
+      if (!plugin.name) {
+        throw new Error(`${descriptorName} has no name.`);
+      }
+      return plugin;
+    }
+  }
+  throw new Error("plugin.yml / paper-plugin.yml が見つかりません。");
+}
+
+async function fetchRepositoryJson(url) {
+  const response = await fetch(url, {
+    headers: { "User-Agent": "minecraft-discord-bot" },
+  });
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Request failed (${response.status}) for ${url}`);
+  }
+  return response.json();
+}
+
+// Each repository turns a project slug into a downloadable file with hashes.
+const PLUGIN_REPOSITORIES = {
+  modrinth: {
+    defaultUrl: "https://api.modrinth.com/v2",
+    async resolve(baseUrl, { project, version, gameVersion, loader }) {
+      const query = new URLSearchParams({ loaders: JSON.stringify([loader]) });
+      if (gameVersion && !version) {
+        query.set("game_versions", JSON.stringify([gameVersion]));
+      }
+      const versions = await fetchRepositoryJson(
+        `${baseUrl}/project/${encodeURIComponent(project)}/version?${query}`,
+      );
+      const selected = version
+        ? versions?.find((item) => item.version_number === version || item.id === version)
+        : versions?.[0];
+      const file = selected?.files.find((item) => item.primary) || selected?.files[0];
+      if (!file) {
+        return null;
+      }
+      return {
+        version: selected.version_number,
+        fileName: file.filename,
+        url: file.url,
+        hashes: { sha512: file.hashes?.sha512, sha1: file.hashes?.sha1 },
+      };
+    },
+  },
+  hangar: {
+    defaultUrl: "https://hangar.papermc.io/api/v1",
+    async resolve(baseUrl, { project, version, gameVersion }) {
+      const projectUrl = `${baseUrl}/projects/${encodeURIComponent(project)}/versions`;
+      let selected;
+      if (version) {
+        selected = await fetchRepositoryJson(`${projectUrl}/${encodeURIComponent(version)}`);
+      } else {
+        const query = new URLSearchParams({ platform: "PAPER", limit: "1" });
+        if (gameVersion) {
+          query.set("platformVersion", gameVersion);
+        }
+        selected = (await fetchRepositoryJson(`${projectUrl}?${query}`))?.result?.[0];
+      }
+      const download = selected?.downloads?.PAPER;
+      if (!download) {
+        return null;
+      }
+      if (!download.downloadUrl) {
+        throw new Error(
+          "このバージョンは外部サイトで配布されているため、ハッシュを検証できずインストールできません。",
+        );
+      }
+      return {
+        version: selected.name,
+        fileName: download.fileInfo?.name,
+        url: download.downloadUrl,
+        hashes: { sha256: download.fileInfo?.sha256Hash },
+      };
+    },
+  },
+};
+
+async function downloadVerified(url, destinationPath, hashes) {
+  const algorithm = HASH_ALGORITHMS.find((name) => hashes?.[name]);
+  if (!algorithm) {
+    throw new Error("ダウンロードを検証するハッシュがありません。");
+  }
+
+  const response = await fetch(url);
+  if (!response.ok || !response.body) {
+    throw new Error(`Failed to download ${url} (${response.status})`);
+  }
+  const declaredLength = Number(response.headers.get("content-length"));
+  if (declaredLength > MAX_PLUGIN_BYTES) {
+    throw new Error("ファイルサイズが上限(100MB)を超えています。");
+  }
+
+  const hash = createHash(algorithm);
+  let received = 0;
+  const meter = new Transform({
+    transform(chunk, _encoding, callback) {
+      received += chunk.length;
+      if (received > MAX_PLUGIN_BYTES) {
+        callback(new Error("ファイルサイズが上限(100MB)を超えています。"));
+        return;
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+  await pipeline(Readable.fromWeb(response.body), meter, createWriteStream(destinationPath));
+
+  const actual = hash.digest("hex");
+  if (actual !== String(hashes[algorithm]).toLowerCase()) {
+    throw new Error(`${algorithm} が一致しません（期待値 ${hashes[algorithm]}、実際 ${actual}）。`);
+  }
+  return { algorithm, hash: actual, sizeBytes: received };
+}
+
+export class PluginManager {
+  constructor({ manager, repository = "modrinth", repositoryUrl = "" }) {
+    const provider = PLUGIN_REPOSITORIES[repository];
+    if (!provider) {
+      throw new Error(
+        `Unknown plugin repository "${repository}" (${Object.keys(PLUGIN_REPOSITORIES).join(", ")}).`,
+      );
+    }
+    this.manager = manager;
+    this.repositoryName = repository;
+    this.provider = provider;
+    this.repositoryUrl = (repositoryUrl || provider.defaultUrl).replace(/\/+$/, "");
+  }
+
+  async resolveDirectories(serverName) {
+    const managed = await this.manager.resolveManagedServer(serverName);
+    if (!managed) {
+      throw new Error(`Server "${serverName}" is not managed.`);
+    }
+
+    const { config } = managed;
+    const pluginsDir = path.join(config.serverPath, "plugins");
+    const hasPluginsDir = await fs
+      .stat(pluginsDir)
+      .then((stat) => stat.isDirectory())
+      .catch(() => false);
+    if (!PLUGIN_FORKS.has(config.fork) && !hasPluginsDir) {
+      throw new Error(
+        `\`${serverName}\` (${config.fork}) はプラグインに対応していません（paper / purpur のみ）。`,
+      );
+    }
+    return {
+      config,
+      pluginsDir,
+      disabledDir: path.join(pluginsDir, DISABLED_DIR_NAME),
+    };
+  }
+
+  async list(serverName) {
+    const { pluginsDir, disabledDir } = await this.resolveDirectories(serverName);
+    const plugins = [];
+    for (const [directory, enabled] of [
+      [pluginsDir, true],
+      [disabledDir, false],
+    ]) {
+      const files = await fs.readdir(directory).catch(() => []);
+      for (const fileName of files.filter((file) => file.endsWith(".jar")).sort()) {
+        const jarPath = path.join(directory, fileName);
+        try {
+          plugins.push({ ...(await readPluginDescriptor(jarPath)), enabled, jarPath });
+        } catch (error) {
+          plugins.push({ fileName, name: fileName, enabled, jarPath, error: error.message });
+        }
+      }
+    }
+    return plugins;
+  }
+
+  async findPlugin(serverName, query) {
+    const normalized = String(query || "").trim().toLowerCase();
+    const plugins = await this.list(serverName);
+    const plugin = plugins.find(
+      (item) =>
+        item.name.toLowerCase() === normalized || item.fileName.toLowerCase() === normalized,
+    );
+    if (!plugin) {
+      throw new Error(`プラグインが見つかりません: ${query}`);
+    }
+    return plugin;
+  }
+
+  async install(serverName, source) {
+    const { pluginsDir, config } = await this.resolveDirectories(serverName);
+    let download;
+    if (source.type === "attachment") {
+      if (source.sizeBytes > MAX_PLUGIN_BYTES) {
+        throw new Error("ファイルサイズが上限(100MB)を超えています。");
+      }
+      download = {
+        fileName: source.fileName,
+        url: source.url,
+        version: null,
+        hashes: { sha256: source.sha256 },
+      };
+    } else {
+      download = await this.provider.resolve(this.repositoryUrl, {
+        project: source.project,
+        version: source.version || null,
+        gameVersion: config.version !== "unknown" ? config.version : null,
+        loader: config.fork === "purpur" ? "purpur" : "paper",
+      });
+      if (!download) {
+        throw new Error(
+          `${this.repositoryName} に \`${source.project}\`${source.version ? ` ${source.version}` : ""} の対応バージョンが見つかりません。`,
+        );
+      }
+    }
+
+    const fileName = path.basename(String(download.fileName || ""));
+    if (!JAR_FILE_PATTERN.test(fileName)) {
+      throw new Error(`プラグインのファイル名が不正です（.jar のみ）: ${download.fileName}`);
+    }
+
+    await fs.mkdir(pluginsDir, { recursive: true });
+    const tempPath = path.join(pluginsDir, `.${fileName}.download`);
+    let plugin;
+    let verification;
+    try {
+      verification = await downloadVerified(download.url, tempPath, download.hashes);
+      plugin = await readPluginDescriptor(tempPath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    const existing = (await this.list(serverName)).filter(
+      (item) => item.name.toLowerCase() === plugin.name.toLowerCase(),
+    );
+    const targetPath = path.join(pluginsDir, fileName);
+    await fs.rename(tempPath, targetPath);
+    for (const item of existing) {
+      if (item.jarPath !== targetPath) {
+        await fs.rm(item.jarPath, { force: true });
+      }
+    }
+
+    return {
+      ...plugin,
+      fileName,
+      replaced: existing.map((item) => `${item.fileName} (${item.version || "?"})`),
+      verification,
+      restartRequired: this.manager.running.has(serverName),
+    };
+  }
+
+  async remove(serverName, query) {
+    const plugin = await this.findPlugin(serverName, query);
+    await fs.rm(plugin.jarPath);
+    return { ...plugin, restartRequired: this.manager.running.has(serverName) };
+  }
+
+  async setEnabled(serverName, query, enabled) {
+    const { pluginsDir, disabledDir } = await this.resolveDirectories(serverName);
+    const plugin = await this.findPlugin(serverName, query);
+    if (plugin.enabled === enabled) {
+      return { ...plugin, changed: false, restartRequired: false };
+    }
+
+    const targetDir = enabled ? pluginsDir : disabledDir;
+    await fs.mkdir(targetDir, { recursive: true });
+    await fs.rename(plugin.jarPath, path.join(targetDir, plugin.fileName));
+    return {
+      ...plugin,
+      enabled,
+      changed: true,
+      restartRequired: this.manager.running.has(serverName),
+    };
+  }
+}
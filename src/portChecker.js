@@ -0,0 +1,53 @@
+import dgram from "node:dgram";
+import net from "node:net";
+
+const BIND_TIMEOUT_MS = 2000;
+
+function bindTcp(port, host) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    const timer = setTimeout(() => {
+      server.close();
+      resolve(false);
+    }, BIND_TIMEOUT_MS);
+    server.once("error", () => {
+      clearTimeout(timer);
+      resolve(false);
+    });
+    server.listen({ port, host: host || undefined, exclusive: true }, () => {
+      clearTimeout(timer);
+      server.close(() => resolve(true));
+    });
+  });
+}
+
+function bindUdp(port, host) {
+  return new Promise((resolve) => {
+    const socket = dgram.createSocket({ type: net.isIPv6(host || "") ? "udp6" : "udp4" });
+    const timer = setTimeout(() => {
+      socket.close();
+      resolve(false);
+    }, BIND_TIMEOUT_MS);
+    socket.once("error", () => {
+      clearTimeout(timer);
+      socket.close();
+      resolve(false);
+    });
+    socket.bind({ port, address: host || undefined, exclusive: true }, () => {
+      clearTimeout(timer);
+      socket.close(() => resolve(true));
+    });
+  });
+}
+
+/**
+ * Tries to bind the port on this host the way the Minecraft server would and
+ * reports whether that succeeded. `host` is server-ip (empty for all).
+ */
+export async function isPortFree(port, { protocol = "tcp", host = "" } = {}) {
+  return protocol === "udp" ? bindUdp(port, host) : bindTcp(port, host);
+}
+
+export function formatPortUse(use) {
+  return `${use.port}/${use.protocol} (${use.purpose})`;
+}
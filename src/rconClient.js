@@ -0,0 +1,155 @@
+import net from "node:net";
+
+const PACKET_TYPE_COMMAND = 2;
+const PACKET_TYPE_AUTH = 3;
+const AUTH_FAILURE_ID = -1;
+const MAX_COMMAND_BYTES = 1446;
+
+function encodePacket(id, type, body) {
+  const bodyBuffer = Buffer.from(String(body), "utf8");
+  const packet = Buffer.alloc(14 + bodyBuffer.length);
+  packet.writeInt32LE(10 + bodyBuffer.length, 0);
+  packet.writeInt32LE(id, 4);
+  packet.writeInt32LE(type, 8);
+  bodyBuffer.copy(packet, 12);
+  return packet;
+}
+
+export class RconClient {
+  constructor({ host = "127.0.0.1", port, password, timeoutMs = 5000 }) {
+    this.host = host;
+    this.port = port;
+    this.password = String(password || "");
+    this.timeoutMs = timeoutMs;
+    this.socket = null;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.buffer = Buffer.alloc(0);
+  }
+
+  async connect() {
+    if (this.socket) {
+      return;
+    }
+    if (!this.password) {
+      throw new Error("RCON password is not configured.");
+    }
+
+    const socket = net.createConnection({ host: this.host, port: this.port });
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error(`RCON connection to ${this.host}:${this.port} timed out.`));
+      }, this.timeoutMs);
+      socket.once("connect", () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      socket.once("error", (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+
+    this.socket = socket;
+    socket.on("data", (chunk) => this.handleData(chunk));
+    socket.on("error", (error) => this.rejectAll(error));
+    socket.on("close", () => {
+      this.socket = null;
+      this.rejectAll(new Error("RCON connection closed."));
+    });
+
+    try {
+      await this.send(PACKET_TYPE_AUTH, this.password);
+    } catch (error) {
+      this.close();
+      throw error;
+    }
+  }
+
+  async command(command) {
+    if (Buffer.byteLength(command, "utf8") > MAX_COMMAND_BYTES) {
+      throw new Error(`RCON command must be ${MAX_COMMAND_BYTES} bytes or less.`);
+    }
+    await this.connect();
+    const response = await this.send(PACKET_TYPE_COMMAND, command);
+    return response.body;
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+
+  send(type, body) {
+    if (!this.socket) {
+      return Promise.reject(new Error("RCON is not connected."));
+    }
+
+    const id = this.nextId;
+    this.nextId = this.nextId >= 0x7fffffff ? 1 : this.nextId + 1;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error("RCON request timed out."));
+      }, this.timeoutMs);
+      this.pending.set(id, { type, resolve, reject, timer });
+      this.socket.write(encodePacket(id, type, body));
+    });
+  }
+
+  handleData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length >= 4) {
+      const length = this.buffer.readInt32LE(0);
+      if (this.buffer.length < 4 + length) {
+        return;
+      }
+
+      const id = this.buffer.readInt32LE(4);
+      const type = this.buffer.readInt32LE(8);
+      const body = this.buffer.toString("utf8", 12, 4 + length - 2);
+      this.buffer = this.buffer.subarray(4 + length);
+
+      if (id === AUTH_FAILURE_ID) {
+        for (const [pendingId, entry] of this.pending) {
+          if (entry.type === PACKET_TYPE_AUTH) {
+            clearTimeout(entry.timer);
+            this.pending.delete(pendingId);
+            entry.reject(new Error("RCON authentication failed."));
+          }
+        }
+        continue;
+      }
+
+      const entry = this.pending.get(id);
+      if (!entry) {
+        continue;
+      }
+      clearTimeout(entry.timer);
+      this.pending.delete(id);
+      entry.resolve({ id, type, body });
+    }
+  }
+
+  rejectAll(error) {
+    for (const entry of this.pending.values()) {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    }
+    this.pending.clear();
+  }
+}
+
+export async function sendRconCommand(options, command) {
+  const client = new RconClient(options);
+  try {
+    return await client.command(command);
+  } finally {
+    client.close();
+  }
+}
@@ -0,0 +1,274 @@
+import { EventEmitter } from "node:events";
+import fs from "node:fs/promises";
+import { RconClient } from "./rconClient.js";
+
+// USER_HZ: the unit of the tick counters in /proc/<pid>/stat. Linux exposes
+// 100 to user space on every common architecture.
+const CLOCK_TICKS_PER_SECOND = 100;
+const TPS_FORKS = new Set(["paper", "purpur"]);
+const TPS_RCON_TIMEOUT_MS = 2000;
+const SPARK_CHARS = "▁▂▃▄▅▆▇█";
+export const STAT_METRICS = ["cpuPercent", "rssBytes", "threads", "tps", "mspt"];
+
+async function readProcessCounters(pid) {
+  const [stat, status, uptime] = await Promise.all([
+    fs.readFile(`/proc/${pid}/stat`, "utf8"),
+    fs.readFile(`/proc/${pid}/status`, "utf8"),
+    fs.readFile("/proc/uptime", "utf8"),
+  ]);
+  // The command name in field 2 may contain spaces, so count from its ")".
+  // fields[0] is field 3 (state); utime/stime are 14/15, num_threads 20, starttime 22.
+  const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+  const rssKb = Number(/^VmRSS:\s+(\d+)\s+kB/m.exec(status)?.[1]);
+  const startSeconds = Number(fields[19]) / CLOCK_TICKS_PER_SECOND;
+  return {
+    cpuTicks: Number(fields[11]) + Number(fields[12]),
+    threads: Number(fields[17]),
+    rssBytes: Number.isFinite(rssKb) ? rssKb * 1024 : null,
+    uptimeSeconds: Math.max(0, Math.round(Number(uptime.split(" ")[0]) - startSeconds)),
+  };
+}
+
+function stripFormatting(line) {
+  return String(line).replace(/§[0-9a-fk-or]/gi, "");
+}
+
+/**
+ * Reads the 1-minute TPS from Paper's `tps` output, e.g.
+ * `TPS from last 1m, 5m, 15m: 19.98, *20.0, *20.0`.
+ */
+export function parseTpsOutput(lines) {
+  for (const line of lines.map(stripFormatting)) {
+    const match = /TPS from last [^:]*:\s*\*?(\d+(?:\.\d+)?)/i.exec(line);
+    if (match) {
+      return Number(match[1]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the 5-second average from Paper's `mspt` output, whose line after the
+ * "Server tick times (avg/min/max)" header looks like `◴ 2.1/1.0/5.3, ...`.
+ */
+export function parseMsptOutput(lines) {
+  const cleaned = lines.map(stripFormatting);
+  const header = cleaned.findIndex((line) => /tick times/i.test(line));
+  if (header === -1) {
+    return null;
+  }
+  for (const line of cleaned.slice(header + 1)) {
+    const match = /(\d+(?:\.\d+)?)\/\d+(?:\.\d+)?\/\d+(?:\.\d+)?/.exec(line);
+    if (match) {
+      return Number(match[1]);
+    }
+  }
+  return null;
+}
+
+export function summarizeValues(values) {
+  const present = values.filter((value) => Number.isFinite(value));
+  if (present.length === 0) {
+    return null;
+  }
+  return {
+    min: Math.min(...present),
+    avg: present.reduce((sum, value) => sum + value, 0) / present.length,
+    max: Math.max(...present),
+  };
+}
+
+/**
+ * Renders samples as a fixed-width sparkline. Samples are averaged into
+ * `width` buckets across `[from, to]`; buckets without data are blank.
+ */
+export function renderSparkline(samples, metric, { from, to, width = 30 }) {
+  const span = Math.max(1, to - from);
+  const buckets = Array.from({ length: width }, () => []);
+  for (const sample of samples) {
+    const value = sample[metric];
+    if (!Number.isFinite(value)) {
+      continue;
+    }
+    const index = Math.min(width - 1, Math.floor(((sample.at - from) / span) * width));
+    if (index >= 0) {
+      buckets[index].push(value);
+    }
+  }
+
+  const averages = buckets.map((bucket) =>
+    bucket.length > 0 ? bucket.reduce((sum, value) => sum + value, 0) / bucket.length : null,
+  );
+  const range = summarizeValues(averages);
+  if (!range) {
+    return " ".repeat(width);
+  }
+  const scale = range.max - range.min;
+  return averages
+    .map((value) => {
+      if (value == null) {
+        return " ";
+      }
+      const level =
+        scale === 0 ? 0 : Math.round(((value - range.min) / scale) * (SPARK_CHARS.length - 1));
+      return SPARK_CHARS[level];
+    })
+    .join("");
+}
+
+/**
+ * Samples CPU, memory, threads and uptime of each running server process from
+ * /proc (Linux only), optionally with TPS/MSPT from Paper's commands over RCON,
+ * and keeps the last `windowMinutes` of samples in memory.
+ */
+export class ResourceMonitor extends EventEmitter {
+  constructor({ manager, intervalSeconds = 30, windowMinutes = 60, collectTps = false }) {
+    super();
+    this.manager = manager;
+    this.intervalMs = Math.max(0, Number(intervalSeconds) || 0) * 1000;
+    this.windowMs = windowMinutes * 60 * 1000;
+    this.collectTps = collectTps;
+    this.series = new Map();
+    this.previous = new Map();
+    this.timer = null;
+    this.sampling = false;
+  }
+
+  start() {
+    if (this.intervalMs === 0 || this.timer || process.platform !== "linux") {
+      return;
+    }
+    this.timer = setInterval(async () => {
+      if (this.sampling) {
+        return;
+      }
+      this.sampling = true;
+      try {
+        await this.sampleAll();
+      } catch (error) {
+        this.emit("sampleFailed", { error });
+      } finally {
+        this.sampling = false;
+      }
+    }, this.intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async sampleAll() {
+    const at = Date.now();
+    for (const [name, state] of this.manager.running) {
+      const sample = await this.sampleServer(name, state, at).catch(() => null);
+      if (!sample) {
+        continue;
+      }
+      const samples = this.series.get(name) || [];
+      samples.push(sample);
+      this.series.set(name, samples);
+      this.emit("sample", { name, sample });
+    }
+
+    for (const [name, samples] of this.series) {
+      const kept = samples.filter((sample) => at - sample.at <= this.windowMs);
+      if (kept.length === 0) {
+        this.series.delete(name);
+        this.previous.delete(name);
+      } else {
+        this.series.set(name, kept);
+      }
+    }
+  }
+
+  async sampleServer(name, state, at) {
+    if (!state?.pid) {
+      return null;
+    }
+    const counters = await readProcessCounters(state.pid);
+
+    // CPU% needs two readings of the same process; a new pid starts over.
+    const previous = this.previous.get(name);
+    this.previous.set(name, { pid: state.pid, at, cpuTicks: counters.cpuTicks });
+    let cpuPercent = null;
+    if (previous?.pid === state.pid && at > previous.at) {
+      const cpuSeconds = (counters.cpuTicks - previous.cpuTicks) / CLOCK_TICKS_PER_SECOND;
+      cpuPercent = (cpuSeconds / ((at - previous.at) / 1000)) * 100;
+    }
+
+    const sample = {
+      at,
+      pid: state.pid,
+      cpuPercent: cpuPercent == null ? null : Math.max(0, Math.round(cpuPercent * 10) / 10),
+      rssBytes: counters.rssBytes,
+      threads: counters.threads,
+      uptimeSeconds: counters.uptimeSeconds,
+      tps: null,
+      mspt: null,
+    };
+    if (this.collectTps) {
+      Object.assign(sample, await this.readTickStats(name));
+    }
+    return sample;
+  }
+
+  async readTickStats(name) {
+    if (this.manager.getLifecycleState(name) !== "running") {
+      return {};
+    }
+    const config = await this.manager.readServerConfig(name).catch(() => null);
+    if (!TPS_FORKS.has(config?.fork)) {
+      return {};
+    }
+    // RCON only: written to stdin, the commands and their output would show
+    // up in the console log, `/mc-exec` captures and console relays.
+    const rcon = await this.manager.getRconSettings(config).catch(() => null);
+    if (!rcon) {
+      return {};
+    }
+    const client = new RconClient({ ...rcon, timeoutMs: TPS_RCON_TIMEOUT_MS });
+    const read = async (command, parse) => {
+      try {
+        return parse((await client.command(command)).split(/\r?\n/));
+      } catch {
+        return null;
+      }
+    };
+    try {
+      return {
+        tps: await read("tps", parseTpsOutput),
+        mspt: await read("mspt", parseMsptOutput),
+      };
+    } finally {
+      client.close();
+    }
+  }
+
+  /**
+   * Returns the latest sample and min/avg/max per metric over the window,
+   * or null when nothing has been sampled for the server.
+   */
+  getStats(name) {
+    const since = Date.now() - this.windowMs;
+    const samples = (this.series.get(name) || []).filter((sample) => sample.at >= since);
+    if (samples.length === 0) {
+      return null;
+    }
+    return {
+      name,
+      running: this.manager.running.get(name)?.pid === samples.at(-1).pid,
+      current: samples.at(-1),
+      summary: Object.fromEntries(
+        STAT_METRICS.map((metric) => [
+          metric,
+          summarizeValues(samples.map((sample) => sample[metric])),
+        ]),
+      ),
+      samples,
+      from: since,
+      to: Date.now(),
+    };
+  }
+}
@@ -0,0 +1,332 @@
+import { randomBytes } from "node:crypto";
+import { EventEmitter } from "node:events";
+import { findDeniedCommand } from "./minecraftManager.js";
+
+const SCHEDULE_ACTIONS = new Set(["restart", "stop", "start", "command", "backup"]);
+const DEFAULT_WARNING_SECONDS = 60;
+const MAX_SCHEDULES_PER_SERVER = 25;
+const CRON_MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day-of-month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day-of-week", min: 0, max: 7 },
+];
+// Look ahead five years so that "29 Feb" style expressions still resolve
+// while impossible ones ("31 Feb") terminate.
+const MAX_LOOKAHEAD_MINUTES = 60 * 24 * 366 * 5;
+const MAX_CATCH_UP_MINUTES = 5;
+
+function parseCronField(source, { name, min, max }) {
+  const values = new Set();
+  for (const part of source.split(",")) {
+    const match = /^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`cron の ${name} が不正です: ${part}`);
+    }
+
+    const start = match[1] === "*" ? min : Number(match[1]);
+    const end =
+      match[2] != null
+        ? Number(match[2])
+        : match[1] === "*" || match[3] != null
+          ? max
+          : start;
+    const step = match[3] != null ? Number(match[3]) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(
+        `cron の ${name} は ${min}-${max} の範囲で指定してください: ${part}`,
+      );
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+export function parseCronExpression(expression) {
+  const normalized = String(expression || "").trim().toLowerCase();
+  const fields = (CRON_MACROS[normalized] || normalized).split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(
+      "cron は「分 時 日 月 曜日」の5項目で指定してください（例: 0 4 * * *）。",
+    );
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) =>
+    parseCronField(field, CRON_FIELDS[index]),
+  );
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === "*",
+    anyWeekday: fields[4] === "*",
+  };
+}
+
+function matchesCron(cron, date) {
+  if (
+    !cron.minutes.has(date.getMinutes()) ||
+    !cron.hours.has(date.getHours()) ||
+    !cron.months.has(date.getMonth() + 1)
+  ) {
+    return false;
+  }
+
+  // Standard cron semantics: when both day fields are restricted, either may match.
+  const dayMatches = cron.days.has(date.getDate());
+  const weekdayMatches = cron.weekdays.has(date.getDay());
+  if (cron.anyDay || cron.anyWeekday) {
+    return dayMatches && weekdayMatches;
+  }
+  return dayMatches || weekdayMatches;
+}
+
+export function getNextCronRun(cron, from = new Date()) {
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+  for (let step = 0; step < MAX_LOOKAHEAD_MINUTES; step += 1) {
+    candidate.setMinutes(candidate.getMinutes() + 1);
+    if (matchesCron(cron, candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+function normalizeSchedule(input) {
+  const action = String(input.action || "").trim();
+  if (!SCHEDULE_ACTIONS.has(action)) {
+    throw new Error(
+      "action は restart / stop / start / command / backup のいずれかです。",
+    );
+  }
+
+  const cron = String(input.cron || "").trim();
+  const parsed = parseCronExpression(cron);
+  if (!getNextCronRun(parsed)) {
+    throw new Error(`この cron は実行される日時がありません: ${cron}`);
+  }
+
+  const schedule = { id: input.id, cron, action };
+  if (action === "command") {
+    const command = String(input.command || "").trim().replace(/^\/+/, "");
+    if (!command) {
+      throw new Error("action が command の場合は command を指定してください。");
+    }
+    schedule.command = command;
+    // The exec deny list applies when it runs unless an admin added it
+    // (schedules saved before this flag existed count as restricted).
+    schedule.restricted = input.restricted !== false;
+  }
+  if (action === "restart" || action === "stop") {
+    schedule.delaySeconds = Number.isInteger(input.delaySeconds)
+      ? input.delaySeconds
+      : DEFAULT_WARNING_SECONDS;
+    schedule.message = String(input.message || "").trim();
+  }
+  schedule.createdAt = input.createdAt || new Date().toISOString();
+  return schedule;
+}
+
+export class Scheduler extends EventEmitter {
+  constructor({ manager, backupManager, denyList = [] }) {
+    super();
+    this.manager = manager;
+    this.backupManager = backupManager;
+    this.denyList = denyList;
+    this.schedules = new Map();
+    this.active = new Set();
+    this.timer = null;
+    this.lastTick = null;
+  }
+
+  async restore() {
+    const serverNames = await this.manager.listServers();
+    for (const serverName of serverNames) {
+      const config = await this.manager.readServerConfig(serverName);
+      for (const schedule of config?.schedules || []) {
+        try {
+          this.addEntry(serverName, normalizeSchedule(schedule));
+        } catch (error) {
+          // eslint-disable-next-line no-console
+          console.error(
+            `Skipping schedule ${schedule.id} of ${serverName}: ${error.message}`,
+          );
+        }
+      }
+    }
+    this.start();
+    return this.schedules.size;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.lastTick = Math.floor(Date.now() / 60000);
+    this.armTimer();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  armTimer() {
+    // Re-arm every minute from the wall clock so timer drift never skips a slot.
+    const delayMs = 60000 - (Date.now() % 60000) + 50;
+    this.timer = setTimeout(() => {
+      this.tick();
+      this.armTimer();
+    }, delayMs);
+  }
+
+  tick() {
+    const currentMinute = Math.floor(Date.now() / 60000);
+    // Catch up on slots missed while the event loop was blocked, but do not
+    // replay hours of schedules after the host wakes from sleep.
+    const firstMinute = Math.max(this.lastTick + 1, currentMinute - MAX_CATCH_UP_MINUTES);
+    for (let minute = firstMinute; minute <= currentMinute; minute += 1) {
+      const date = new Date(minute * 60000);
+      for (const entry of this.schedules.values()) {
+        if (matchesCron(entry.parsed, date)) {
+          this.run(entry);
+        }
+      }
+    }
+    this.lastTick = currentMinute;
+  }
+
+  addEntry(serverName, schedule) {
+    this.schedules.set(`${serverName}:${schedule.id}`, {
+      serverName,
+      schedule,
+      parsed: parseCronExpression(schedule.cron),
+    });
+  }
+
+  async add(serverName, input, { isAdmin = false } = {}) {
+    const schedule = normalizeSchedule({
+      ...input,
+      restricted: !isAdmin,
+      id: randomBytes(3).toString("hex"),
+    });
+    const denied =
+      schedule.action === "command" && schedule.restricted
+        ? findDeniedCommand(schedule.command, this.denyList)
+        : null;
+    if (denied) {
+      throw new Error(`コマンド ${denied} は管理者のみスケジュールできます。`);
+    }
+
+    const config = await this.manager.updateServerConfig(serverName, (raw) => {
+      const current = raw.schedules || [];
+      if (current.length >= MAX_SCHEDULES_PER_SERVER) {
+        throw new Error(
+          `スケジュールは1サーバーあたり${MAX_SCHEDULES_PER_SERVER}件までです。`,
+        );
+      }
+      raw.schedules = [...current, schedule];
+    });
+
+    this.addEntry(config.name, schedule);
+    this.start();
+    return { serverName: config.name, ...this.describe(schedule) };
+  }
+
+  async remove(serverName, id, { isAdmin = false } = {}) {
+    let removed = false;
+    const config = await this.manager.updateServerConfig(serverName, (raw) => {
+      const current = raw.schedules || [];
+      // Otherwise a non-admin could drop an admin's command and re-add it restricted.
+      const target = current.find((item) => item.id === id);
+      if (!isAdmin && target?.action === "command" && target.restricted === false) {
+        throw new Error("管理者が登録したコマンドのスケジュールは管理者のみ削除できます。");
+      }
+      raw.schedules = current.filter((item) => item.id !== id);
+      removed = raw.schedules.length !== current.length;
+    });
+
+    this.schedules.delete(`${config.name}:${id}`);
+    return removed;
+  }
+
+  list(serverName) {
+    return [...this.schedules.values()]
+      .filter((entry) => entry.serverName === serverName)
+      .map((entry) => this.describe(entry.schedule, entry.parsed));
+  }
+
+  describe(schedule, parsed = parseCronExpression(schedule.cron)) {
+    return {
+      ...schedule,
+      nextRunAt: getNextCronRun(parsed)?.toISOString() || null,
+    };
+  }
+
+  async run(entry) {
+    const key = `${entry.serverName}:${entry.schedule.id}`;
+    if (this.active.has(key)) {
+      return;
+    }
+    this.active.add(key);
+
+    const { serverName, schedule } = entry;
+    try {
+      const result = await this.execute(serverName, schedule);
+      this.emit("scheduleRun", { name: serverName, schedule, result });
+    } catch (error) {
+      this.emit("scheduleFailed", { name: serverName, schedule, error });
+    } finally {
+      this.active.delete(key);
+    }
+  }
+
+  async execute(serverName, schedule) {
+    if (schedule.action === "restart") {
+      // A scheduled restart must not bring up a server someone stopped.
+      if (!this.manager.running.has(serverName)) {
+        return { name: serverName, skipped: true };
+      }
+      return this.manager.restartServer(serverName, {
+        delaySeconds: schedule.delaySeconds,
+        message: schedule.message,
+      });
+    }
+    if (schedule.action === "stop") {
+      return this.manager.stopServer(serverName, {
+        delaySeconds: schedule.delaySeconds,
+        message: schedule.message,
+      });
+    }
+    if (schedule.action === "start") {
+      if (this.manager.running.has(serverName)) {
+        return { name: serverName, skipped: true };
+      }
+      return this.manager.startServer(serverName);
+    }
+    if (schedule.action === "backup") {
+      return this.backupManager.createBackup(serverName, { reason: "scheduled" });
+    }
+    return this.manager.executeCommand(serverName, schedule.command, {
+      denyList: schedule.restricted ? this.denyList : [],
+    });
+  }
+}
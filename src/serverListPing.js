@@ -0,0 +1,181 @@
+import net from "node:net";
+
+const HANDSHAKE_PROTOCOL_VERSION = -1;
+const NEXT_STATE_STATUS = 1;
+const PACKET_ID_STATUS = 0x00;
+const PACKET_ID_PING = 0x01;
+const MAX_PACKET_BYTES = 2 * 1024 * 1024;
+
+function encodeVarInt(value) {
+  const bytes = [];
+  let remaining = value >>> 0;
+  do {
+    let byte = remaining & 0x7f;
+    remaining >>>= 7;
+    if (remaining !== 0) {
+      byte |= 0x80;
+    }
+    bytes.push(byte);
+  } while (remaining !== 0);
+  return Buffer.from(bytes);
+}
+
+function readVarInt(buffer, offset) {
+  let value = 0;
+  let position = offset;
+  for (let shift = 0; shift < 35; shift += 7) {
+    if (position >= buffer.length) {
+      return null;
+    }
+    const byte = buffer[position];
+    position += 1;
+    value |= (byte & 0x7f) << shift;
+    if ((byte & 0x80) === 0) {
+      return { value, size: position - offset };
+    }
+  }
+  throw new Error("VarInt is too long.");
+}
+
+function encodeString(value) {
+  const bytes = Buffer.from(String(value), "utf8");
+  return Buffer.concat([encodeVarInt(bytes.length), bytes]);
+}
+
+function encodePacket(packetId, ...fields) {
+  const body = Buffer.concat([encodeVarInt(packetId), ...fields]);
+  return Buffer.concat([encodeVarInt(body.length), body]);
+}
+
+function flattenChatComponent(component) {
+  if (component == null) {
+    return "";
+  }
+  if (typeof component === "string") {
+    return component;
+  }
+  if (Array.isArray(component)) {
+    return component.map(flattenChatComponent).join("");
+  }
+  return [
+    component.text || "",
+    ...(Array.isArray(component.extra) ? component.extra : []).map(
+      flattenChatComponent,
+    ),
+  ].join("");
+}
+
+function stripFormattingCodes(text) {
+  return String(text || "").replace(/§[0-9a-fk-orx]/gi, "");
+}
+
+function normalizeStatusResponse(raw, latencyMs) {
+  const sample = Array.isArray(raw?.players?.sample) ? raw.players.sample : [];
+  return {
+    version: stripFormattingCodes(raw?.version?.name || "unknown"),
+    protocol: Number.isInteger(raw?.version?.protocol) ? raw.version.protocol : null,
+    online: Number.isInteger(raw?.players?.online) ? raw.players.online : 0,
+    max: Number.isInteger(raw?.players?.max) ? raw.players.max : 0,
+    sample: sample
+      .map((player) => stripFormattingCodes(player?.name))
+      .filter(Boolean),
+    motd: stripFormattingCodes(flattenChatComponent(raw?.description)).trim(),
+    latencyMs,
+  };
+}
+
+export function pingServer({ host = "127.0.0.1", port, timeoutMs = 3000 }) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let buffer = Buffer.alloc(0);
+    let statusJson = null;
+    let pingSentAt = 0;
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    const timer = setTimeout(() => {
+      finish(new Error(`Server list ping to ${host}:${port} timed out.`));
+    }, timeoutMs);
+
+    socket.once("error", (error) => finish(error));
+    socket.once("close", () => {
+      if (statusJson) {
+        finish(null, normalizeStatusResponse(statusJson, null));
+        return;
+      }
+      finish(new Error(`Server list ping to ${host}:${port} closed early.`));
+    });
+
+    socket.once("connect", () => {
+      const portBuffer = Buffer.alloc(2);
+      portBuffer.writeUInt16BE(port, 0);
+      socket.write(
+        encodePacket(
+          PACKET_ID_STATUS,
+          encodeVarInt(HANDSHAKE_PROTOCOL_VERSION),
+          encodeString(host),
+          portBuffer,
+          encodeVarInt(NEXT_STATE_STATUS),
+        ),
+      );
+      socket.write(encodePacket(PACKET_ID_STATUS));
+    });
+
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      try {
+        while (buffer.length > 0) {
+          const length = readVarInt(buffer, 0);
+          if (!length) {
+            return;
+          }
+          if (length.value > MAX_PACKET_BYTES) {
+            throw new Error("Server list ping response is too large.");
+          }
+          if (buffer.length < length.size + length.value) {
+            return;
+          }
+
+          const packet = buffer.subarray(length.size, length.size + length.value);
+          buffer = buffer.subarray(length.size + length.value);
+          const packetId = readVarInt(packet, 0);
+
+          if (packetId.value === PACKET_ID_STATUS && !statusJson) {
+            const jsonLength = readVarInt(packet, packetId.size);
+            const jsonStart = packetId.size + jsonLength.size;
+            statusJson = JSON.parse(
+              packet.toString("utf8", jsonStart, jsonStart + jsonLength.value),
+            );
+
+            const payload = Buffer.alloc(8);
+            pingSentAt = Date.now();
+            payload.writeBigInt64BE(BigInt(pingSentAt), 0);
+            socket.write(encodePacket(PACKET_ID_PING, payload));
+            continue;
+          }
+
+          if (packetId.value === PACKET_ID_PING && statusJson) {
+            finish(null, normalizeStatusResponse(statusJson, Date.now() - pingSentAt));
+            return;
+          }
+        }
+      } catch (error) {
+        finish(error);
+      }
+    });
+  });
+}
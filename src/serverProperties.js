@@ -0,0 +1,275 @@
+const bool = (extra = {}) => ({ type: "boolean", ...extra });
+const int = (min, max, extra = {}) => ({ type: "integer", min, max, ...extra });
+const str = (extra = {}) => ({ type: "string", ...extra });
+const oneOf = (values, extra = {}) => ({ type: "enum", values, ...extra });
+
+// Keys the vanilla server understands. `live` is the console command that
+// applies the value without a restart, when one exists.
+export const PROPERTY_SCHEMA = {
+  "accepts-transfers": bool(),
+  "allow-flight": bool(),
+  "allow-nether": bool(),
+  "broadcast-console-to-ops": bool(),
+  "broadcast-rcon-to-ops": bool(),
+  difficulty: oneOf(["peaceful", "easy", "normal", "hard"], {
+    live: (value) => `difficulty ${value}`,
+  }),
+  "enable-command-block": bool(),
+  "enable-jmx-monitoring": bool(),
+  "enable-query": bool(),
+  "enable-rcon": bool(),
+  "enable-status": bool(),
+  "enforce-secure-profile": bool(),
+  "enforce-whitelist": bool(),
+  "entity-broadcast-range-percentage": int(10, 1000),
+  "force-gamemode": bool(),
+  "function-permission-level": int(1, 4),
+  gamemode: oneOf(["survival", "creative", "adventure", "spectator"]),
+  "generate-structures": bool(),
+  "generator-settings": str(),
+  hardcore: bool(),
+  "hide-online-players": bool(),
+  "initial-disabled-packs": str(),
+  "initial-enabled-packs": str(),
+  "level-name": str(),
+  "level-seed": str(),
+  "level-type": oneOf([
+    "minecraft:normal",
+    "minecraft:flat",
+    "minecraft:large_biomes",
+    "minecraft:amplified",
+    "minecraft:single_biome_surface",
+  ]),
+  "log-ips": bool(),
+  "max-chained-neighbor-updates": int(-1, 2147483647),
+  "max-players": int(0, 2147483647),
+  "max-tick-time": int(-1, 2147483647),
+  "max-world-size": int(1, 29999984),
+  motd: str(),
+  "network-compression-threshold": int(-1, 2147483647),
+  "online-mode": bool(),
+  "op-permission-level": int(0, 4),
+  "pause-when-empty-seconds": int(0, 2147483647),
+  "player-idle-timeout": int(0, 2147483647),
+  "prevent-proxy-connections": bool(),
+  pvp: bool(),
+  "query.port": int(1, 65535),
+  "rate-limit": int(0, 2147483647),
+  "rcon.password": str({ secret: true }),
+  "rcon.port": int(1, 65535),
+  "region-file-compression": oneOf(["deflate", "lz4", "none"]),
+  "require-resource-pack": bool(),
+  "resource-pack": str(),
+  "resource-pack-id": str(),
+  "resource-pack-prompt": str(),
+  "resource-pack-sha1": str(),
+  "server-ip": str(),
+  "server-port": int(1, 65535),
+  "simulation-distance": int(3, 32),
+  "spawn-animals": bool(),
+  "spawn-monsters": bool(),
+  "spawn-npcs": bool(),
+  "spawn-protection": int(0, 2147483647),
+  "sync-chunk-writes": bool(),
+  "text-filtering-config": str(),
+  "text-filtering-version": int(0, 1),
+  "use-native-transport": bool(),
+  "view-distance": int(3, 32),
+  "white-list": bool({ live: (value) => `whitelist ${value === "true" ? "on" : "off"}` }),
+};
+
+const PROPERTY_KEY_PATTERN = /^[a-zA-Z0-9_.-]{1,64}$/;
+
+export function validatePropertyValue(key, rawValue) {
+  if (!PROPERTY_KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid property key: ${key}`);
+  }
+
+  const value = String(rawValue ?? "");
+  if (/[\r\n]/.test(value)) {
+    throw new Error("Property values must be a single line.");
+  }
+
+  const schema = PROPERTY_SCHEMA[key];
+  if (!schema || schema.type === "string") {
+    return value;
+  }
+
+  const trimmed = value.trim();
+  if (schema.type === "boolean") {
+    const normalized = trimmed.toLowerCase();
+    if (normalized !== "true" && normalized !== "false") {
+      throw new Error(`${key} must be true or false.`);
+    }
+    return normalized;
+  }
+
+  if (schema.type === "integer") {
+    const parsed = Number(trimmed);
+    if (!/^-?\d+$/.test(trimmed) || parsed < schema.min || parsed > schema.max) {
+      throw new Error(
+        `${key} must be an integer between ${schema.min} and ${schema.max}.`,
+      );
+    }
+    return String(parsed);
+  }
+
+  const normalized = trimmed.toLowerCase();
+  if (!schema.values.includes(normalized)) {
+    throw new Error(`${key} must be one of: ${schema.values.join(", ")}.`);
+  }
+  return normalized;
+}
+
+function isLineContinued(line) {
+  let slashes = 0;
+  for (let index = line.length - 1; index >= 0 && line[index] === "\\"; index -= 1) {
+    slashes += 1;
+  }
+  return slashes % 2 === 1;
+}
+
+function unescapeProperty(text) {
+  let result = "";
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (char !== "\\" || index === text.length - 1) {
+      result += char;
+      continue;
+    }
+
+    index += 1;
+    const next = text[index];
+    if (next === "u" && /^[0-9a-fA-F]{4}$/.test(text.slice(index + 1, index + 5))) {
+      result += String.fromCharCode(Number.parseInt(text.slice(index + 1, index + 5), 16));
+      index += 4;
+    } else {
+      result += { t: "\t", n: "\n", r: "\r", f: "\f" }[next] ?? next;
+    }
+  }
+  return result;
+}
+
+function escapeProperty(text, { isKey = false } = {}) {
+  let result = "";
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    const code = char.charCodeAt(0);
+    if (char === " ") {
+      result += isKey || index === 0 ? "\\ " : " ";
+    } else if (char === "\\" || char === "=" || char === ":" || char === "#" || char === "!") {
+      result += `\\${char}`;
+    } else if (char === "\t" || char === "\n" || char === "\r" || char === "\f") {
+      result += { "\t": "\\t", "\n": "\\n", "\r": "\\r", "\f": "\\f" }[char];
+    } else if (code < 0x20 || code > 0x7e) {
+      // server.properties is read as ISO-8859-1, so anything else is \u-escaped.
+      result += `\\u${code.toString(16).padStart(4, "0")}`;
+    } else {
+      result += char;
+    }
+  }
+  return result;
+}
+
+function splitLogicalLine(logical) {
+  const text = logical.replace(/^[ \t\f]+/, "");
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+    if (char === "\\") {
+      index += 2;
+      continue;
+    }
+    if (char === "=" || char === ":" || char === " " || char === "\t" || char === "\f") {
+      break;
+    }
+    index += 1;
+  }
+
+  const rawKey = text.slice(0, index);
+  let rest = text.slice(index).replace(/^[ \t\f]+/, "");
+  if (rest.startsWith("=") || rest.startsWith(":")) {
+    rest = rest.slice(1).replace(/^[ \t\f]+/, "");
+  }
+  return { key: unescapeProperty(rawKey), value: unescapeProperty(rest) };
+}
+
+/**
+ * A `.properties` file that can be edited without losing comments, ordering,
+ * blank lines or the formatting of untouched entries.
+ */
+export class PropertiesDocument {
+  constructor(lines = [], newline = "\n") {
+    this.lines = lines;
+    this.newline = newline;
+  }
+
+  static parse(content) {
+    const text = String(content || "");
+    const newline = text.includes("\r\n") ? "\r\n" : "\n";
+    const physical = text.split(/\r?\n/);
+    if (physical.at(-1) === "") {
+      physical.pop();
+    }
+
+    const lines = [];
+    for (let index = 0; index < physical.length; index += 1) {
+      const first = physical[index];
+      const trimmed = first.replace(/^[ \t\f]+/, "");
+      if (!trimmed || trimmed.startsWith("#") || trimmed.startsWith("!")) {
+        lines.push({ raw: [first] });
+        continue;
+      }
+
+      const raw = [first];
+      let logical = first;
+      while (isLineContinued(logical) && index + 1 < physical.length) {
+        index += 1;
+        raw.push(physical[index]);
+        logical = logical.slice(0, -1) + physical[index].replace(/^[ \t\f]+/, "");
+      }
+      if (isLineContinued(logical)) {
+        logical = logical.slice(0, -1);
+      }
+      lines.push({ raw, ...splitLogicalLine(logical) });
+    }
+    return new PropertiesDocument(lines, newline);
+  }
+
+  has(key) {
+    return this.lines.some((line) => line.key === key);
+  }
+
+  get(key) {
+    // Java keeps the last occurrence when a key is repeated.
+    return this.lines.findLast((line) => line.key === key)?.value;
+  }
+
+  set(key, value) {
+    const raw = [`${escapeProperty(key, { isKey: true })}=${escapeProperty(String(value))}`];
+    const matches = this.lines.filter((line) => line.key === key);
+    if (matches.length === 0) {
+      this.lines.push({ raw, key, value: String(value) });
+      return;
+    }
+
+    const last = matches.at(-1);
+    last.raw = raw;
+    last.value = String(value);
+    this.lines = this.lines.filter((line) => line.key !== key || line === last);
+  }
+
+  entries() {
+    const result = new Map();
+    for (const line of this.lines) {
+      if (line.key !== undefined) {
+        result.set(line.key, line.value);
+      }
+    }
+    return [...result];
+  }
+
+  toString() {
+    return `${this.lines.flatMap((line) => line.raw).join(this.newline)}${this.newline}`;
+  }
+}
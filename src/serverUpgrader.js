@@ -0,0 +1,189 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { compareMcVersion } from "./minecraftManager.js";
+import { readZipEntries } from "./zipReader.js";
+
+const UPGRADABLE_FORKS = new Set(["vanilla", "paper", "purpur"]);
+const PREVIOUS_JAR_SUFFIX = ".previous";
+
+export function compareRelease(a, b) {
+  const byVersion = compareMcVersion(a.version, b.version);
+  if (byVersion !== 0) {
+    return byVersion;
+  }
+  const left = Number.parseInt(a.build, 10);
+  const right = Number.parseInt(b.build, 10);
+  return Number.isFinite(left) && Number.isFinite(right) ? left - right : 0;
+}
+
+export function formatRelease(release) {
+  return release.build ? `${release.version} (build ${release.build})` : release.version;
+}
+
+export class ServerUpgrader {
+  constructor({ manager, backupManager }) {
+    this.manager = manager;
+    this.backupManager = backupManager;
+  }
+
+  async resolveUpgradable(serverName) {
+    const managed = await this.manager.resolveManagedServer(serverName);
+    if (!managed) {
+      throw new Error(`Server "${serverName}" is not managed.`);
+    }
+
+    const { config } = managed;
+    if (!UPGRADABLE_FORKS.has(config.fork) || config.launch.type !== "jar") {
+      throw new Error(
+        `\`${config.name}\` (${config.fork}) はアップグレードに対応していません（vanilla / paper / purpur のみ。Fabric / Quilt / Forge / NeoForge などのModサーバーは更新できません）。`,
+      );
+    }
+    return config;
+  }
+
+  async checkForUpdate(serverName, versionInput = "latest") {
+    const config = await this.resolveUpgradable(serverName);
+    const target = await this.manager.resolveBuildForCreate({
+      fork: config.fork,
+      versionInput,
+    });
+    const current = { version: config.version, build: config.build };
+    return {
+      config,
+      current,
+      target,
+      known: config.version !== "unknown",
+      comparison: config.version === "unknown" ? null : compareRelease(target, current),
+    };
+  }
+
+  async upgrade(serverName, { version = "latest", force = false, requestedBy = null } = {}) {
+    const { config, current, target, known, comparison } = await this.checkForUpdate(
+      serverName,
+      version,
+    );
+    if (comparison === 0) {
+      return { serverName: config.name, changed: false, current };
+    }
+    if (!force && !known) {
+      throw new Error(
+        `\`${config.name}\` の現在のバージョンが不明なため、ダウングレードか判断できません。\`force\` を指定してください。`,
+      );
+    }
+    if (!force && comparison < 0) {
+      throw new Error(
+        `${formatRelease(current)} → ${formatRelease(target)} はダウングレードです。実行するには \`force\` を指定してください。`,
+      );
+    }
+
+    return this.manager.runExclusive(config.name, "upgrading", async () => {
+      const jarPath = path.join(config.serverPath, config.launch.jarFile);
+      const downloadPath = `${jarPath}.download`;
+      let backup = null;
+      try {
+        await this.manager.downloadFile(target.jarUrl, downloadPath, {
+          hashes: target.hashes,
+          label: `${config.fork} ${formatRelease(target)}`,
+        });
+        // Refuse anything that is not a readable jar before touching the live one.
+        await readZipEntries(downloadPath, []);
+
+        const { directories } = await this.manager.getWorldDirectories(config.name);
+        if (directories.length > 0) {
+          backup = await this.backupManager.createBackup(config.name, {
+            reason: "pre-upgrade",
+          });
+        }
+        await fs.copyFile(jarPath, `${jarPath}${PREVIOUS_JAR_SUFFIX}`);
+        await fs.rename(downloadPath, jarPath);
+      } catch (error) {
+        await fs.rm(downloadPath, { force: true });
+        throw error;
+      }
+
+      const javaMajorVersion =
+        target.javaMajorVersion ??
+        (await this.manager.resolveJavaMajorVersion(target.version));
+      await this.manager.updateServerConfig(config.name, (raw) => {
+        raw.version = target.version;
+        raw.build = target.build ?? null;
+        raw.javaMajorVersion = javaMajorVersion;
+        raw.previousRelease = {
+          version: current.version,
+          build: current.build ?? null,
+          javaMajorVersion: config.javaMajorVersion,
+          backupId: backup?.id || null,
+          replacedAt: new Date().toISOString(),
+        };
+      });
+      await this.manager.appendConfigHistory(config.name, {
+        type: "upgrade",
+        from: current,
+        to: { version: target.version, build: target.build ?? null },
+        forced: Boolean(force),
+        backupId: backup?.id || null,
+        requestedBy,
+      });
+
+      return {
+        serverName: config.name,
+        changed: true,
+        downgrade: comparison !== null && comparison < 0,
+        previous: current,
+        current: { version: target.version, build: target.build ?? null },
+        backupId: backup?.id || null,
+      };
+    });
+  }
+
+  async rollback(serverName, { requestedBy = null } = {}) {
+    const config = await this.resolveUpgradable(serverName);
+    const previous = config.previousRelease;
+    const jarPath = path.join(config.serverPath, config.launch.jarFile);
+    const previousJarPath = `${jarPath}${PREVIOUS_JAR_SUFFIX}`;
+    const hasPreviousJar = await fs.access(previousJarPath).then(
+      () => true,
+      () => false,
+    );
+    if (!previous || !hasPreviousJar) {
+      throw new Error(`\`${config.name}\` にはロールバックできる以前のjarがありません。`);
+    }
+
+    return this.manager.runExclusive(config.name, "rolling back", async () => {
+      // Swap the two jars so that a second rollback returns to the upgraded one.
+      const swapPath = `${jarPath}.swap`;
+      await fs.copyFile(jarPath, swapPath);
+      await fs.rename(previousJarPath, jarPath);
+      await fs.rename(swapPath, previousJarPath);
+
+      const replaced = { version: config.version, build: config.build };
+      const javaMajorVersion =
+        previous.javaMajorVersion ??
+        (await this.manager.resolveJavaMajorVersion(previous.version));
+      await this.manager.updateServerConfig(config.name, (raw) => {
+        raw.version = previous.version;
+        raw.build = previous.build ?? null;
+        raw.javaMajorVersion = javaMajorVersion;
+        raw.previousRelease = {
+          ...replaced,
+          javaMajorVersion: config.javaMajorVersion,
+          backupId: null,
+          replacedAt: new Date().toISOString(),
+        };
+      });
+      await this.manager.appendConfigHistory(config.name, {
+        type: "rollback",
+        from: replaced,
+        to: { version: previous.version, build: previous.build ?? null },
+        requestedBy,
+      });
+
+      return {
+        serverName: config.name,
+        previous: replaced,
+        current: { version: previous.version, build: previous.build ?? null },
+        backupId: previous.backupId || null,
+      };
+    });
+  }
+}
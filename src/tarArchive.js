@@ -0,0 +1,323 @@
+import { createReadStream, createWriteStream } from "node:fs";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { createGunzip, createGzip } from "node:zlib";
+
+const BLOCK_SIZE = 512;
+const MAX_USTAR_NAME_BYTES = 100;
+const WRITE_CHUNK_BYTES = 64 * 1024;
+
+function padToBlock(size) {
+  return (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+}
+
+function writeOctal(header, value, offset, length) {
+  header.write(
+    `${value.toString(8).padStart(length - 1, "0")}\0`,
+    offset,
+    length,
+    "ascii",
+  );
+}
+
+function buildHeader({ name, size, mode, mtimeMs, type }) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name, 0, MAX_USTAR_NAME_BYTES, "utf8");
+  writeOctal(header, mode & 0o7777, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtimeMs / 1000), 136, 12);
+  header.fill(" ", 148, 156);
+  header.write(type, 156, 1, "ascii");
+  header.write("ustar\0", 257, 6, "ascii");
+  header.write("00", 263, 2, "ascii");
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  header.write(`${checksum.toString(8).padStart(6, "0")}\0 `, 148, 8, "ascii");
+  return header;
+}
+
+function buildPaxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body) + 1;
+  while (String(length).length + Buffer.byteLength(body) !== length) {
+    length = String(length).length + Buffer.byteLength(body);
+  }
+  return Buffer.from(`${length}${body}`, "utf8");
+}
+
+function* buildEntryHeaders(entry) {
+  if (Buffer.byteLength(entry.name) >= MAX_USTAR_NAME_BYTES) {
+    const record = buildPaxRecord("path", entry.name);
+    yield buildHeader({
+      name: "././@PaxHeader",
+      size: record.length,
+      mode: 0o644,
+      mtimeMs: entry.mtimeMs,
+      type: "x",
+    });
+    yield record;
+    yield Buffer.alloc(padToBlock(record.length));
+  }
+  yield buildHeader({ ...entry, name: entry.name.slice(0, MAX_USTAR_NAME_BYTES - 1) });
+}
+
+async function* walkDirectory(rootDir, relativeDir) {
+  const absoluteDir = path.join(rootDir, relativeDir);
+  const stat = await fs.stat(absoluteDir);
+  yield { relativePath: relativeDir, stat };
+
+  const children = await fs.readdir(absoluteDir, { withFileTypes: true });
+  children.sort((a, b) => a.name.localeCompare(b.name));
+  for (const child of children) {
+    const relativePath = path.join(relativeDir, child.name);
+    if (child.isDirectory()) {
+      yield* walkDirectory(rootDir, relativePath);
+    } else if (child.isFile()) {
+      yield { relativePath, stat: await fs.stat(path.join(rootDir, relativePath)) };
+    }
+  }
+}
+
+async function* generateTar(rootDir, directories, summary) {
+  for (const directory of directories) {
+    for await (const { relativePath, stat } of walkDirectory(rootDir, directory)) {
+      const name = relativePath.split(path.sep).join("/");
+      if (stat.isDirectory()) {
+        yield* buildEntryHeaders({
+          name: `${name}/`,
+          size: 0,
+          mode: stat.mode,
+          mtimeMs: stat.mtimeMs,
+          type: "5",
+        });
+        continue;
+      }
+
+      // The header promises stat.size bytes, so a file that changes while it is
+      // being read is truncated or zero-padded to keep the archive well-formed.
+      yield* buildEntryHeaders({
+        name,
+        size: stat.size,
+        mode: stat.mode,
+        mtimeMs: stat.mtimeMs,
+        type: "0",
+      });
+      let remaining = stat.size;
+      if (remaining > 0) {
+        const stream = createReadStream(path.join(rootDir, relativePath), {
+          end: stat.size - 1,
+          highWaterMark: WRITE_CHUNK_BYTES,
+        });
+        for await (const chunk of stream) {
+          const slice = chunk.subarray(0, remaining);
+          remaining -= slice.length;
+          yield slice;
+        }
+      }
+      if (remaining > 0) {
+        yield Buffer.alloc(remaining);
+      }
+      yield Buffer.alloc(padToBlock(stat.size));
+      summary.files += 1;
+      summary.bytes += stat.size;
+    }
+  }
+  yield Buffer.alloc(BLOCK_SIZE * 2);
+}
+
+export async function createTarGz(rootDir, directories, destinationPath) {
+  const summary = { files: 0, bytes: 0 };
+  await pipeline(
+    Readable.from(generateTar(rootDir, directories, summary)),
+    createGzip(),
+    createWriteStream(destinationPath),
+  );
+  return summary;
+}
+
+class ChunkReader {
+  constructor(source) {
+    this.iterator = source[Symbol.asyncIterator]();
+    this.buffer = Buffer.alloc(0);
+    this.done = false;
+  }
+
+  async fill(size) {
+    const chunks = [this.buffer];
+    let length = this.buffer.length;
+    while (length < size && !this.done) {
+      const { value, done } = await this.iterator.next();
+      if (done) {
+        this.done = true;
+        break;
+      }
+      chunks.push(value);
+      length += value.length;
+    }
+    this.buffer = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks);
+  }
+
+  async read(size) {
+    await this.fill(size);
+    if (this.buffer.length < size) {
+      throw new Error("Archive is truncated.");
+    }
+    const result = this.buffer.subarray(0, size);
+    this.buffer = this.buffer.subarray(size);
+    return result;
+  }
+
+  async readUpTo(size) {
+    await this.fill(1);
+    if (this.buffer.length === 0) {
+      throw new Error("Archive is truncated.");
+    }
+    const result = this.buffer.subarray(0, Math.min(size, this.buffer.length));
+    this.buffer = this.buffer.subarray(result.length);
+    return result;
+  }
+}
+
+function readString(header, offset, length) {
+  const raw = header.subarray(offset, offset + length);
+  const end = raw.indexOf(0);
+  return raw.subarray(0, end === -1 ? length : end).toString("utf8");
+}
+
+function readOctal(header, offset, length) {
+  const value = readString(header, offset, length).trim();
+  return value ? Number.parseInt(value, 8) : 0;
+}
+
+function verifyChecksum(header) {
+  let checksum = 0;
+  for (let index = 0; index < BLOCK_SIZE; index += 1) {
+    checksum += index >= 148 && index < 156 ? 0x20 : header[index];
+  }
+  return checksum === readOctal(header, 148, 8);
+}
+
+function parsePaxRecords(data) {
+  const records = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    if (space === -1) {
+      break;
+    }
+    const length = Number.parseInt(data.toString("ascii", offset, space), 10);
+    if (!Number.isInteger(length) || length <= 0) {
+      break;
+    }
+    const record = data.toString("utf8", space + 1, offset + length - 1);
+    const separator = record.indexOf("=");
+    if (separator > 0) {
+      records[record.slice(0, separator)] = record.slice(separator + 1);
+    }
+    offset += length;
+  }
+  return records;
+}
+
+function resolveEntryPath(destinationDir, name) {
+  const normalized = path.posix.normalize(name.replaceAll("\\", "/"));
+  if (
+    !normalized ||
+    normalized === "." ||
+    normalized.startsWith("../") ||
+    normalized === ".." ||
+    path.posix.isAbsolute(normalized) ||
+    /^[a-zA-Z]:/.test(normalized)
+  ) {
+    throw new Error(`Archive entry escapes the destination: ${name}`);
+  }
+  return path.join(destinationDir, ...normalized.split("/").filter(Boolean));
+}
+
+async function extractEntries(source, destinationDir) {
+  const reader = new ChunkReader(source);
+  const topLevel = new Set();
+  let overridePath = null;
+
+  for (;;) {
+    const header = await reader.read(BLOCK_SIZE);
+    if (header.every((byte) => byte === 0)) {
+      break;
+    }
+    if (!verifyChecksum(header)) {
+      throw new Error("Archive header checksum mismatch.");
+    }
+
+    const type = String.fromCharCode(header[156] || 0x30);
+    const size = readOctal(header, 124, 12);
+    const prefix = readString(header, 345, 155);
+    const headerName = readString(header, 0, MAX_USTAR_NAME_BYTES);
+    const name = overridePath || (prefix ? `${prefix}/${headerName}` : headerName);
+    const padding = padToBlock(size);
+
+    if (type === "x" || type === "L") {
+      const data = await reader.read(size);
+      await reader.read(padding);
+      overridePath =
+        type === "x"
+          ? parsePaxRecords(data).path || null
+          : readString(data, 0, data.length);
+      continue;
+    }
+    overridePath = null;
+
+    if (type === "5") {
+      const target = resolveEntryPath(destinationDir, name);
+      await fs.mkdir(target, { recursive: true });
+      topLevel.add(path.relative(destinationDir, target).split(path.sep)[0]);
+      continue;
+    }
+
+    if (type !== "0") {
+      await reader.read(size + padding);
+      continue;
+    }
+
+    const target = resolveEntryPath(destinationDir, name);
+    topLevel.add(path.relative(destinationDir, target).split(path.sep)[0]);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    const handle = await fs.open(target, "w");
+    try {
+      let remaining = size;
+      while (remaining > 0) {
+        const chunk = await reader.readUpTo(Math.min(remaining, WRITE_CHUNK_BYTES));
+        await handle.write(chunk);
+        remaining -= chunk.length;
+      }
+    } finally {
+      await handle.close();
+    }
+    await reader.read(padding);
+
+    const mtime = readOctal(header, 136, 12);
+    if (mtime > 0) {
+      await fs.utimes(target, mtime, mtime);
+    }
+  }
+
+  return [...topLevel].sort();
+}
+
+export async function extractTarGz(archivePath, destinationDir) {
+  let directories = [];
+  await pipeline(
+    createReadStream(archivePath),
+    createGunzip(),
+    async (source) => {
+      directories = await extractEntries(source, destinationDir);
+    },
+  );
+  return directories;
+}
@@ -0,0 +1,143 @@
+import { EventEmitter } from "node:events";
+import { compareRelease } from "./serverUpgrader.js";
+
+const CHECKED_FORKS = new Set(["vanilla", "paper", "purpur"]);
+const CACHE_TTL_MS = 30 * 60 * 1000;
+const FIRST_CHECK_DELAY_MS = 60 * 1000;
+
+function releaseOf(build) {
+  return { version: build.version, build: build.build ?? null };
+}
+
+export class UpdateChecker extends EventEmitter {
+  constructor({ manager, intervalHours = 6 }) {
+    super();
+    this.manager = manager;
+    this.intervalMs = Math.max(0, Number(intervalHours) || 0) * 60 * 60 * 1000;
+    this.cache = new Map();
+    this.notified = new Map();
+    this.timer = null;
+  }
+
+  start() {
+    if (this.intervalMs === 0 || this.timer) {
+      return;
+    }
+    const run = async () => {
+      try {
+        await this.checkAll({ notify: true });
+      } catch (error) {
+        this.emit("updateCheckFailed", { error });
+      }
+    };
+    this.timer = setTimeout(() => {
+      run();
+      this.timer = setInterval(run, this.intervalMs);
+      this.timer.unref?.();
+    }, FIRST_CHECK_DELAY_MS);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async resolveLatest(fork, versionInput) {
+    // Cache the lookup promise so servers sharing a fork/version share one request.
+    const key = `${fork}:${versionInput}`;
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.at < CACHE_TTL_MS) {
+      return cached.promise;
+    }
+
+    const promise = this.manager.resolveBuildForCreate({ fork, versionInput });
+    this.cache.set(key, { at: Date.now(), promise });
+    promise.catch(() => {
+      if (this.cache.get(key)?.promise === promise) {
+        this.cache.delete(key);
+      }
+    });
+    return promise;
+  }
+
+  async checkServer(config) {
+    const current = { version: config.version, build: config.build ?? null };
+    const result = {
+      name: config.name,
+      fork: config.fork,
+      current,
+      status: "up-to-date",
+      newBuild: null,
+      newRelease: null,
+      error: null,
+    };
+    if (!CHECKED_FORKS.has(config.fork)) {
+      return { ...result, status: "unsupported" };
+    }
+    if (config.version === "unknown") {
+      return { ...result, status: "unknown" };
+    }
+
+    try {
+      const latest = releaseOf(await this.resolveLatest(config.fork, "latest"));
+      if (compareRelease({ version: latest.version }, { version: current.version }) > 0) {
+        result.newRelease = latest;
+      }
+
+      // Vanilla has no builds within a Minecraft version.
+      if (config.fork !== "vanilla") {
+        const sameVersion = releaseOf(
+          await this.resolveLatest(config.fork, current.version),
+        );
+        if (compareRelease(sameVersion, current) > 0) {
+          result.newBuild = sameVersion;
+        }
+      }
+    } catch (error) {
+      return { ...result, status: "error", error: error.message };
+    }
+
+    if (result.newRelease) {
+      result.status = "release";
+    } else if (result.newBuild) {
+      result.status = "build";
+    }
+    return result;
+  }
+
+  async checkAll({ refresh = false, notify = false } = {}) {
+    if (refresh) {
+      this.cache.clear();
+    }
+    const results = [];
+    for (const serverName of await this.manager.listServers()) {
+      const config = await this.manager.readServerConfig(serverName);
+      if (config) {
+        results.push(await this.checkServer(config));
+      }
+    }
+    const checkedAt = new Date();
+
+    if (notify) {
+      const fresh = results.filter((result) => {
+        if (result.status !== "build" && result.status !== "release") {
+          this.notified.delete(result.name);
+          return false;
+        }
+        // Only announce each newly available build/release once.
+        const key = JSON.stringify([result.current, result.newBuild, result.newRelease]);
+        if (this.notified.get(result.name) === key) {
+          return false;
+        }
+        this.notified.set(result.name, key);
+        return true;
+      });
+      if (fresh.length > 0) {
+        this.emit("updatesAvailable", { results: fresh, checkedAt });
+      }
+    }
+    return { results, checkedAt };
+  }
+}
@@ -0,0 +1,116 @@
+import fs from "node:fs/promises";
+import { promisify } from "node:util";
+import { inflateRaw } from "node:zlib";
+
+const inflateRawAsync = promisify(inflateRaw);
+
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const MAX_ENTRY_BYTES = 16 * 1024 * 1024;
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+async function readCentralDirectory(handle) {
+  const { size } = await handle.stat();
+  const tailLength = Math.min(size, END_OF_CENTRAL_DIRECTORY_SIZE + MAX_COMMENT_SIZE);
+  const tail = await readAt(handle, size - tailLength, tailLength);
+
+  let eocd = -1;
+  for (let offset = tail.length - END_OF_CENTRAL_DIRECTORY_SIZE; offset >= 0; offset -= 1) {
+    if (tail.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error("Not a zip archive.");
+  }
+
+  const entryCount = tail.readUInt16LE(eocd + 10);
+  const directorySize = tail.readUInt32LE(eocd + 12);
+  const directoryOffset = tail.readUInt32LE(eocd + 16);
+  if (directoryOffset === 0xffffffff || entryCount === 0xffff) {
+    throw new Error("ZIP64 archives are not supported.");
+  }
+
+  const directory = await readAt(handle, directoryOffset, directorySize);
+  const entries = new Map();
+  let offset = 0;
+  for (let index = 0; index < entryCount; index += 1) {
+    if (directory.readUInt32LE(offset) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error("Corrupt zip central directory.");
+    }
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    const name = directory.toString("utf8", offset + 46, offset + 46 + nameLength);
+    entries.set(name, {
+      name,
+      method: directory.readUInt16LE(offset + 10),
+      compressedSize: directory.readUInt32LE(offset + 20),
+      size: directory.readUInt32LE(offset + 24),
+      localHeaderOffset: directory.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function readEntryData(handle, entry) {
+  // Sizes come from the central directory and cannot be trusted on their
+  // own; inflating is capped below as well.
+  if (entry.size > MAX_ENTRY_BYTES || entry.compressedSize > MAX_ENTRY_BYTES) {
+    throw new Error(`Zip entry is too large: ${entry.name}`);
+  }
+
+  const header = await readAt(handle, entry.localHeaderOffset, 30);
+  if (header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Corrupt zip entry: ${entry.name}`);
+  }
+  const dataOffset =
+    entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  const data = await readAt(handle, dataOffset, entry.compressedSize);
+
+  if (entry.method === 0) {
+    return data;
+  }
+  if (entry.method === 8) {
+    try {
+      return await inflateRawAsync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+    } catch (error) {
+      if (error?.code === "ERR_BUFFER_TOO_LARGE") {
+        throw new Error(`Zip entry is too large: ${entry.name}`);
+      }
+      throw error;
+    }
+  }
+  throw new Error(`Unsupported zip compression method ${entry.method}: ${entry.name}`);
+}
+
+/**
+ * Reads the named entries from a zip/jar file. Missing entries are omitted
+ * from the returned map.
+ */
+export async function readZipEntries(filePath, names) {
+  const handle = await fs.open(filePath, "r");
+  try {
+    const entries = await readCentralDirectory(handle);
+    const result = new Map();
+    for (const name of names) {
+      const entry = entries.get(name);
+      if (entry) {
+        result.set(name, await readEntryData(handle, entry));
+      }
+    }
+    return result;
+  } finally {
+    await handle.close();
+  }
+}
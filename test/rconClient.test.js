@@ -0,0 +1,150 @@
+import assert from "node:assert/strict";
+import net from "node:net";
+import { after, test } from "node:test";
+import { RconClient, sendRconCommand } from "../src/rconClient.js";
+
+const TYPE_RESPONSE = 0;
+const TYPE_COMMAND = 2;
+const TYPE_AUTH = 3;
+
+const servers = [];
+
+function encodePacket(id, type, body) {
+  const bodyBuffer = Buffer.from(body, "utf8");
+  const packet = Buffer.alloc(14 + bodyBuffer.length);
+  packet.writeInt32LE(10 + bodyBuffer.length, 0);
+  packet.writeInt32LE(id, 4);
+  packet.writeInt32LE(type, 8);
+  bodyBuffer.copy(packet, 12);
+  return packet;
+}
+
+/**
+ * A minimal RCON server: accepts `password`, answers commands through
+ * `respond(command)` and writes replies with `write(socket, buffer)`.
+ */
+function startServer({ password, respond, write = (socket, buffer) => socket.write(buffer) }) {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      while (buffer.length >= 4 && buffer.length >= 4 + buffer.readInt32LE(0)) {
+        const length = buffer.readInt32LE(0);
+        const id = buffer.readInt32LE(4);
+        const type = buffer.readInt32LE(8);
+        const body = buffer.toString("utf8", 12, 4 + length - 2);
+        assert.deepEqual([...buffer.subarray(4 + length - 2, 4 + length)], [0, 0]);
+        buffer = buffer.subarray(4 + length);
+        received.push({ id, type, body });
+
+        if (type === TYPE_AUTH) {
+          write(socket, encodePacket(body === password ? id : -1, TYPE_COMMAND, ""));
+        } else if (type === TYPE_COMMAND) {
+          write(socket, encodePacket(id, TYPE_RESPONSE, respond(body)));
+        }
+      }
+    });
+    socket.on("error", () => {});
+  });
+  servers.push(server);
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({ port: server.address().port, received }));
+  });
+}
+
+after(() => {
+  for (const server of servers) {
+    server.close();
+  }
+});
+
+test("authenticates and returns the command response", async () => {
+  const { port, received } = await startServer({
+    password: "secret",
+    respond: (command) => `ran ${command}`,
+  });
+
+  assert.equal(await sendRconCommand({ port, password: "secret" }, "list"), "ran list");
+  assert.deepEqual(
+    received.map(({ type, body }) => [type, body]),
+    [
+      [TYPE_AUTH, "secret"],
+      [TYPE_COMMAND, "list"],
+    ],
+  );
+  assert.notEqual(received[0].id, received[1].id);
+});
+
+test("matches responses to requests over one connection", async () => {
+  const { port } = await startServer({
+    password: "secret",
+    respond: (command) => command.toUpperCase(),
+  });
+  const client = new RconClient({ port, password: "secret" });
+  try {
+    await client.connect();
+    const results = await Promise.all(["a", "b", "c"].map((command) => client.command(command)));
+    assert.deepEqual(results, ["A", "B", "C"]);
+  } finally {
+    client.close();
+  }
+});
+
+test("reassembles packets split across and merged within TCP chunks", async () => {
+  const pending = [];
+  const { port } = await startServer({
+    password: "secret",
+    respond: () => "§6TPS from last 1m, 5m, 15m: §a20.0, 20.0, 20.0",
+    write: (socket, buffer) => {
+      // Send the auth reply one byte at a time, and both command replies at once.
+      if (buffer.readInt32LE(8) === TYPE_COMMAND) {
+        for (const byte of buffer) {
+          socket.write(Buffer.from([byte]));
+        }
+        return;
+      }
+      pending.push(buffer);
+      if (pending.length === 2) {
+        socket.write(Buffer.concat(pending.splice(0)));
+      }
+    },
+  });
+  const client = new RconClient({ port, password: "secret" });
+  try {
+    await client.connect();
+    const [first, second] = await Promise.all([client.command("tps"), client.command("tps")]);
+    assert.equal(first, "§6TPS from last 1m, 5m, 15m: §a20.0, 20.0, 20.0");
+    assert.equal(second, first);
+  } finally {
+    client.close();
+  }
+});
+
+test("rejects a wrong password", async () => {
+  const { port } = await startServer({ password: "secret", respond: () => "" });
+  await assert.rejects(
+    sendRconCommand({ port, password: "wrong" }, "list"),
+    /authentication failed/,
+  );
+});
+
+test("rejects without a password or with an oversized command", async () => {
+  await assert.rejects(sendRconCommand({ port: 1, password: "" }, "list"), /not configured/);
+  await assert.rejects(
+    sendRconCommand({ port: 1, password: "secret" }, "x".repeat(1447)),
+    /1446 bytes or less/,
+  );
+});
+
+test("times out when the server does not answer", async () => {
+  const { port } = await startServer({
+    password: "secret",
+    respond: () => "",
+    write: () => {},
+  });
+  await assert.rejects(
+    sendRconCommand({ port, password: "secret", timeoutMs: 200 }, "list"),
+    /timed out/,
+  );
+});
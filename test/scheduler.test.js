@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { getNextCronRun, parseCronExpression } from "../src/scheduler.js";
+
+// Dates are built in local time because cron runs in the host's time zone.
+function local(year, month, day, hour = 0, minute = 0) {
+  return new Date(year, month - 1, day, hour, minute);
+}
+
+function nextRuns(expression, from, count) {
+  const cron = parseCronExpression(expression);
+  const runs = [];
+  let cursor = from;
+  for (let index = 0; index < count; index += 1) {
+    cursor = getNextCronRun(cron, cursor);
+    runs.push(cursor);
+  }
+  return runs;
+}
+
+test("parses lists, ranges and steps", () => {
+  const cron = parseCronExpression("*/15 9-17/4 1,15 * 1-5");
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [9, 13, 17]);
+  assert.deepEqual([...cron.days], [1, 15]);
+  assert.equal(cron.months.size, 12);
+  assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+  assert.equal(cron.anyDay, false);
+  assert.equal(cron.anyWeekday, false);
+});
+
+test("expands macros and treats weekday 7 as Sunday", () => {
+  assert.deepEqual(parseCronExpression("@daily"), parseCronExpression("0 0 * * *"));
+  assert.deepEqual(parseCronExpression(" @Weekly "), parseCronExpression("0 0 * * 0"));
+  assert.deepEqual([...parseCronExpression("0 0 * * 7").weekdays].sort(), [0, 7]);
+  assert.deepEqual([...parseCronExpression("0 12 * * 5/1").weekdays], [5, 6, 7, 0]);
+});
+
+test("rejects malformed expressions", () => {
+  assert.throws(() => parseCronExpression("0 4 * *"), /5項目/);
+  assert.throws(() => parseCronExpression("60 * * * *"), /minute は 0-59/);
+  assert.throws(() => parseCronExpression("0 5-3 * * *"), /hour/);
+  assert.throws(() => parseCronExpression("0 0 0 * *"), /day-of-month は 1-31/);
+  assert.throws(() => parseCronExpression("*/0 * * * *"), /minute/);
+  assert.throws(() => parseCronExpression("0 4 * JAN *"), /month が不正/);
+  assert.throws(() => parseCronExpression("@yearly"), /5項目/);
+});
+
+test("finds the next run strictly after the given time", () => {
+  assert.deepEqual(nextRuns("0 4 * * *", local(2026, 3, 10, 3, 59), 2), [
+    local(2026, 3, 10, 4, 0),
+    local(2026, 3, 11, 4, 0),
+  ]);
+  assert.deepEqual(nextRuns("*/30 * * * *", new Date(local(2026, 3, 10, 4, 0).getTime() + 1), 2), [
+    local(2026, 3, 10, 4, 30),
+    local(2026, 3, 10, 5, 0),
+  ]);
+});
+
+test("matches either day field when both are restricted", () => {
+  // The 13th or any Friday: 2026-03-06 is a Friday.
+  assert.deepEqual(nextRuns("0 0 13 * 5", local(2026, 3, 1), 3), [
+    local(2026, 3, 6),
+    local(2026, 3, 13),
+    local(2026, 3, 20),
+  ]);
+  // Only one restricted day field must match on its own.
+  assert.deepEqual(nextRuns("0 0 * * 5", local(2026, 3, 1), 2), [
+    local(2026, 3, 6),
+    local(2026, 3, 13),
+  ]);
+});
+
+test("resolves leap days and gives up on dates that never occur", () => {
+  assert.deepEqual(nextRuns("0 0 29 2 *", local(2026, 1, 1), 1), [local(2028, 2, 29)]);
+  assert.equal(getNextCronRun(parseCronExpression("0 0 31 2 *"), local(2026, 1, 1)), null);
+});
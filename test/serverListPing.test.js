@@ -0,0 +1,161 @@
+import assert from "node:assert/strict";
+import net from "node:net";
+import { after, test } from "node:test";
+import { pingServer } from "../src/serverListPing.js";
+
+const servers = [];
+
+function encodeVarInt(value) {
+  const bytes = [];
+  let remaining = value >>> 0;
+  do {
+    let byte = remaining & 0x7f;
+    remaining >>>= 7;
+    if (remaining !== 0) {
+      byte |= 0x80;
+    }
+    bytes.push(byte);
+  } while (remaining !== 0);
+  return Buffer.from(bytes);
+}
+
+function readVarInt(buffer, offset) {
+  let value = 0;
+  for (let shift = 0, position = offset; position < buffer.length; shift += 7, position += 1) {
+    value |= (buffer[position] & 0x7f) << shift;
+    if ((buffer[position] & 0x80) === 0) {
+      return { value, size: position - offset + 1 };
+    }
+  }
+  return null;
+}
+
+function encodePacket(packetId, body = Buffer.alloc(0)) {
+  const payload = Buffer.concat([encodeVarInt(packetId), body]);
+  return Buffer.concat([encodeVarInt(payload.length), payload]);
+}
+
+// Calls `handler(socket, packets)` for every complete packet the client sends.
+function startResponder(handler) {
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    const packets = [];
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      for (;;) {
+        const length = readVarInt(buffer, 0);
+        if (!length || buffer.length < length.size + length.value) {
+          return;
+        }
+        const packet = buffer.subarray(length.size, length.size + length.value);
+        buffer = buffer.subarray(length.size + length.value);
+        const packetId = readVarInt(packet, 0);
+        packets.push({ id: packetId.value, body: packet.subarray(packetId.size) });
+        handler(socket, packets);
+      }
+    });
+    socket.on("error", () => {});
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+function statusHandler(status) {
+  return (socket, packets) => {
+    const latest = packets.at(-1);
+    if (packets.length === 2 && latest.id === 0x00) {
+      const json = Buffer.from(JSON.stringify(status), "utf8");
+      socket.write(encodePacket(0x00, Buffer.concat([encodeVarInt(json.length), json])));
+    } else if (latest.id === 0x01) {
+      socket.write(encodePacket(0x01, latest.body));
+    }
+  };
+}
+
+async function listen(handler) {
+  const server = await startResponder(handler);
+  servers.push(server);
+  return server.address().port;
+}
+
+after(() => {
+  for (const server of servers) {
+    server.close();
+  }
+});
+
+test("reads version, players and MOTD from the status response", async () => {
+  const port = await listen(
+    statusHandler({
+      version: { name: "§aPaper 1.21.1", protocol: 767 },
+      players: { online: 2, max: 20, sample: [{ name: "Alex" }, { name: "§cSteve" }] },
+      description: { text: "§6Hello ", extra: ["world", { text: "!" }] },
+    }),
+  );
+
+  const result = await pingServer({ port, timeoutMs: 2000 });
+  assert.equal(result.version, "Paper 1.21.1");
+  assert.equal(result.protocol, 767);
+  assert.equal(result.online, 2);
+  assert.equal(result.max, 20);
+  assert.deepEqual(result.sample, ["Alex", "Steve"]);
+  assert.equal(result.motd, "Hello world!");
+  assert.ok(Number.isInteger(result.latencyMs) && result.latencyMs >= 0);
+});
+
+test("sends a handshake for the status state with the target port", async () => {
+  let handshake = null;
+  const respond = statusHandler({ version: { name: "1.21.1" }, description: "motd" });
+  const port = await listen((socket, packets) => {
+    handshake ??= packets[0];
+    respond(socket, packets);
+  });
+
+  const result = await pingServer({ port, timeoutMs: 2000 });
+  assert.equal(result.motd, "motd");
+  assert.equal(result.online, 0);
+
+  assert.equal(handshake.id, 0x00);
+  const body = handshake.body;
+  const protocol = readVarInt(body, 0);
+  const hostLength = readVarInt(body, protocol.size);
+  const hostStart = protocol.size + hostLength.size;
+  assert.equal(body.toString("utf8", hostStart, hostStart + hostLength.value), "127.0.0.1");
+  assert.equal(body.readUInt16BE(hostStart + hostLength.value), port);
+  assert.equal(readVarInt(body, hostStart + hostLength.value + 2).value, 1);
+});
+
+test("keeps the status when the server closes instead of answering the ping", async () => {
+  const respond = statusHandler({ version: { name: "1.20.4" } });
+  const port = await listen((socket, packets) => {
+    if (packets.at(-1).id === 0x01) {
+      socket.end();
+      return;
+    }
+    respond(socket, packets);
+  });
+
+  const result = await pingServer({ port, timeoutMs: 2000 });
+  assert.equal(result.version, "1.20.4");
+  assert.equal(result.latencyMs, null);
+});
+
+test("fails when the connection closes before a status arrives", async () => {
+  const port = await listen((socket) => socket.end());
+  await assert.rejects(pingServer({ port, timeoutMs: 2000 }), /closed early/);
+});
+
+test("times out when the server never answers", async () => {
+  const port = await listen(() => {});
+  await assert.rejects(pingServer({ port, timeoutMs: 200 }), /timed out/);
+});
+
+test("rejects an oversized response length", async () => {
+  const port = await listen((socket, packets) => {
+    if (packets.length === 2) {
+      socket.write(encodeVarInt(64 * 1024 * 1024));
+    }
+  });
+  await assert.rejects(pingServer({ port, timeoutMs: 2000 }), /too large/);
+});
@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { PropertiesDocument, validatePropertyValue } from "../src/serverProperties.js";
+
+const SAMPLE = [
+  "#Minecraft server properties",
+  "#Mon Jan 01 00:00:00 UTC 2024",
+  "",
+  "motd=A Minecraft Server",
+  "server-port = 25565",
+  "level-seed:12345",
+  "  ! another comment style",
+  "difficulty easy",
+  "",
+].join("\n");
+
+test("reads key/value separators and comment styles", () => {
+  const document = PropertiesDocument.parse(SAMPLE);
+  assert.deepEqual(document.entries(), [
+    ["motd", "A Minecraft Server"],
+    ["server-port", "25565"],
+    ["level-seed", "12345"],
+    ["difficulty", "easy"],
+  ]);
+  assert.equal(document.has("pvp"), false);
+  assert.equal(document.get("pvp"), undefined);
+});
+
+test("round-trips untouched files byte for byte, including CRLF", () => {
+  assert.equal(PropertiesDocument.parse(SAMPLE).toString(), SAMPLE);
+  const crlf = SAMPLE.replaceAll("\n", "\r\n");
+  assert.equal(PropertiesDocument.parse(crlf).toString(), crlf);
+});
+
+test("set rewrites only the changed line and appends new keys", () => {
+  const document = PropertiesDocument.parse(SAMPLE);
+  document.set("server-port", "25570");
+  document.set("pvp", "false");
+  assert.equal(
+    document.toString(),
+    SAMPLE.replace("server-port = 25565", "server-port=25570") + "pvp=false\n",
+  );
+});
+
+test("uses the last of repeated keys and collapses them on set", () => {
+  const document = PropertiesDocument.parse("pvp=true\nmotd=x\npvp=false\n");
+  assert.equal(document.get("pvp"), "false");
+  document.set("pvp", "true");
+  assert.equal(document.toString(), "motd=x\npvp=true\n");
+});
+
+test("unescapes and joins continuation lines", () => {
+  const document = PropertiesDocument.parse(
+    [
+      "motd=\\u00a7aHello\\: \\\\ world\\",
+      "    continued",
+      "key\\ with\\ spaces=value",
+      "trailing=ends with\\\\",
+      "next=1",
+    ].join("\n"),
+  );
+  assert.equal(document.get("motd"), "§aHello: \\ worldcontinued");
+  assert.equal(document.get("key with spaces"), "value");
+  assert.equal(document.get("trailing"), "ends with\\");
+  assert.equal(document.get("next"), "1");
+});
+
+test("escapes values so they read back unchanged", () => {
+  const document = PropertiesDocument.parse("");
+  const motd = " §6Welcome = 日本語 #1! C:\\path\ttab";
+  document.set("motd", motd);
+  assert.equal(document.toString().split("\n").length, 2);
+  assert.match(document.toString(), /^motd=\\ \\u00a76Welcome \\= \\u65e5\\u672c\\u8a9e \\#1\\!/);
+  assert.equal(PropertiesDocument.parse(document.toString()).get("motd"), motd);
+});
+
+test("validatePropertyValue normalizes known keys", () => {
+  assert.equal(validatePropertyValue("pvp", " TRUE "), "true");
+  assert.equal(validatePropertyValue("max-players", "020"), "20");
+  assert.equal(validatePropertyValue("difficulty", "Hard"), "hard");
+  assert.equal(validatePropertyValue("motd", "  spaced  "), "  spaced  ");
+  assert.equal(validatePropertyValue("custom.plugin-key", "anything"), "anything");
+});
+
+test("validatePropertyValue rejects bad keys and values", () => {
+  assert.throws(() => validatePropertyValue("bad key", "x"), /Invalid property key/);
+  assert.throws(() => validatePropertyValue("motd", "two\nlines"), /single line/);
+  assert.throws(() => validatePropertyValue("pvp", "yes"), /true or false/);
+  assert.throws(() => validatePropertyValue("view-distance", "64"), /between 3 and 32/);
+  assert.throws(() => validatePropertyValue("server-port", "1.5"), /integer/);
+  assert.throws(() => validatePropertyValue("gamemode", "god"), /one of/);
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { gzipSync } from "node:zlib";
+import { createTarGz, extractTarGz } from "../src/tarArchive.js";
+
+let tempDir;
+
+before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "tar-archive-test-"));
+});
+
+after(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+// A ustar header as GNU tar writes it, for archives the bot did not create.
+function rawHeader(name, { size = 0, type = "0", prefix = "" } = {}) {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100, "utf8");
+  header.write("0000644\0", 100, "ascii");
+  header.write(`${size.toString(8).padStart(11, "0")}\0`, 124, "ascii");
+  header.write("00000000000\0", 136, "ascii");
+  header.fill(" ", 148, 156);
+  header.write(type, 156, "ascii");
+  header.write("ustar\0", 257, "ascii");
+  header.write("00", 263, "ascii");
+  header.write(prefix, 345, 155, "utf8");
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, "0")}\0 `, 148, "ascii");
+  return header;
+}
+
+async function writeRawArchive(name, blocks) {
+  const archivePath = path.join(tempDir, name);
+  await fs.writeFile(archivePath, gzipSync(Buffer.concat([...blocks, Buffer.alloc(1024)])));
+  return archivePath;
+}
+
+test("round-trips world directories, including long paths and empty files", async () => {
+  const rootDir = path.join(tempDir, "source");
+  const longDir = path.join("world", "region", "a".repeat(60), "b".repeat(60));
+  await fs.mkdir(path.join(rootDir, longDir), { recursive: true });
+  await fs.mkdir(path.join(rootDir, "world_nether"), { recursive: true });
+  await fs.mkdir(path.join(rootDir, "logs"), { recursive: true });
+  const files = {
+    "world/level.dat": Buffer.from([0x1f, 0x8b, 0, 1, 2, 3]),
+    [path.join(longDir, "r.0.0.mca")]: Buffer.alloc(70 * 1024, 7),
+    "world_nether/empty.dat": Buffer.alloc(0),
+    "logs/latest.log": Buffer.from("not archived"),
+  };
+  for (const [name, data] of Object.entries(files)) {
+    await fs.writeFile(path.join(rootDir, name), data);
+  }
+
+  const archivePath = path.join(tempDir, "round-trip.tar.gz");
+  const summary = await createTarGz(rootDir, ["world", "world_nether"], archivePath);
+  assert.equal(summary.files, 3);
+  assert.equal(summary.bytes, 6 + 70 * 1024);
+
+  const destinationDir = path.join(tempDir, "restored");
+  await fs.mkdir(destinationDir);
+  assert.deepEqual(await extractTarGz(archivePath, destinationDir), ["world", "world_nether"]);
+  for (const [name, data] of Object.entries(files)) {
+    const restored = await fs.readFile(path.join(destinationDir, name)).catch(() => null);
+    assert.deepEqual(restored, name.startsWith("logs") ? null : data, name);
+  }
+});
+
+test("extracts names split into the ustar prefix field", async () => {
+  const header = rawHeader("level.dat", { size: 3, prefix: "world/data" });
+  const content = Buffer.alloc(512);
+  content.write("abc");
+  const archivePath = await writeRawArchive("prefix.tar.gz", [header, content]);
+
+  const destinationDir = path.join(tempDir, "prefix");
+  assert.deepEqual(await extractTarGz(archivePath, destinationDir), ["world"]);
+  assert.equal(await fs.readFile(path.join(destinationDir, "world/data/level.dat"), "utf8"), "abc");
+});
+
+test("rejects entries that escape the destination", async () => {
+  for (const name of ["../evil.txt", "world/../../evil.txt", "/etc/evil", "C:/evil"]) {
+    const archivePath = await writeRawArchive("escape.tar.gz", [rawHeader(name)]);
+    const destinationDir = path.join(tempDir, "escape", "inner");
+    await assert.rejects(
+      extractTarGz(archivePath, destinationDir),
+      /escapes the destination/,
+      name,
+    );
+  }
+  await assert.rejects(fs.access(path.join(tempDir, "escape", "evil.txt")));
+});
+
+test("skips links and rejects corrupt headers", async () => {
+  const linkArchive = await writeRawArchive("link.tar.gz", [
+    rawHeader("world/", { type: "5" }),
+    rawHeader("world/link", { type: "2" }),
+  ]);
+  const destinationDir = path.join(tempDir, "link");
+  assert.deepEqual(await extractTarGz(linkArchive, destinationDir), ["world"]);
+  assert.deepEqual(await fs.readdir(path.join(destinationDir, "world")), []);
+
+  const corrupt = rawHeader("world/level.dat");
+  corrupt[0] ^= 0xff;
+  const corruptArchive = await writeRawArchive("corrupt.tar.gz", [corrupt]);
+  await assert.rejects(
+    extractTarGz(corruptArchive, path.join(tempDir, "corrupt")),
+    /checksum mismatch/,
+  );
+});
@@ -0,0 +1,186 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { deflateRawSync } from "node:zlib";
+import { readPluginDescriptor } from "../src/pluginManager.js";
+import { readZipEntries } from "../src/zipReader.js";
+
+let tempDir;
+
+before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "zip-reader-test-"));
+});
+
+after(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Writes a zip with the given entries. CRCs are left at zero because the
+ * reader does not check them; `size` overrides the declared inflated size.
+ */
+async function writeZip(name, entries, { comment = "" } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const nameBuffer = Buffer.from(entry.name, "utf8");
+    const raw = Buffer.from(entry.data);
+    const method = entry.method ?? 8;
+    const data = method === 8 ? deflateRawSync(raw) : raw;
+    const size = entry.size ?? raw.length;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const commentBuffer = Buffer.from(comment, "utf8");
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  end.writeUInt16LE(commentBuffer.length, 20);
+
+  const filePath = path.join(tempDir, name);
+  await fs.writeFile(filePath, Buffer.concat([...locals, directory, end, commentBuffer]));
+  return filePath;
+}
+
+test("reads stored and deflated entries and omits missing ones", async () => {
+  const jarPath = await writeZip(
+    "entries.jar",
+    [
+      { name: "META-INF/MANIFEST.MF", data: "Main-Class: net.minecraft.Main\n", method: 0 },
+      { name: "version.json", data: JSON.stringify({ id: "1.21.1", java_version: 21 }) },
+    ],
+    { comment: "built by a test" },
+  );
+
+  const entries = await readZipEntries(jarPath, ["version.json", "META-INF/MANIFEST.MF", "nope"]);
+  assert.deepEqual([...entries.keys()], ["version.json", "META-INF/MANIFEST.MF"]);
+  assert.equal(JSON.parse(entries.get("version.json")).java_version, 21);
+  assert.equal(String(entries.get("META-INF/MANIFEST.MF")), "Main-Class: net.minecraft.Main\n");
+});
+
+test("rejects files that are not zips and unsupported methods", async () => {
+  const notZip = path.join(tempDir, "not-a.jar");
+  await fs.writeFile(notZip, "<html>404</html>");
+  await assert.rejects(readZipEntries(notZip, []), /Not a zip archive/);
+
+  const bzip = await writeZip("bzip.jar", [{ name: "a.txt", data: "x", method: 12 }]);
+  await assert.rejects(readZipEntries(bzip, ["a.txt"]), /Unsupported zip compression method 12/);
+});
+
+test("caps entries whose declared or inflated size is too large", async () => {
+  const declared = await writeZip("declared.jar", [
+    { name: "plugin.yml", data: "name: x", size: 17 * 1024 * 1024 },
+  ]);
+  await assert.rejects(readZipEntries(declared, ["plugin.yml"]), /too large/);
+
+  // Lies about its size: 17 MiB of zeros deflate to a few KiB.
+  const bomb = await writeZip("bomb.jar", [
+    { name: "plugin.yml", data: Buffer.alloc(17 * 1024 * 1024), size: 10 },
+  ]);
+  await assert.rejects(readZipEntries(bomb, ["plugin.yml"]), /too large/);
+});
+
+test("reads plugin.yml with lists, nested maps and block scalars", async () => {
+  const jarPath = await writeZip("Example-1.0.jar", [
+    {
+      name: "plugin.yml",
+      data: [
+        "# comment",
+        "name: Example",
+        "version: '1.0'",
+        "main: com.example.Example",
+        "api-version: 1.21",
+        "author: alice",
+        'authors: [bob, "carol"]',
+        "depend:",
+        "  - Vault",
+        "softdepend: [ProtocolLib]",
+        "description: |",
+        "  First line",
+        "  second line # not a comment",
+        "commands:",
+        "  example:",
+        "    aliases: [ex]",
+        "    usage: /example",
+        "permissions:",
+        "  example.use: {default: true}",
+        "",
+      ].join("\n"),
+    },
+  ]);
+
+  assert.deepEqual(await readPluginDescriptor(jarPath), {
+    fileName: "Example-1.0.jar",
+    descriptor: "plugin.yml",
+    name: "Example",
+    version: "1.0",
+    main: "com.example.Example",
+    description: "First line\nsecond line # not a comment",
+    authors: ["alice", "bob", "carol"],
+    apiVersion: "1.21",
+    depend: ["Vault"],
+    softdepend: ["ProtocolLib"],
+  });
+});
+
+test("prefers paper-plugin.yml and reads its server dependencies", async () => {
+  const jarPath = await writeZip("Paper.jar", [
+    { name: "plugin.yml", data: "name: Legacy\nversion: 0.1\n" },
+    {
+      name: "paper-plugin.yml",
+      data: [
+        "name: PaperOnly",
+        "version: 2.0",
+        "main: com.example.PaperOnly",
+        "dependencies:",
+        "  server:",
+        "    LuckPerms:",
+        "      load: BEFORE",
+        "    PlaceholderAPI:",
+        "      required: false",
+        "",
+      ].join("\n"),
+    },
+  ]);
+
+  const plugin = await readPluginDescriptor(jarPath);
+  assert.equal(plugin.descriptor, "paper-plugin.yml");
+  assert.equal(plugin.name, "PaperOnly");
+  assert.deepEqual(plugin.depend, ["LuckPerms"]);
+  assert.deepEqual(plugin.softdepend, ["PlaceholderAPI"]);
+});
+
+test("rejects jars without a usable descriptor", async () => {
+  const missing = await writeZip("missing.jar", [{ name: "a.class", data: "x" }]);
+  await assert.rejects(readPluginDescriptor(missing), /plugin\.yml/);
+
+  const nameless = await writeZip("nameless.jar", [{ name: "plugin.yml", data: "version: 1\n" }]);
+  await assert.rejects(readPluginDescriptor(nameless), /has no name/);
+});